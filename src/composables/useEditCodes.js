@@ -2,27 +2,350 @@
 	useEditCodes.js
 	---------------
 
-  	A composable to manage edit codes for rooms using sessionStorage.
+	A composable to manage the edit codes for rooms this browser owns.
 
+	Codes live in a keyring in localStorage, so closing the tab doesn't lock the
+	streamer out of their room. Each entry also remembers the room's name & when
+	it was last opened, for the My Rooms page.
+
+	Codes saved by older versions (in sessionStorage) are moved into the keyring
+	the first time they're read.
+
+	The keyring can be exported to a JSON file & imported into another browser;
+	imports merge, keeping whichever copy of a room was opened most recently.
+
+	Every instance shares the same reactive list, & other tabs' changes are
+	picked up through the storage event.
 */
+
+// vue
+import { shallowRef } from 'vue';
+
+// libs
+import { z } from 'zod';
+
+// where the keyring lives
+const STORAGE_KEY = 'pen.lighting:myRooms';
+
+// what's in the "format" field of an exported keyring
+export const KEYRING_FORMAT = 'pen.lighting-keyring';
+
+// the current version of the keyring (both stored & exported)
+export const KEYRING_VERSION = 1;
+
+// the biggest keyring file we'll read
+const MAX_KEYRING_FILE_BYTES = 1024 * 1024;
+
+// older versions kept one code per room in sessionStorage under this prefix
+const LEGACY_PREFIX = 'editCode:';
+
+// one room in the keyring
+const keyringRoomSchema = z.object({
+	code: z.string().trim().min(1).max(32),
+	editCode: z.string().min(1).max(256),
+	name: z.string().max(64).catch(''),
+	addedAt: z.number().catch(0),
+	lastOpenedAt: z.number().catch(0),
+});
+
+// an exported keyring file
+const keyringFileSchema = z.object({
+	format: z.literal(KEYRING_FORMAT),
+	version: z.number().int().min(1).max(KEYRING_VERSION),
+	rooms: z.array(z.unknown()),
+});
+
+
+/**
+ * Error thrown when a keyring file can't be imported (message is safe to show the user)
+ */
+export class KeyringError extends Error {
+
+	/**
+	 * @param {string} message - what's wrong, in plain words
+	 */
+	constructor(message) {
+		super(message);
+		this.name = 'KeyringError';
+	}
+}
+
+
+/**
+ * Keep the valid rooms out of an untrusted list (bad entries are dropped, not fatal)
+ *
+ * @param {Array<any>} list - the raw rooms
+ * @returns {Array<object>} valid rooms
+ */
+function cleanRooms(list) {
+
+	const out = [];
+	for (const raw of Array.isArray(list) ? list : []) {
+		const result = keyringRoomSchema.safeParse(raw);
+		if (result.success)
+			out.push(result.data);
+	}
+	return out;
+}
+
+
+/**
+ * Read the keyring from localStorage
+ *
+ * @returns {Array<object>} the rooms
+ */
+function loadRooms() {
+	try {
+		const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+		return cleanRooms(stored?.rooms);
+	} catch {
+		return [];
+	}
+}
+
+
+/**
+ * Most recently opened first
+ *
+ * @param {Array<object>} rooms - the rooms
+ * @returns {Array<object>} sorted copy
+ */
+function sortRooms(rooms) {
+	return [...rooms].sort((a, b) => (b.lastOpenedAt - a.lastOpenedAt) || a.code.localeCompare(b.code));
+}
+
+
+// the shared, reactive list of rooms (most recently opened first)
+const roomsRef = shallowRef(typeof localStorage !== 'undefined' ? sortRooms(loadRooms()) : []);
+
+// follow edits made in other tabs
+if (typeof window !== 'undefined')
+	window.addEventListener('storage', (e) => {
+		if (e.key === STORAGE_KEY)
+			roomsRef.value = sortRooms(loadRooms());
+	});
+
+
+/**
+ * Save the rooms to localStorage & publish them
+ *
+ * @param {Array<object>} rooms - the new list
+ */
+function storeRooms(rooms) {
+
+	roomsRef.value = sortRooms(rooms);
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: KEYRING_VERSION, rooms: roomsRef.value }));
+	} catch (err) {
+		console.log(err);
+	}
+}
+
+
 export function useEditCodes() {
-	
-	function key(roomCode) {
-	  return `editCode:${roomCode}`
+
+
+	/**
+	 * Find a room in the keyring
+	 *
+	 * @param {string} roomCode - the room code
+	 * @returns {object|undefined} the entry
+	 */
+	function findRoom(roomCode) {
+		return roomsRef.value.find(r => r.code === roomCode);
 	}
-  
+
+
+	/**
+	 * Add a room to the keyring, or update it if it's there already
+	 *
+	 * @param {{ code: string, editCode: string, name?: string }} room - the room
+	 * @param {boolean} [opened=true] - count this as opening the room (bumps lastOpenedAt)
+	 */
+	function registerRoom({ code, editCode, name }, opened = true) {
+
+		if (!code || !editCode)
+			return;
+
+		const now = Date.now();
+		const old = findRoom(code);
+		const entry = {
+			code,
+			editCode,
+			name: name ?? old?.name ?? '',
+			addedAt: old?.addedAt || now,
+			lastOpenedAt: opened ? now : (old?.lastOpenedAt || now),
+		};
+
+		storeRooms([...roomsRef.value.filter(r => r.code !== code), entry]);
+	}
+
+
+	/**
+	 * Remember a room's edit code (kept for older callers, see registerRoom)
+	 *
+	 * @param {string} roomCode - the room code
+	 * @param {string} editCode - its edit code
+	 */
 	function saveEditCode(roomCode, editCode) {
-	  sessionStorage.setItem(key(roomCode), editCode)
+		registerRoom({ code: roomCode, editCode });
 	}
-  
+
+
+	/**
+	 * Get a room's edit code
+	 *
+	 * @param {string} roomCode - the room code
+	 * @returns {string|null} the edit code, or null if we don't have it
+	 */
 	function getEditCode(roomCode) {
-	  return sessionStorage.getItem(key(roomCode))
+
+		const found = findRoom(roomCode);
+		if (found)
+			return found.editCode;
+
+		// move codes saved by older versions into the keyring
+		try {
+			const legacy = sessionStorage.getItem(`${LEGACY_PREFIX}${roomCode}`);
+			if (legacy) {
+				registerRoom({ code: roomCode, editCode: legacy }, false);
+				sessionStorage.removeItem(`${LEGACY_PREFIX}${roomCode}`);
+				return legacy;
+			}
+		} catch {
+			// no sessionStorage, nothing to migrate
+		}
+
+		return null;
 	}
-  
+
+
+	/**
+	 * Forget a room (& its edit code)
+	 *
+	 * @param {string} roomCode - the room code
+	 */
 	function clearEditCode(roomCode) {
-	  sessionStorage.removeItem(key(roomCode))
+
+		storeRooms(roomsRef.value.filter(r => r.code !== roomCode));
+		try {
+			sessionStorage.removeItem(`${LEGACY_PREFIX}${roomCode}`);
+		} catch {
+			// no sessionStorage
+		}
+	}
+
+
+	/**
+	 * The keyring as an object for an export file
+	 *
+	 * @returns {object} ready for JSON.stringify
+	 */
+	function exportKeyring() {
+		return {
+			format: KEYRING_FORMAT,
+			version: KEYRING_VERSION,
+			exportedAt: new Date().toISOString(),
+			rooms: roomsRef.value.map(r => ({ ...r })),
+		};
 	}
-  
-	return { saveEditCode, getEditCode, clearEditCode }
+
+
+	/**
+	 * Download the keyring as a JSON file
+	 */
+	function downloadKeyring() {
+
+		const blob = new Blob([JSON.stringify(exportKeyring(), null, '\t')], { type: 'application/json' });
+		const url = URL.createObjectURL(blob);
+
+		const a = document.createElement('a');
+		a.href = url;
+		a.download = 'pen-lighting-rooms.json';
+		document.body.appendChild(a);
+		a.click();
+		a.remove();
+
+		// give the browser a moment to start the download before letting go of the blob
+		setTimeout(() => URL.revokeObjectURL(url), 1000);
+	}
+
+
+	/**
+	 * Merge an exported keyring into ours
+	 *
+	 * @param {any} raw - the parsed JSON
+	 * @returns {{ added: number, updated: number }} how many rooms were new / replaced
+	 * @throws {KeyringError}
+	 */
+	function importKeyring(raw) {
+
+		const file = keyringFileSchema.safeParse(raw);
+		if (!file.success) {
+			if (raw?.format === KEYRING_FORMAT && Number(raw?.version) > KEYRING_VERSION)
+				throw new KeyringError('That file was made by a newer version of the site. Try refreshing the page.');
+			throw new KeyringError('That file isn\'t a pen.lighting room list.');
+		}
+
+		const incoming = cleanRooms(file.data.rooms);
+		if (incoming.length === 0)
+			throw new KeyringError('There are no rooms in that file.');
+
+		// keep whichever copy was opened most recently
+		const merged = new Map(roomsRef.value.map(r => [r.code, r]));
+		let added = 0, updated = 0;
+		for (const room of incoming) {
+
+			const old = merged.get(room.code);
+			if (!old)
+				added++;
+			else if (room.lastOpenedAt > old.lastOpenedAt)
+				updated++;
+			else
+				continue;
+
+			merged.set(room.code, { ...room, addedAt: old?.addedAt || room.addedAt || Date.now() });
+		}
+
+		storeRooms([...merged.values()]);
+		return { added, updated };
+	}
+
+
+	/**
+	 * Read & import a keyring file the user picked
+	 *
+	 * @param {File} file - the picked file
+	 * @returns {Promise<{ added: number, updated: number }>}
+	 * @throws {KeyringError}
+	 */
+	async function importKeyringFile(file) {
+
+		if (!file)
+			throw new KeyringError('No file picked.');
+		if (file.size > MAX_KEYRING_FILE_BYTES)
+			throw new KeyringError('That file is too big to be a room list.');
+
+		let raw;
+		try {
+			raw = JSON.parse(await file.text());
+		} catch {
+			throw new KeyringError('That file isn\'t valid JSON.');
+		}
+
+		return importKeyring(raw);
+	}
+
+
+	return {
+		rooms: roomsRef,
+		registerRoom,
+		saveEditCode,
+		getEditCode,
+		clearEditCode,
+		exportKeyring,
+		downloadKeyring,
+		importKeyring,
+		importKeyringFile,
+	};
 }
-  
\ No newline at end of file
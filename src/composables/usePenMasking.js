@@ -2,37 +2,243 @@
 	usePenMasking.js
  	----------------
 
-	Vue 3 composable that inspects a penlight sprite image for exact green pixels (#00FF00),
-	optionally generates a white mask (preserving alpha) and returns base64-encoded PNGs
-	for both the edited sprite (green -> #DDDDDD) and the mask (green -> white).
+	Vue 3 composable that inspects a penlight sprite image for key colors, generates a white
+	mask (preserving alpha) for each one it finds and returns base64-encoded PNGs for the
+	edited sprite and the masks.
+
+	Key colors (each becomes its own mask):
+	- Green   #00FF00 - the primary tint zone, colored w/ the user's pen color.
+	- Magenta #FF00FF - a secondary tint zone, colored w/ the user's second color (two-tone pens).
+	- Blue    #0000FF - an additive glow zone, drawn blurred & brightened on top (a bloom halo).
 
 	Caching:
-	- In-memory only, per-tab, keyed by `${roomCode}::${spriteSrc}`.
-	- Avoids unnecessary recomputation when multiple pens in the same room reuse the same sprite.
+	- In-memory only, per-tab, keyed by `${roomCode}::${spriteSrc}` (plus tolerance, color & frame count).
+	- Shared by every caller of the composable, so multiple pens in the same room reuse the same sprite.
 	- Page refresh will recompute (as requested).
+	- When a room's sprite changes live, invalidateRoomSprite() drops only that room's stale entries.
 
 	Notes:
-	- The image is drawn onto a 256x256 offscreen canvas regardless of its original size.
+	- The image is drawn onto a 256x256 offscreen canvas regardless of its original size
+	  (or 256 * frames wide, for animated sprite sheets - see spriteSheet.js).
 	- Exact match for "perfect green": r=0, g=255, b=0 (alpha > 0). Transparent pixels are ignored.
-	- The mask preserves the source alpha for green pixels.
-	- Non-green pixels are untouched in the sprite; green pixels become #DDDDDD (alpha preserved).
+	- Magenta & blue only count if the sprite has at least one exact pixel of them; green always counts.
+	- Each pixel belongs to the closest key color only (if it's within the room's tolerance of one), so zones never overlap.
+	- The masks preserve the source alpha for their pixels.
+	- Non-key pixels are untouched in the sprite; green & magenta pixels become #DDDDDD (alpha preserved),
+	  blue pixels are faded out of the sprite (the glow layer replaces them).
 
 	Returns:
 	{
 	  maskingMode: Boolean, // true if any #00FF00 pixel was found and a mask was generated
 	  penImage:    String,  // dataURL: base64 PNG of the (possibly edited) sprite
-	  penMask:     String | null // dataURL: base64 PNG of the mask, or null if none
+	  penMask:     String | null, // dataURL: base64 PNG of the mask, or null if none
+	  penMaskSecondary: String | null, // dataURL: the magenta zone's mask, or null if none
+	  penMaskGlow: String | null,      // dataURL: the blue zone's mask, or null if none
+	  frames:      Number,              // how many frames wide the sprite sheet (and every mask) is
+	  usedDefaultMask: Boolean          // true if no green was found, so penMask is the stock glow shape
 	}
 */
 
 // vue
 import { ref } from 'vue';
 
-export function usePenMasking() {
+// our app
+import { spriteAnimation } from '../js/spriteSheet.js';
+
+// the sprite rooms get if they don't upload their own
+export const DEFAULT_SPRITE_SRC = '/img/default_light.png';
+
+// the room settings' defaults (see roomSettingsSchema)
+// (a key color is 255 away from black, so halfway keeps dark outlines & grey shading out of the masks)
+const DEFAULT_TOLERANCE = 128;
+const DEFAULT_REPLACEMENT = 'DDDDDD';
+
+// Private in-memory cache (persists only for the lifetime of the page/tab)
+// Value is a Promise resolving to the result object, to de-duplicate concurrent calls.
+const _penMaskCache = new Map();
+
+// The key colors we cut masks from, in priority order (ties go to the earlier one)
+const KEY_CHANNELS = [
+	{ name: 'primary', r: 0, g: 255, b: 0 },		// #00FF00 - tinted w/ the user's color
+	{ name: 'secondary', r: 255, g: 0, b: 255 },	// #FF00FF - tinted w/ the user's second color
+	{ name: 'glow', r: 0, g: 0, b: 255 },			// #0000FF - an additive bloom halo
+];
+
+
+/**
+ * Drops cached masks for a room, but only if its sprite actually changed.
+ * 
+ * Used when live room settings arrive over the socket, so re-sending the same
+ * sprite (or changing unrelated settings) doesn't force every pen to rebuild its mask.
+ * 
+ * @param {string} roomCode - the room whose cache to check
+ * @param {string|null} oldSprite - the previous penlightSprite value
+ * @param {string|null} newSprite - the incoming penlightSprite value
+ * @returns {boolean} true if the cache was invalidated
+ */
+export function invalidateRoomSprite(roomCode, oldSprite, newSprite) {
+
+	// nothing to do if the sprite is the same
+	if ((oldSprite || null) === (newSprite || null))
+		return false;
+
+	const prefix = `${roomCode}::`;
+	for (const key of _penMaskCache.keys())
+		if (key.startsWith(prefix)) _penMaskCache.delete(key);
+
+	return true;
+}
 
-	// Private in-memory cache (persists only for the lifetime of the page/tab)
-	// Value is a Promise resolving to the result object, to de-duplicate concurrent calls.
-	const _penMaskCache = new Map();
+
+/**
+ * Everything besides the sprite itself that changes a room's masks, as a string.
+ * 
+ * Handy as a watch source next to the sprite (which is compared by identity,
+ * since it's a big data URL we don't want to copy around).
+ * 
+ * @param {object} room - room details
+ * @returns {string} e.g. '128::DDDDDD::1'
+ */
+export function roomMaskOptionsKey(room) {
+	const tolerance = Number.isFinite(room?.penMaskTolerance) ? room.penMaskTolerance : DEFAULT_TOLERANCE;
+	return `${tolerance}::${room?.penMaskReplacementColor || DEFAULT_REPLACEMENT}::${spriteAnimation(room).frames}`;
+}
+
+
+/**
+ * Internal: blend two colors by weight w (0..1). Keeps alpha external.
+ * @param {number} r1
+ * @param {number} g1
+ * @param {number} b1
+ * @param {{r:number,g:number,b:number}} repl
+ * @param {number} w - 0..1 (1 = full replacementColor)
+ * @returns {{r:number,g:number,b:number}}
+ */
+function _blendTowardsReplacement(r1, g1, b1, repl, w) {
+	const inv = 1 - w;
+	return {
+		r: Math.round(r1 * inv + repl.r * w),
+		g: Math.round(g1 * inv + repl.g * w),
+		b: Math.round(b1 * inv + repl.b * w)
+	};
+}
+
+
+/**
+ * Process a sprite's pixels for mask extraction and sprite editing (in place).
+ * - Each pixel within tolerance of an active key color goes to the closest one (ties go to green);
+ *   anything further away (outlines, shading, highlights) is left alone.
+ * - Each channel gets its own white mask (alpha scales with closeness to the key within tolerance).
+ * - Tint channels (primary & secondary) blend the original toward replacementColor with the same weight.
+ * - The glow channel is cut out of the sprite instead, since it's drawn additively on top.
+ *
+ * @param {ImageData} imageData - Original 256x256 sprite pixels
+ * @param {number} tolerance - 0..~441 (Euclidean radius in RGB); 0 = exact key colors only
+ * @param {{r:number,g:number,b:number}} replacementRGB - parsed replacement color
+ * @returns {{
+ *   foundGreen: boolean,
+ *   editedImageData: ImageData,
+ *   maskImageData: ImageData | null,
+ *   secondaryImageData: ImageData | null,
+ *   glowImageData: ImageData | null
+ * }}
+ */
+export function processSpritePixels(imageData, tolerance, replacementRGB) {
+
+	const { width, height, data } = imageData;
+	const tol = Math.max(0, Number.isFinite(tolerance) ? tolerance : 0);
+
+	// green is always considered (like before), the others only if the sprite uses them exactly,
+	// so a plain one-tone sprite never grows a stray second zone out of its shading
+	const channels = KEY_CHANNELS.map(k => ({ ...k, found: false, mask: null }));
+	for (let i = 0; i < data.length; i += 4) {
+		if (data[i + 3] === 0) continue;
+		for (const ch of channels)
+			if (data[i] === ch.r && data[i + 1] === ch.g && data[i + 2] === ch.b)
+				ch.found = true;
+	}
+	const active = channels.filter(ch => ch.name === 'primary' || ch.found);
+
+	// Prepare mask ImageData per channel (same dimensions), initially fully transparent
+	for (const ch of active)
+		ch.mask = new ImageData(width, height);
+
+	// Iterate pixels: RGBA per pixel
+	for (let i = 0; i < data.length; i += 4) {
+
+		const r = data[i];
+		const g = data[i + 1];
+		const b = data[i + 2];
+		const a = data[i + 3];
+
+		// Ignore fully transparent pixels
+		if (a === 0) continue;
+
+		// find the closest key color this pixel belongs to
+		let best = null;
+		let w = 0;
+		for (const ch of active) {
+
+			let chW = 0;
+			if (tol === 0) {
+				// Exact key color check, with some opacity
+				if (r === ch.r && g === ch.g && b === ch.b)
+					chW = 1;
+			} else {
+				// Within tolerance? Weight decreases linearly with distance
+				const dr = r - ch.r;
+				const dg = g - ch.g;
+				const db = b - ch.b;
+				const dist = Math.sqrt(dr * dr + dg * dg + db * db);
+				if (dist <= tol)
+					chW = 1 - (dist / tol); // 1 at center, 0 at radius
+			}
+
+			if (chW > w) {
+				w = chW;
+				best = ch;
+			}
+		}
+
+		if (!best)
+			continue;
+
+		// ---- MASK: white with alpha scaled by closeness and source alpha
+		const mask = best.mask.data;
+		mask[i] = 255;          // R
+		mask[i + 1] = 255;      // G
+		mask[i + 2] = 255;      // B
+		mask[i + 3] = Math.round(a * w); // A (scaled)
+
+		// ---- SPRITE EDIT
+		if (best.name === 'glow') {
+
+			// glow is added on top, so fade it out of the base sprite
+			data[i + 3] = Math.round(a * (1 - w));
+
+		} else {
+
+			// blend current pixel toward replacement color with same weight
+			const blended = _blendTowardsReplacement(r, g, b, replacementRGB, w);
+			data[i] = blended.r;
+			data[i + 1] = blended.g;
+			data[i + 2] = blended.b;
+			// data[i + 3] = a; // keep original alpha
+		}
+	}// next i
+
+	const [primary, secondary, glow] = channels;
+	return {
+		foundGreen: primary.found,
+		editedImageData: imageData,
+		maskImageData: primary.found ? primary.mask : null,
+		secondaryImageData: secondary.found ? secondary.mask : null,
+		glowImageData: glow.found ? glow.mask : null
+	};
+}
+
+
+export function usePenMasking() {
 
 
 	/**
@@ -78,20 +284,21 @@ export function usePenMasking() {
 
 
 	/**
-	 * Internal: draw an image into a 256x256 canvas and return { canvas, ctx }
-	 * Always scales to 256x256 (image is expected square, but this is robust).
+	 * Internal: draw an image into a (256 * frames)x256 canvas and return { canvas, ctx }
+	 * Always scales to 256px frames (they're expected square, but this is robust).
 	 * @param {HTMLImageElement} img
+	 * @param {number} [frames=1] - how many frames wide the sprite sheet is
 	 */
-	function _drawToBaseCanvas(img) {
+	function _drawToBaseCanvas(img, frames = 1) {
 
 		const size = 256;
 		const canvas = document.createElement('canvas');
-		canvas.width = size;
+		canvas.width = size * frames;
 		canvas.height = size;
 		const ctx = canvas.getContext('2d', { willReadFrequently: true });
 
-		// Draw stretched to full 256x256 to guarantee expected pixel grid
-		ctx.drawImage(img, 0, 0, size, size);
+		// Draw stretched to full size to guarantee expected pixel grid
+		ctx.drawImage(img, 0, 0, canvas.width, size);
 		return { canvas, ctx };
 	}
 
@@ -129,114 +336,6 @@ export function usePenMasking() {
 	}
 
 
-	/**
-	 * Internal: blend two colors by weight w (0..1). Keeps alpha external.
-	 * @param {number} r1
-	 * @param {number} g1
-	 * @param {number} b1
-	 * @param {{r:number,g:number,b:number}} repl
-	 * @param {number} w - 0..1 (1 = full replacementColor)
-	 * @returns {{r:number,g:number,b:number}}
-	 */
-	function _blendTowardsReplacement(r1, g1, b1, repl, w) {
-		const inv = 1 - w;
-		return {
-			r: Math.round(r1 * inv + repl.r * w),
-			g: Math.round(g1 * inv + repl.g * w),
-			b: Math.round(b1 * inv + repl.b * w)
-		};
-	}
-
-
-	/**
-	 * Internal: process the ImageData for green mask extraction and sprite editing.
-	 * - Generates a white mask (alpha scales with closeness to pure green within tolerance).
-	 * - Replaces "green-ish" pixels in the original by blending toward replacementColor with the same weight.
-	 *
-	 * @param {ImageData} imageData - Original 256x256 sprite pixels
-	 * @param {number} tolerance - 0..~441 (Euclidean radius in RGB); 0 = exact green only
-	 * @param {{r:number,g:number,b:number}} replacementRGB - parsed replacement color
-	 * @returns {{
-	 *   foundGreen: boolean,
-	 *   editedImageData: ImageData,
-	 *   maskImageData: ImageData | null
-	 * }}
-	 */
-	function _processImageData(imageData, tolerance, replacementRGB) {
-
-		const { width, height, data } = imageData;
-		let foundGreen = false;
-
-		// Prepare mask ImageData (same dimensions), initially fully transparent
-		const maskImageData = new ImageData(width, height);
-		const mask = maskImageData.data;
-
-		// Constants for pure green target
-		const gr = 0, gg = 255, gb = 0;
-		const tol = Math.max(0, Number.isFinite(tolerance) ? tolerance : 0);
-
-		// Iterate pixels: RGBA per pixel
-		for (let i = 0; i < data.length; i += 4) {
-
-			const r = data[i];
-			const g = data[i + 1];
-			const b = data[i + 2];
-			const a = data[i + 3];
-
-			// Ignore fully transparent pixels
-			if (a === 0) continue;
-
-			// Distance to pure green in RGB space
-			const dr = r - gr;
-			const dg = g - gg;
-			const db = b - gb;
-			const dist = Math.sqrt(dr * dr + dg * dg + db * db);
-
-			let w = 0;
-
-			if (r === 0 && g === 255 && b === 0) {
-				foundGreen = true;
-			}
-
-			if (tol === 0) {
-				// Exact "perfect green" check: #00FF00 with some opacity
-				if (r === 0 && g === 255 && b === 0) {
-					w = 1;
-				}
-			} else {
-				// Within tolerance? Weight decreases linearly with distance
-				if (dist <= tol) {
-					w = 1 - (dist / tol); // 1 at center, 0 at radius
-				}
-			}
-
-			if (w > 0) {
-				
-
-				// ---- MASK: white with alpha scaled by closeness and source alpha
-				const outA = Math.round(a * w);
-				mask[i] = 255;          // R
-				mask[i + 1] = 255;      // G
-				mask[i + 2] = 255;      // B
-				mask[i + 3] = outA;     // A (scaled)
-
-				// ---- SPRITE EDIT: blend current pixel toward replacement color with same weight
-				const blended = _blendTowardsReplacement(r, g, b, replacementRGB, w);
-				data[i] = blended.r;
-				data[i + 1] = blended.g;
-				data[i + 2] = blended.b;
-				// data[i + 3] = a; // keep original alpha
-			}
-		}// next i
-
-		return {
-			foundGreen,
-			editedImageData: imageData,
-			maskImageData: foundGreen ? maskImageData : null
-		};
-	}
-
-
 	/**
 	 * Internal: convert ImageData to a PNG dataURL via a throwaway canvas.
 	 * @param {ImageData} imageData
@@ -254,31 +353,46 @@ export function usePenMasking() {
 	}
 
 
-	function _imageToImagedata(img) {
-		const { canvas, ctx } = _drawToBaseCanvas(img);
+	/**
+	 * Internal: read an image's pixels, repeated once per frame
+	 * (so a single-frame default mask lines up w/ every frame of a sheet)
+	 * @param {HTMLImageElement} img
+	 * @param {number} [frames=1]
+	 * @returns {ImageData}
+	 */
+	function _imageToImagedata(img, frames = 1) {
+		const { canvas, ctx } = _drawToBaseCanvas(img, frames);
+		ctx.clearRect(0, 0, canvas.width, canvas.height);
+		for (let f = 0; f < frames; f++)
+			ctx.drawImage(img, f * canvas.height, 0, canvas.height, canvas.height);
 		return ctx.getImageData(0, 0, canvas.width, canvas.height);
 	}
 
 	/**
-	 * Core API: getPenImages(roomCode, spriteSrc, tolerance = 0, replacementColor = '#DDDDDD')
-	 * Loads the image, scans for green (with tolerance), optionally builds mask & edited sprite,
-	 * returns base64 PNGs, and caches by `${roomCode}::${spriteSrc}::${tolerance}::${replacementColor}`.
+	 * Core API: getPenImages(roomCode, spriteSrc, tolerance = 0, useDefaultMask = true, replacementColor = '#DDDDDD', frames = 1)
+	 * Loads the image, scans for the key colors (with tolerance), optionally builds masks & edited sprite,
+	 * returns base64 PNGs, and caches by `${roomCode}::${spriteSrc}::${tolerance}::${replacementColor}::${frames}`.
+	 *
+	 * Animated sprites are horizontal sheets (see spriteSheet.js): the masks come back as matching
+	 * sheets, so frame N of a mask is always the same slice as frame N of the sprite.
 	 *
 	 * @param {string} roomCode - Unique room identifier to scope caching
 	 * @param {string} spriteSrc - URL or data URI for the pen sprite
 	 * @param {number} [tolerance=0] - Euclidean distance in RGB (0 = exact only). Typical useful range: 10..80
 	 * @param {boolean} [useDefaultMask=true] - Currently unused; always generates mask if green found
 	 * @param {string} [replacementColor='#DDDDDD'] - Hex CSS color for replacement (e.g., '#DDDDDD' or 'DDDDDD')
-	 * @returns {Promise<{ maskingMode: boolean, penImage: string, penMask: string | null }>}
+	 * @param {number} [frames=1] - how many frames wide the sprite sheet is
+	 * @returns {Promise<{ maskingMode: boolean, penImage: string, penMask: string | null, penMaskSecondary: string | null, penMaskGlow: string | null, frames: number, usedDefaultMask: boolean }>}
 	 */
-	function getPenImages(roomCode, spriteSrc, tolerance = 0, useDefaultMask = true, replacementColor = '#DDDDDD') {
+	function getPenImages(roomCode, spriteSrc, tolerance = 0, useDefaultMask = true, replacementColor = '#DDDDDD', frames = 1) {
 
 		if (!roomCode || !spriteSrc) {
 			return Promise.reject(new Error('getPenImages(roomCode, spriteSrc) requires both parameters.'));
 		}
 
 		const replHex = _normalizeHex(replacementColor);
-		const cacheKey = `${roomCode}::${spriteSrc}::${tolerance}::${replHex}`;
+		frames = Math.max(1, Math.trunc(Number(frames) || 1));
+		const cacheKey = `${roomCode}::${spriteSrc}::${tolerance}::${replHex}::${frames}`;
 		if (_penMaskCache.has(cacheKey)) {
 			return _penMaskCache.get(cacheKey);
 		}
@@ -289,20 +403,20 @@ export function usePenMasking() {
 			// 1) Load image
 			const img = await _loadImage(spriteSrc);
 
-			// 2) Draw to 256x256 base canvas
-			const { canvas, ctx } = _drawToBaseCanvas(img);
+			// 2) Draw to the base canvas (256x256 per frame)
+			const { canvas, ctx } = _drawToBaseCanvas(img, frames);
 
 			// 3) Read pixels
 			const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
 
 			// 4) Process pixels for green extraction and sprite edit (with tolerance & replacement)
 			const replacementRGB = _hexToRgb(replHex);
-			let { foundGreen, editedImageData, maskImageData } = _processImageData(imgData, tolerance, replacementRGB);
+			let { foundGreen, editedImageData, maskImageData, secondaryImageData, glowImageData } = processSpritePixels(imgData, tolerance, replacementRGB);
 
 			// if null and we still want a mask, create empty transparent mask
 			let usedDefaultMask = false;
 			if (useDefaultMask && !maskImageData) {
-				maskImageData = _imageToImagedata(await _loadImage('/img/default_mask.png'));
+				maskImageData = _imageToImagedata(await _loadImage('/img/default_mask.png'), frames);
 				usedDefaultMask = true;
 			}
 
@@ -312,12 +426,18 @@ export function usePenMasking() {
 			// 6) Export data URLs
 			const penImage = canvas.toDataURL('image/png');
 			const penMask = maskImageData ? _imageDataToDataURL(maskImageData) : null;
+			const penMaskSecondary = secondaryImageData ? _imageDataToDataURL(secondaryImageData) : null;
+			const penMaskGlow = glowImageData ? _imageDataToDataURL(glowImageData) : null;
 
 			// 7) Build result
 			return {
 				maskingMode: (!!foundGreen) || usedDefaultMask,
 				penImage,
-				penMask
+				penMask,
+				penMaskSecondary,
+				penMaskGlow,
+				frames,
+				usedDefaultMask
 			};
 
 		})().catch((err) => {
@@ -330,8 +450,28 @@ export function usePenMasking() {
 		return task;
 	}
 
+	/**
+	 * Public: getPenImages for a room, w/ its own sprite, frame count, tolerance & replacement color
+	 *
+	 * @param {object} room - room details (code, penlightSprite, penlightSpriteFrames, penMaskTolerance, penMaskReplacementColor)
+	 * @returns {Promise<object>} same as getPenImages
+	 */
+	function getRoomPenImages(room) {
+
+		const tolerance = Number.isFinite(room?.penMaskTolerance) ? room.penMaskTolerance : DEFAULT_TOLERANCE;
+		return getPenImages(
+			room?.code,
+			room?.penlightSprite || DEFAULT_SPRITE_SRC,
+			tolerance,
+			true,
+			room?.penMaskReplacementColor || DEFAULT_REPLACEMENT,
+			spriteAnimation(room).frames
+		);
+	}
+
 	return {
 		getPenImages,
+		getRoomPenImages,
 		clearPenMaskCache,
 		clearRoomCache
 	};
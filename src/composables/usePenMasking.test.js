@@ -0,0 +1,84 @@
+/*
+	usePenMasking.test.js
+	---------------------
+
+	Checks an outlined sprite only gets its key colored zones masked at the
+	room's default tolerance - its outline & shading stay as drawn.
+*/
+
+// libs
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+
+// our app
+import { processSpritePixels } from './usePenMasking.js';
+import { parseRoomSettings } from '../js/roomSettingsSchema.js';
+
+const REPLACEMENT = { r: 0xDD, g: 0xDD, b: 0xDD };
+
+// what each pixel of our 1 px tall sprite is
+const PIXELS = {
+	green:		[0, 255, 0],		// the tint zone
+	greenEdge:	[0, 200, 0],		// its anti-aliased edge
+	glow:		[0, 0, 255],		// a glow zone
+	outline:	[40, 40, 40],		// a dark grey outline
+	ink:		[0, 0, 0],			// a black outline
+	inkBlue:	[30, 30, 60],		// a bluish outline
+	shading:	[128, 128, 128],	// grey shading
+	highlight:	[255, 255, 255],	// a white highlight
+};
+const NAMES = Object.keys(PIXELS);
+
+// node has no ImageData, so stand one in
+class FakeImageData {
+	constructor(width, height) {
+		this.width = width;
+		this.height = height;
+		this.data = new Uint8ClampedArray(width * height * 4);
+	}
+}
+
+// our sprite, as ImageData
+function sprite() {
+	const img = new FakeImageData(NAMES.length, 1);
+	NAMES.forEach((name, i) => img.data.set([...PIXELS[name], 255], i * 4));
+	return img;
+}
+
+// a pixel of some ImageData, as [r, g, b, a]
+const px = (img, name) => [...img.data.slice(NAMES.indexOf(name) * 4, NAMES.indexOf(name) * 4 + 4)];
+
+describe('processSpritePixels', () => {
+
+	beforeAll(() => vi.stubGlobal('ImageData', FakeImageData));
+	afterAll(() => vi.unstubAllGlobals());
+
+	const tolerance = parseRoomSettings({}).penMaskTolerance;
+
+	it('masks the key colors & their edges', () => {
+		const { foundGreen, editedImageData, maskImageData, glowImageData } = processSpritePixels(sprite(), tolerance, REPLACEMENT);
+
+		expect(foundGreen).toBe(true);
+		expect(px(maskImageData, 'green')).toEqual([255, 255, 255, 255]);
+		expect(px(editedImageData, 'green')).toEqual([0xDD, 0xDD, 0xDD, 255]);
+		expect(px(maskImageData, 'greenEdge')[3]).toBeGreaterThan(0);
+		expect(px(glowImageData, 'glow')[3]).toBe(255);
+		expect(px(editedImageData, 'glow')[3]).toBe(0);
+	});
+
+	it('leaves an outlined sprite\'s outline & shading alone', () => {
+		const { editedImageData, maskImageData, glowImageData } = processSpritePixels(sprite(), tolerance, REPLACEMENT);
+
+		for (const name of ['outline', 'ink', 'inkBlue', 'shading', 'highlight']) {
+			expect(px(editedImageData, name), name).toEqual([...PIXELS[name], 255]);
+			expect(px(maskImageData, name)[3], name).toBe(0);
+			expect(px(glowImageData, name)[3], name).toBe(0);
+		}
+	});
+
+	it('only matches exact key colors at 0', () => {
+		const { maskImageData } = processSpritePixels(sprite(), 0, REPLACEMENT);
+
+		expect(px(maskImageData, 'green')[3]).toBe(255);
+		expect(px(maskImageData, 'greenEdge')[3]).toBe(0);
+	});
+});
@@ -3,24 +3,28 @@
 	-----------------
 
 	A composable to fetch room details for the current route's :room_code
+
+	Responses are validated against the shared room settings schema, so
+	the rest of the app gets defaults filled in & never sees malformed data.
 */
 
 // vue
 import { useRoute } from 'vue-router'
 
+// our app
+import { parseRoomResponse, RoomSettingsError } from '../js/roomSettingsSchema.js'
+import { apiFetch } from '../js/transport.js'
+
 // A simple in-memory cache of ongoing fetch promises, keyed by room code
 const roomPromiseCache = new Map();
 
-// base URL based on ENV
-const envAPIUrl = import.meta.env.VITE_API_URL;
-const envWsUrl = import.meta.env.VITE_WS_URL;
-const envAppURL = import.meta.env.VITE_APP_URL;
-
 /**
  * Fetch room details for the current route's :room_code.
  *
  * @param {boolean} useCache - if true, reuse cached result for the same code. default false (always fetch fresh).
  * @param {object} options - optional { signal?: AbortSignal, timeoutMs?: number }
+ * @returns {Promise<object|null>} the parsed room, or null if it couldn't be fetched
+ * @throws {RoomSettingsError} if the server sent back room data that doesn't match the schema
  */
 export async function useRoomDetails(useCache = false, options = {}) {
 	
@@ -58,16 +62,21 @@ export async function useRoomDetails(useCache = false, options = {}) {
 	// fetch the room details
 	const promise = (async () => {
 		try {
-			const res = await fetch(
-				`${envAPIUrl}/rooms/${encodeURIComponent(code)}`,
+			const res = await apiFetch(
+				`/rooms/${encodeURIComponent(code)}`,
 				{ headers: { Accept: 'application/json' }, signal: controller.signal }
 			)
 			if (!res.ok) 
 					return null;
 
-			return await res.json();
+			return parseRoomResponse(await res.json(), `GET /rooms/${code}`);
+
+		} catch (err) {
+
+			// bad data is worth surfacing, network trouble is just "no room"
+			if (err instanceof RoomSettingsError)
+				throw err;
 
-		} catch {
 			return null;
 
 		} finally {
@@ -81,7 +90,14 @@ export async function useRoomDetails(useCache = false, options = {}) {
 	}
 
 	// wait for the result
-	const result = await promise;
+	let result;
+	try {
+		result = await promise;
+	} catch (err) {
+		if (useCache)
+			roomPromiseCache.delete(cacheKey);
+		throw err;
+	}
 	if (result === null && useCache) {
 		roomPromiseCache.delete(cacheKey);
 	}
@@ -2,11 +2,14 @@
 	useRoomSession.js
 	-----------------
 
-	A composable to manage the room and username a user has picked
+	A composable to manage the room and username a user has picked,
+	plus a random session token so the server can recognize them again
+	after a refresh or reconnect (e.g. for moderation)
 */
 export function useRoomSession() {
 
 	function key(code) { return `roomSession:${code}`; }
+	function idKey(code) { return `roomSessionId:${code}`; }
 
 	function saveRoomSession(code, roomPwd, username) {
 		sessionStorage.setItem(key(code), JSON.stringify({ roomPwd, username }));
@@ -19,5 +22,15 @@ export function useRoomSession() {
 
 	function clearRoomSession(code) { sessionStorage.removeItem(key(code)); }
 
-	return { saveRoomSession, getRoomSession, clearRoomSession };
+	// get (or make) this tab's session token for a room
+	function getSessionId(code) {
+		let id = sessionStorage.getItem(idKey(code));
+		if (!id) {
+			id = crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+			sessionStorage.setItem(idKey(code), id);
+		}
+		return id;
+	}
+
+	return { saveRoomSession, getRoomSession, clearRoomSession, getSessionId };
 }
@@ -0,0 +1,89 @@
+/*
+	useStageCue.js
+	--------------
+
+	A composable that follows a room's stage cue (see stageCues.js) for a component.
+
+	Given the cue ref from a room state, it runs a clock only while the cue is
+	counting down or running, & exposes what templates need: the live cue, the
+	countdown, & how strong the blackout / burst effects are right now.
+
+	Must be called from a component's setup (it cleans up on unmount).
+*/
+
+// vue
+import { computed, onBeforeUnmount, ref, watch } from 'vue';
+
+// our app
+import { cuePhase, blackoutLevel, burstLevel } from '../js/stageCues.js';
+
+
+/**
+ * @param {() => object|null} getCue - returns the room's current cue (e.g. () => roomState.cueRef.value)
+ */
+export function useStageCue(getCue) {
+
+	// wall-clock time, ticking only while there's a cue to animate
+	const now = ref(Date.now());
+	let rafId = null;
+
+	const cue = computed(() => getCue() || null);
+	const phase = computed(() => cuePhase(cue.value, now.value));
+
+
+	/**
+	 * Stop the clock
+	 */
+	function stopClock() {
+		if (rafId != null) {
+			cancelAnimationFrame(rafId);
+			rafId = null;
+		}
+	}
+
+
+	/**
+	 * Run the clock until the cue is over (or replaced)
+	 */
+	function startClock() {
+
+		stopClock();
+		const tick = () => {
+			now.value = Date.now();
+			if (cuePhase(cue.value, now.value) === 'done' || !cue.value) {
+				rafId = null;
+				return;
+			}
+			rafId = requestAnimationFrame(tick);
+		};
+		tick();
+	}
+
+	watch(cue, (c) => c ? startClock() : stopClock(), { immediate: true });
+	onBeforeUnmount(stopClock);
+
+
+	return {
+		now,
+		cue,
+		phase,
+
+		// the cue, only while it's running
+		live: computed(() => phase.value === 'active' ? cue.value : null),
+
+		// whole seconds until a pending cue starts (0 otherwise)
+		countdown: computed(() => phase.value === 'pending' ? Math.ceil((cue.value.startAt - now.value) / 1000) : 0),
+
+		// whole seconds left on a running, timed cue (0 otherwise)
+		remaining: computed(() => {
+			const c = cue.value;
+			if (phase.value !== 'active' || !c.durationMs)
+				return 0;
+			return Math.ceil((c.startAt + c.durationMs - now.value) / 1000);
+		}),
+
+		// effect strengths, 0..1
+		blackout: computed(() => blackoutLevel(cue.value, now.value)),
+		burst: computed(() => burstLevel(cue.value, now.value)),
+	};
+}
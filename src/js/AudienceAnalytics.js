@@ -0,0 +1,283 @@
+/*
+	AudienceAnalytics.js
+	--------------------
+
+	Stats about a room's audience, for the room owner: how many people were in
+	the room over time (& when the peak was), how many different people &
+	nicknames showed up, which palette colors were popular, & where on the
+	stage people waved their pens.
+
+	It samples the mod connection's live user list (see ModRoomState.js) once a
+	second, for as long as the edit page is open, & keeps everything in memory.
+	Nothing is sent anywhere - the owner can download it as CSV or JSON.
+
+	What's counted:
+		- timeline		the most people in the room during each TIMELINE_BUCKET_MS
+		- colors		"pen-seconds": a second for each person holding a color, for each second
+		- heatmap		where pens were, on a HEATMAP_W x HEATMAP_H grid over the stage,
+						only counting people who moved recently (so idle pens don't swamp it)
+*/
+
+// vue
+import { shallowRef } from 'vue';
+
+// our app
+import { nicknameKey } from './moderation.js';
+
+// how often we look at the room
+export const SAMPLE_MS = 1000;
+
+// how long each point on the timeline covers
+export const TIMELINE_BUCKET_MS = 10000;
+
+// the heatmap grid (16:9, like the stage)
+export const HEATMAP_W = 48;
+export const HEATMAP_H = 27;
+
+// someone still counts as waving this long after they last moved
+const ACTIVE_MS = 5000;
+
+
+/**
+ * Collects audience stats for one room
+ */
+export class AudienceAnalytics {
+
+	/**
+	 * Builds the AudienceAnalytics instance (it starts sampling straight away)
+	 *
+	 * @param {function(): Iterable<object>} getUsers - the room's current users
+	 *        ({ id, nickname, color, x, y, lastMoveAt }, like ModRoomState keeps)
+	 */
+	constructor(getUsers) {
+
+		this._getUsers = getUsers;
+
+		// the stats, for templates (see summary())
+		this.statsRef = shallowRef(null);
+
+		this.reset();
+		this._timer = setInterval(() => this.sample(), SAMPLE_MS);
+	}
+
+
+	/**
+	 * Forget everything & start counting from now
+	 *
+	 * @param {number} [nowMs=Date.now()] - current time
+	 */
+	reset(nowMs = Date.now()) {
+
+		this.startedAt = nowMs;
+		this._lastSampleAt = nowMs;
+
+		// [{ t, count }] w/ t the start of the bucket (ms after startedAt)
+		this._timeline = [];
+		this._peak = { count: 0, at: null };
+
+		// everyone we've seen, by id & by nickname (nicknameKey -> as they typed it)
+		this._ids = new Set();
+		this._nicknames = new Map();
+
+		// color (palette index or hex, as a string) -> pen-seconds
+		this._colors = new Map();
+
+		// row-major counts
+		this._heat = new Array(HEATMAP_W * HEATMAP_H).fill(0);
+
+		this._publish(nowMs, 0);
+	}
+
+
+	/**
+	 * Look at who's in the room right now & count them
+	 *
+	 * @param {number} [nowMs=Date.now()] - current time
+	 */
+	sample(nowMs = Date.now()) {
+
+		const users = [...this._getUsers()];
+
+		// time since the last look, so pen-seconds stay right if a timer runs late
+		const secs = Math.max(0, Math.min(5 * SAMPLE_MS, nowMs - this._lastSampleAt)) / 1000;
+		this._lastSampleAt = nowMs;
+
+		for (const u of users) {
+
+			this._ids.add(String(u.id));
+
+			const key = nicknameKey(u.nickname);
+			if (key && !this._nicknames.has(key))
+				this._nicknames.set(key, String(u.nickname).trim());
+
+			if (u.color != null) {
+				const color = String(u.color);
+				this._colors.set(color, (this._colors.get(color) || 0) + secs);
+			}
+
+			if (nowMs - (u.lastMoveAt ?? 0) <= ACTIVE_MS)
+				this._addHeat(u.x, u.y);
+		}
+
+		// timeline: keep the most people seen in each bucket
+		const t = Math.floor((nowMs - this.startedAt) / TIMELINE_BUCKET_MS) * TIMELINE_BUCKET_MS;
+		const last = this._timeline[this._timeline.length - 1];
+		if (last && last.t === t)
+			last.count = Math.max(last.count, users.length);
+		else
+			this._timeline.push({ t, count: users.length });
+
+		if (users.length > this._peak.count)
+			this._peak = { count: users.length, at: nowMs };
+
+		this._publish(nowMs, users.length);
+	}
+
+
+	/**
+	 * Count a pen position on the heatmap
+	 *
+	 * @param {number} x - normalized x (0..1)
+	 * @param {number} y - normalized y (0..1)
+	 */
+	_addHeat(x, y) {
+
+		if (!Number.isFinite(x) || !Number.isFinite(y))
+			return;
+
+		const col = Math.min(HEATMAP_W - 1, Math.max(0, Math.floor(x * HEATMAP_W)));
+		const row = Math.min(HEATMAP_H - 1, Math.max(0, Math.floor(y * HEATMAP_H)));
+		this._heat[row * HEATMAP_W + col]++;
+	}
+
+
+	/**
+	 * Update statsRef
+	 *
+	 * @param {number} nowMs - current time
+	 * @param {number} current - how many are in the room right now
+	 */
+	_publish(nowMs, current) {
+		this.statsRef.value = { ...this.summary(nowMs), current };
+	}
+
+
+	/**
+	 * Everything we've counted so far
+	 *
+	 * @param {number} [nowMs=Date.now()] - current time
+	 * @returns {object} { startedAt, durationMs, peak, uniqueUsers, uniqueNicknames, nicknames, timeline, colors, heatmap }
+	 */
+	summary(nowMs = Date.now()) {
+
+		const totalPenSecs = [...this._colors.values()].reduce((a, b) => a + b, 0);
+
+		return {
+			startedAt: this.startedAt,
+			durationMs: nowMs - this.startedAt,
+			peak: { ...this._peak },
+			uniqueUsers: this._ids.size,
+			uniqueNicknames: this._nicknames.size,
+			nicknames: [...this._nicknames.values()],
+			timeline: this._timeline.map(p => ({ ...p })),
+
+			// most popular first
+			colors: [...this._colors.entries()]
+				.map(([color, seconds]) => ({
+					color,
+					seconds: Math.round(seconds),
+					share: totalPenSecs > 0 ? seconds / totalPenSecs : 0,
+				}))
+				.sort((a, b) => b.seconds - a.seconds),
+
+			heatmap: {
+				w: HEATMAP_W,
+				h: HEATMAP_H,
+				cells: [...this._heat],
+				max: Math.max(0, ...this._heat),
+			},
+		};
+	}
+
+
+	/**
+	 * The stats as a JSON file's text
+	 *
+	 * @param {string} roomCode - the room, for the file
+	 * @returns {string}
+	 */
+	toJSON(roomCode) {
+
+		const s = this.summary();
+		return JSON.stringify({
+			room: roomCode,
+			startedAt: new Date(s.startedAt).toISOString(),
+			...s,
+			peak: { count: s.peak.count, at: s.peak.at && new Date(s.peak.at).toISOString() },
+		}, null, '\t');
+	}
+
+
+	/**
+	 * The stats as a CSV file's text (one section per table, split by blank lines)
+	 *
+	 * @param {string} [roomCode] - the room, for the heading
+	 * @param {function(string): string} [colorName] - turns a color into something readable
+	 * @returns {string}
+	 */
+	toCSV(roomCode = '', colorName = (c) => c) {
+
+		const s = this.summary();
+		const lines = [];
+
+		lines.push('Room,Started,Duration (s),Peak users,Peak at,Unique users,Unique nicknames');
+		lines.push([
+			roomCode,
+			new Date(s.startedAt).toISOString(),
+			Math.round(s.durationMs / 1000),
+			s.peak.count,
+			s.peak.at ? new Date(s.peak.at).toISOString() : '',
+			s.uniqueUsers,
+			s.uniqueNicknames,
+		].map(csvCell).join(','));
+
+		lines.push('');
+		lines.push('Time,Seconds in,Concurrent users');
+		for (const p of s.timeline)
+			lines.push([new Date(s.startedAt + p.t).toISOString(), p.t / 1000, p.count].map(csvCell).join(','));
+
+		lines.push('');
+		lines.push('Color,Pen-seconds,Share');
+		for (const c of s.colors)
+			lines.push([colorName(c.color), c.seconds, c.share.toFixed(3)].map(csvCell).join(','));
+
+		lines.push('');
+		lines.push(`Heatmap (${s.heatmap.w}x${s.heatmap.h}; rows top to bottom)`);
+		for (let row = 0; row < s.heatmap.h; row++)
+			lines.push(s.heatmap.cells.slice(row * s.heatmap.w, (row + 1) * s.heatmap.w).join(','));
+
+		return lines.join('\n') + '\n';
+	}
+
+
+	/**
+	 * Stop sampling
+	 */
+	destroy() {
+		clearInterval(this._timer);
+		this._timer = null;
+	}
+
+}
+
+
+/**
+ * Quote a CSV cell if it needs it
+ *
+ * @param {any} v - the value
+ * @returns {string}
+ */
+function csvCell(v) {
+	const s = String(v ?? '');
+	return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
@@ -0,0 +1,916 @@
+/*
+	MockBackend.js
+	--------------
+
+	A tiny, in-browser stand-in for the pen.lighting API & socket server,
+	for developing without the real backend running.
+
+	REST (mockFetch):
+		POST	/rooms					create a room -> { code, editCode }
+		GET		/rooms/:code			public room details (+ isProtected, pwLength)
+		POST	/rooms/:code/edit		{ editCode } -> full room details incl. editCode
+		PUT		/rooms/:code			{ ...settings, editCode } -> updates & broadcasts roomSettings
+		POST	/users/join/:code		{ password, nick } -> { ok: true } (403 if the room's nickname policy refuses nick)
+
+	Sockets (MockWebSocket):
+		Speaks the same hello / update / state / roomSettings protocol as the
+		real server, plus the compact v2 stream (see positionCodec.js), and
+		answers heartbeat pings. Mod sockets (w/ the edit code) get the OBS
+		stream, can moderate the room (see moderation.js) & send stage cues
+		(see stageCues.js). Users' reactions (see reactions.js) are checked
+		against the room's settings & rate limited, then passed on to OBS. In the
+		seated layout, the OBS socket says who sits where & each user socket is
+		told its own seat.
+
+	Rooms live in localStorage, and socket traffic is shared between tabs with a
+	BroadcastChannel - so one laptop can run /create, /room/:code and /obs/:code
+	in separate tabs, end to end, with no network at all.
+
+	There's no real "server" process. Each tab runs a MockServer for its own
+	sockets, and the tabs gossip over the channel:
+		frame			a user's position frame, for OBS sockets in the room
+		gone			a user left
+		who				an OBS socket joined & wants everyone's current state
+		roomSettings	a room was edited
+		stage			an OBS socket reported its stage size, for user sockets in the room
+		stageWho		a user socket joined & wants the room's stage size
+		seats			an OBS socket gave out seats (seated layout), for user sockets in the room
+		seatsWho		a user socket joined & wants its seat
+		moderation		a room's moderation changed (it lives in localStorage, so just re-read it)
+		remove			kick a user (by id or nickname) out of a room
+		rename			a mod forced a user's nickname
+		cue				a mod started (or ended) a stage cue
+		cueWho			a socket joined & wants the room's running cue
+		reaction		a user sent a reaction, for OBS sockets in the room
+	Users re-announce themselves every couple seconds, and users that go quiet
+	(e.g. their tab was closed w/o a clean disconnect) are expired.
+*/
+
+// our app
+import { parseRoomSettings, parseCue } from './roomSettingsSchema.js';
+import { PROTOCOL_VERSION, quantizeState } from './positionCodec.js';
+import { REMOVED_REASONS, emptyModeration, nicknameKey } from './moderation.js';
+import { applyNicknamePolicy } from './nicknamePolicy.js';
+import { cuePhase } from './stageCues.js';
+import { ReactionLimiter, allowedReactions } from './reactions.js';
+
+// storage & channel names
+const ROOMS_KEY = 'pen.lighting:mockRooms';
+const MODERATION_KEY = 'pen.lighting:mockModeration';
+const CHANNEL_NAME = 'pen.lighting:mockSockets';
+
+// how often users re-announce, & how long until a silent user is dropped
+const KEEPALIVE_MS = 2000;
+const EXPIRE_MS = 6000;
+
+// fake network latency, so async code paths behave like the real thing
+const LATENCY_MS = 30;
+
+
+/* ---------- Rooms (localStorage) ---------- */
+
+/**
+ * Load all mock rooms
+ *
+ * @returns {object} code -> room
+ */
+function loadRooms() {
+	try {
+		return JSON.parse(localStorage.getItem(ROOMS_KEY) || '{}');
+	} catch {
+		return {};
+	}
+}
+
+
+/**
+ * Save all mock rooms
+ *
+ * @param {object} rooms - code -> room
+ */
+function saveRooms(rooms) {
+	localStorage.setItem(ROOMS_KEY, JSON.stringify(rooms));
+}
+
+
+/**
+ * Load a room's moderation (hidden, renamed & bans)
+ *
+ * @param {string} code - the room code
+ * @returns {object} the room's moderation
+ */
+function loadModeration(code) {
+	let all = {};
+	try { all = JSON.parse(localStorage.getItem(MODERATION_KEY) || '{}'); } catch { /* start fresh */ }
+	return { ...emptyModeration(), ...(all[code] || {}) };
+}
+
+
+/**
+ * Save a room's moderation
+ *
+ * @param {string} code - the room code
+ * @param {object} moderation - the room's moderation
+ */
+function saveModeration(code, moderation) {
+	let all = {};
+	try { all = JSON.parse(localStorage.getItem(MODERATION_KEY) || '{}'); } catch { /* start fresh */ }
+	all[code] = moderation;
+	localStorage.setItem(MODERATION_KEY, JSON.stringify(all));
+}
+
+
+/**
+ * Make a random code from an alphabet
+ *
+ * @param {number} len - length of the code
+ * @param {string} [alphabet] - characters to use
+ * @returns {string} the code
+ */
+function randomCode(len, alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789') {
+	let out = '';
+	for (let i = 0; i < len; i++)
+		out += alphabet[Math.floor(Math.random() * alphabet.length)];
+	return out;
+}
+
+
+/**
+ * Strip the private bits off a room for public consumption
+ *
+ * @param {object} room - the stored room
+ * @returns {object} public room details
+ */
+function publicRoom(room) {
+
+	const { password, editCode, ...rest } = room;
+	return {
+		...rest,
+		isProtected: !!password,
+		pwLength: password ? password.length : null,
+	};
+}
+
+
+/* ---------- REST ---------- */
+
+/**
+ * Build a JSON Response
+ *
+ * @param {number} status - HTTP status
+ * @param {object} body - JSON body
+ * @returns {Response}
+ */
+function json(status, body) {
+	return new Response(JSON.stringify(body), {
+		status,
+		headers: { 'Content-Type': 'application/json' }
+	});
+}
+
+
+/**
+ * Handle a mock REST request
+ *
+ * @param {string} method - HTTP method
+ * @param {string[]} parts - path segments, e.g. ['rooms', 'ABC123', 'edit']
+ * @param {object|null} body - parsed JSON body
+ * @returns {Response}
+ */
+function route(method, parts, body) {
+
+	const rooms = loadRooms();
+	const [root, code, action] = parts;
+	const room = code ? rooms[code] : null;
+
+	// POST /rooms
+	if (root === 'rooms' && !code && method === 'POST') {
+
+		let settings;
+		try { settings = parseRoomSettings(body, 'POST /rooms'); }
+		catch (err) { return json(400, { error: err.message }); }
+
+		let newCode;
+		do { newCode = randomCode(6); } while (rooms[newCode]);
+
+		rooms[newCode] = { ...settings, code: newCode, editCode: randomCode(8) };
+		saveRooms(rooms);
+		return json(200, { code: newCode, editCode: rooms[newCode].editCode });
+	}
+
+	// POST /users/join/:code
+	if (root === 'users' && parts[1] === 'join' && method === 'POST') {
+		const joinRoom = rooms[parts[2]];
+		if (!joinRoom)
+			return json(404, { error: 'Room not found' });
+		if ((joinRoom.password || '') !== (body?.password || ''))
+			return json(403, { error: 'Incorrect password' });
+		if (body?.nick && !applyNicknamePolicy(body.nick, joinRoom).ok)
+			return json(403, { error: 'Nickname not allowed' });
+		return json(200, { ok: true });
+	}
+
+	// everything else needs a room that exists
+	if (!room)
+		return json(404, { error: 'Room not found' });
+
+	// GET /rooms/:code
+	if (root === 'rooms' && !action && method === 'GET')
+		return json(200, publicRoom(room));
+
+	// POST /rooms/:code/edit
+	if (root === 'rooms' && action === 'edit' && method === 'POST') {
+		if (body?.editCode !== room.editCode)
+			return json(403, { error: 'Invalid edit code' });
+		return json(200, room);
+	}
+
+	// PUT /rooms/:code
+	if (root === 'rooms' && !action && method === 'PUT') {
+
+		if (body?.editCode !== room.editCode)
+			return json(403, { error: 'Invalid edit code' });
+
+		let settings;
+		try { settings = parseRoomSettings({ ...room, ...body }, `PUT /rooms/${code}`); }
+		catch (err) { return json(400, { error: err.message }); }
+
+		rooms[code] = { ...room, ...settings };
+		saveRooms(rooms);
+
+		// let every connected client know, in every tab
+		getServer().publish({ kind: 'roomSettings', room: code, settings: publicRoom(rooms[code]) });
+		return json(200, rooms[code]);
+	}
+
+	return json(404, { error: `No mock route for ${method} /${parts.join('/')}` });
+}
+
+
+/**
+ * Drop-in replacement for fetch() against the API
+ *
+ * @param {string} path - API path, e.g. '/rooms/ABC123'
+ * @param {RequestInit} [init] - same as fetch()
+ * @returns {Promise<Response>}
+ */
+export function mockFetch(path, init = {}) {
+
+	return new Promise((resolve, reject) => {
+
+		// honor aborts like the real fetch
+		const signal = init.signal;
+		if (signal?.aborted)
+			return reject(new DOMException('Aborted', 'AbortError'));
+
+		const timer = setTimeout(() => {
+
+			const method = (init.method || 'GET').toUpperCase();
+			const parts = String(path).split('?')[0].split('/').filter(Boolean).map(decodeURIComponent);
+
+			let body = null;
+			try { body = init.body ? JSON.parse(init.body) : null; } catch { }
+
+			resolve(route(method, parts, body));
+
+		}, LATENCY_MS);
+
+		signal?.addEventListener('abort', () => {
+			clearTimeout(timer);
+			reject(new DOMException('Aborted', 'AbortError'));
+		}, { once: true });
+	});
+}
+
+
+/* ---------- Sockets ---------- */
+
+/**
+ * The per-tab mock socket server
+ */
+class MockServer {
+
+	constructor() {
+
+		// sockets in this tab
+		this.sockets = new Set();
+
+		// users from any tab we've heard from recently: `${room}::${id}` -> last seen time
+		this.seen = new Map();
+
+		// the last stage size reported in each room: room -> { w, h, penSize }
+		this.stages = new Map();
+
+		// who sits where in each room, as the OBS page last said: room -> { [id]: { slot, rows, perRow } }
+		this.seats = new Map();
+
+		// the running (or counting down) stage cue in each room: room -> cue
+		this.cues = new Map();
+
+		// the last nickname we saw for each user: `${room}::${id}` -> nickname (for ban lists)
+		this.names = new Map();
+
+		// talk to the other tabs
+		this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+		if (this.channel)
+			this.channel.onmessage = (e) => this._onEvent(e.data);
+
+		// keep-alives & expiry
+		setInterval(() => this._tick(), KEEPALIVE_MS / 2);
+	}
+
+
+	/**
+	 * Send an event to every tab (including this one)
+	 *
+	 * @param {object} evt - the event
+	 */
+	publish(evt) {
+		this.channel?.postMessage(evt);
+		this._onEvent(evt);
+	}
+
+
+	/**
+	 * A socket in this tab connected
+	 *
+	 * @param {MockWebSocket} sock - the socket
+	 */
+	attach(sock) {
+		sock._session = { role: null, room: null, id: randomCode(10), session: null, nickname: '', forcedName: '', seq: 0, state: null };
+		this.sockets.add(sock);
+	}
+
+
+	/**
+	 * A socket in this tab disconnected
+	 *
+	 * @param {MockWebSocket} sock - the socket
+	 */
+	detach(sock) {
+
+		this.sockets.delete(sock);
+
+		const s = sock._session;
+		if (s?.role === 'user' && s.room)
+			this.publish({ kind: 'gone', room: s.room, id: s.id });
+	}
+
+
+	/**
+	 * Handle a message from a client socket
+	 *
+	 * @param {MockWebSocket} sock - the socket
+	 * @param {object} msg - the parsed message
+	 */
+	fromClient(sock, msg) {
+
+		const s = sock._session;
+		if (!s)
+			return;
+
+		switch (msg?.type) {
+
+			case 'ping':
+				sock._deliver({ type: 'pong', t: msg.t });
+				break;
+
+			case 'hello': {
+				s.role = ['obs', 'mod'].includes(msg.role) ? msg.role : 'user';
+				s.room = String(msg.roomCode || '');
+				s.nickname = String(msg.nickname || '');
+
+				// users w/ a session token keep the same id across reconnects
+				if (s.role === 'user' && typeof msg.session === 'string' && msg.session) {
+					s.session = msg.session.slice(0, 64);
+					s.id = s.session;
+				}
+
+				// mods need the room's edit code
+				if (s.role === 'mod' && loadRooms()[s.room]?.editCode !== msg.editCode) {
+					sock._deliver({ type: 'error', code: 'forbidden' });
+					setTimeout(() => sock.close(4003, 'forbidden'), 0);
+					break;
+				}
+
+				// banned users don't get in
+				const moderation = loadModeration(s.room);
+				if (s.role === 'user' && isBanned(moderation, s)) {
+					this._removeSocket(sock, REMOVED_REASONS.BANNED);
+					break;
+				}
+
+				// a forced rename sticks across reconnects
+				if (s.role === 'user' && moderation.renamed[s.id]) {
+					s.forcedName = moderation.renamed[s.id];
+					sock._deliver({ type: 'renamed', nickname: s.forcedName });
+				}
+
+				if (Number(msg.proto) >= PROTOCOL_VERSION)
+					sock._deliver({ type: 'welcome', proto: PROTOCOL_VERSION });
+
+				// new OBS & mod sockets start w/ an empty snapshot, then everyone re-announces
+				if (s.role !== 'user') {
+					sock._deliver({ type: 'state', room: s.room, users: [] });
+					sock._deliver(moderationMessage(s.room, moderation, s.role === 'mod'));
+					this.publish({ kind: 'who', room: s.room });
+				}
+
+				// everyone gets the room's running cue, if there is one (or we ask the other tabs)
+				const cue = this.cues.get(s.room);
+				if (cue && cuePhase(cue, Date.now()) !== 'done')
+					sock._deliver({ type: 'cue', room: s.room, cue });
+				else if (!cue)
+					this.publish({ kind: 'cueWho', room: s.room });
+
+				// new users get the OBS stage size, if we know it (or ask the other tabs)
+				if (s.role === 'user') {
+					const stage = this.stages.get(s.room);
+					if (stage)
+						sock._deliver({ type: 'stage', room: s.room, ...stage });
+					else
+						this.publish({ kind: 'stageWho', room: s.room });
+
+					// & their seat, in the seated layout
+					const seats = this.seats.get(s.room);
+					if (seats)
+						this._deliverSeat(sock, seats[s.id] ?? null);
+					else
+						this.publish({ kind: 'seatsWho', room: s.room });
+				}
+				break;
+			}
+
+			// a mod acting on the room
+			case 'mod':
+				if (s.role !== 'mod') break;
+				this._moderate(s.room, msg);
+				break;
+
+			// a mod starting or ending a stage cue
+			case 'cue': {
+				if (s.role !== 'mod') break;
+				if (msg.cue === null) {
+					this.publish({ kind: 'cue', room: s.room, cue: null });
+					break;
+				}
+				const cue = parseCue(msg.cue);
+				if (!cue) break;
+				this.publish({
+					kind: 'cue',
+					room: s.room,
+					cue: { ...cue, id: randomCode(8), startAt: Date.now() + cue.delayMs },
+				});
+				break;
+			}
+
+			// the OBS source's stage size
+			case 'stage':
+				if (s.role !== 'obs') break;
+				s.stage = pick(msg, ['w', 'h', 'penSize']);
+				this.publish({ kind: 'stage', room: s.room, stage: s.stage });
+				break;
+
+			// who the OBS source sat where
+			case 'seats':
+				if (s.role !== 'obs' || !msg.seats || typeof msg.seats !== 'object') break;
+				s.seats = msg.seats;
+				this.publish({ kind: 'seats', room: s.room, seats: s.seats });
+				break;
+
+			// a reaction (if the room allows it & they're not spamming)
+			case 'react': {
+				if (s.role !== 'user') break;
+				const room = loadRooms()[s.room];
+				if (!room || !allowedReactions(room).includes(msg.r)) break;
+				s.reactLimiter ||= new ReactionLimiter();
+				if (!s.reactLimiter.take()) break;
+				this.publish({ kind: 'reaction', room: s.room, id: s.id, r: msg.r });
+				break;
+			}
+
+			// v1: full updates
+			case 'update':
+				if (s.role !== 'user') break;
+				s.seq++;
+				s.state = quantizeState(msg);
+				this._announce(s, { k: 1, s: s.seq, ts: Date.now(), ...s.state });
+				break;
+
+			// v2: compact frames
+			case 'u': {
+				if (s.role !== 'user') break;
+				const { type, ...frame } = msg;
+				s.seq = frame.s;
+				s.state = { ...(s.state || {}), ...pick(frame, ['x', 'y', 'r', 'c', 'c2', 'nc']) };
+				this._announce(s, frame);
+				break;
+			}
+		}
+	}
+
+
+	/**
+	 * Apply a mod's action to a room & tell every tab
+	 *
+	 * @param {string} room - the room code
+	 * @param {object} msg - the 'mod' message
+	 */
+	_moderate(room, msg) {
+
+		const m = loadModeration(room);
+		const id = msg.id != null ? String(msg.id) : null;
+		const nickname = typeof msg.nickname === 'string' ? msg.nickname.trim() : '';
+
+		switch (msg.action) {
+
+			case 'kick':
+				if (id) this.publish({ kind: 'remove', room, id, reason: REMOVED_REASONS.KICKED });
+				return;
+
+			case 'hide':
+				if (id && !m.hidden.includes(id)) m.hidden.push(id);
+				break;
+
+			case 'unhide':
+				m.hidden = m.hidden.filter(h => h !== id);
+				break;
+
+			case 'rename':
+				if (!id) return;
+				if (nickname) m.renamed[id] = nickname.slice(0, 32);
+				else delete m.renamed[id];
+				this.publish({ kind: 'rename', room, id, nickname: m.renamed[id] || '' });
+				break;
+
+			case 'ban':
+				if (id) {
+					if (!m.bans.sessions.some(b => b.session === id))
+						m.bans.sessions.push({ session: id, nickname: this.names.get(`${room}::${id}`) || '' });
+					this.publish({ kind: 'remove', room, id, reason: REMOVED_REASONS.BANNED });
+				} else if (nickname) {
+					if (!m.bans.nicknames.some(n => nicknameKey(n) === nicknameKey(nickname)))
+						m.bans.nicknames.push(nickname);
+					this.publish({ kind: 'remove', room, nickname, reason: REMOVED_REASONS.BANNED });
+				}
+				break;
+
+			case 'unban':
+				if (typeof msg.session === 'string')
+					m.bans.sessions = m.bans.sessions.filter(b => b.session !== msg.session);
+				if (nickname)
+					m.bans.nicknames = m.bans.nicknames.filter(n => nicknameKey(n) !== nicknameKey(nickname));
+				break;
+
+			default:
+				return;
+		}
+
+		saveModeration(room, m);
+		this.publish({ kind: 'moderation', room });
+	}
+
+
+	/**
+	 * Tell a user socket they've been removed, then close it
+	 *
+	 * @param {MockWebSocket} sock - the socket
+	 * @param {string} reason - one of REMOVED_REASONS
+	 */
+	_removeSocket(sock, reason) {
+		sock._deliver({ type: 'removed', reason });
+		setTimeout(() => sock.close(4001, reason), 0);
+	}
+
+
+	/**
+	 * Publish a user's frame to all tabs
+	 *
+	 * @param {object} s - the socket session
+	 * @param {object} frame - the frame fields
+	 */
+	_announce(s, frame) {
+		this.publish({
+			kind: 'frame',
+			room: s.room,
+			frame: { id: s.id, n: frame.k ? (s.forcedName || s.nickname) : undefined, ...frame }
+		});
+	}
+
+
+	/**
+	 * Handle an event from any tab
+	 *
+	 * @param {object} evt - the event
+	 */
+	_onEvent(evt) {
+
+		switch (evt?.kind) {
+
+			case 'frame':
+				this.seen.set(`${evt.room}::${evt.frame.id}`, Date.now());
+				if (evt.frame.n !== undefined)
+					this.names.set(`${evt.room}::${evt.frame.id}`, evt.frame.n);
+				this._toObs(evt.room, { type: 'delta', room: evt.room, users: [evt.frame] });
+				break;
+
+			case 'gone':
+				this.seen.delete(`${evt.room}::${evt.id}`);
+				this.names.delete(`${evt.room}::${evt.id}`);
+				this._toObs(evt.room, { type: 'delta', room: evt.room, users: [], gone: [evt.id] });
+				break;
+
+			case 'who':
+				for (const sock of this.sockets)
+					this._keyframe(sock._session, evt.room);
+				break;
+
+			case 'roomSettings':
+				for (const sock of this.sockets)
+					if (sock._session?.room === evt.room)
+						sock._deliver({ type: 'roomSettings', settings: evt.settings });
+				break;
+
+			case 'stage':
+				this.stages.set(evt.room, evt.stage);
+				for (const sock of this.sockets)
+					if (sock._session?.role === 'user' && sock._session.room === evt.room)
+						sock._deliver({ type: 'stage', room: evt.room, ...evt.stage });
+				break;
+
+			case 'seats':
+				this.seats.set(evt.room, evt.seats);
+				for (const sock of this.sockets)
+					if (sock._session?.role === 'user' && sock._session.room === evt.room)
+						this._deliverSeat(sock, evt.seats[sock._session.id] ?? null);
+				break;
+
+			case 'moderation': {
+				const m = loadModeration(evt.room);
+				for (const sock of this.sockets) {
+					const s = sock._session;
+					if (s?.room === evt.room && (s.role === 'obs' || s.role === 'mod'))
+						sock._deliver(moderationMessage(evt.room, m, s.role === 'mod'));
+				}
+				break;
+			}
+
+			case 'remove':
+				for (const sock of this.sockets) {
+					const s = sock._session;
+					if (s?.role !== 'user' || s.room !== evt.room)
+						continue;
+					const byNick = evt.nickname && nicknameKey(s.forcedName || s.nickname) === nicknameKey(evt.nickname);
+					if (s.id === evt.id || byNick)
+						this._removeSocket(sock, evt.reason);
+				}
+				break;
+
+			case 'rename':
+				for (const sock of this.sockets) {
+					const s = sock._session;
+					if (s?.role === 'user' && s.room === evt.room && s.id === evt.id) {
+						s.forcedName = evt.nickname;
+						sock._deliver({ type: 'renamed', nickname: evt.nickname || s.nickname });
+						this._keyframe(s);
+					}
+				}
+				break;
+
+			case 'cue':
+				if (evt.cue) this.cues.set(evt.room, evt.cue);
+				else this.cues.delete(evt.room);
+				for (const sock of this.sockets)
+					if (sock._session?.room === evt.room)
+						sock._deliver({ type: 'cue', room: evt.room, cue: evt.cue });
+				break;
+
+			case 'reaction':
+				this._toObs(evt.room, { type: 'reaction', room: evt.room, id: evt.id, r: evt.r });
+				break;
+
+			case 'cueWho': {
+				const cue = this.cues.get(evt.room);
+				if (cue && cuePhase(cue, Date.now()) !== 'done')
+					this.publish({ kind: 'cue', room: evt.room, cue });
+				break;
+			}
+
+			case 'stageWho':
+				for (const sock of this.sockets) {
+					const s = sock._session;
+					if (s?.role === 'obs' && s.room === evt.room && s.stage)
+						this.publish({ kind: 'stage', room: s.room, stage: s.stage });
+				}
+				break;
+
+			case 'seatsWho':
+				for (const sock of this.sockets) {
+					const s = sock._session;
+					if (s?.role === 'obs' && s.room === evt.room && s.seats)
+						this.publish({ kind: 'seats', room: s.room, seats: s.seats });
+				}
+				break;
+		}
+	}
+
+
+	/**
+	 * Re-announce a user's full state (if they're in the given room)
+	 *
+	 * @param {object} s - the socket session
+	 * @param {string} [room] - only if in this room
+	 */
+	_keyframe(s, room) {
+		if (s?.role !== 'user' || !s.state || (room && s.room !== room))
+			return;
+		this._announce(s, { k: 1, s: s.seq, ts: Date.now(), ...s.state });
+	}
+
+
+	/**
+	 * Deliver a message to every OBS (& mod) socket in a room, in this tab
+	 *
+	 * @param {string} room - the room code
+	 * @param {object} msg - the message
+	 */
+	_toObs(room, msg) {
+		for (const sock of this.sockets) {
+			const s = sock._session;
+			if ((s?.role === 'obs' || s?.role === 'mod') && s.room === room)
+				sock._deliver(msg);
+		}
+	}
+
+
+	/**
+	 * Tell a user socket its seat, unless that's what we last told it
+	 *
+	 * @param {MockWebSocket} sock - a user socket
+	 * @param {object|null} seat - its { slot, rows, perRow }, or null if it hasn't got one
+	 */
+	_deliverSeat(sock, seat) {
+
+		const key = JSON.stringify(seat);
+		if (sock._session.seatKey === key)
+			return;
+		sock._session.seatKey = key;
+		sock._deliver({ type: 'seat', room: sock._session.room, seat });
+	}
+
+
+	/**
+	 * Keep our users alive in other tabs, & drop users whose tabs went away
+	 */
+	_tick() {
+
+		const now = Date.now();
+
+		for (const sock of this.sockets) {
+			const s = sock._session;
+			if (s && now - (s.lastKeepalive || 0) >= KEEPALIVE_MS) {
+				s.lastKeepalive = now;
+				this._keyframe(s);
+			}
+		}
+
+		for (const [key, at] of this.seen) {
+			if (now - at > EXPIRE_MS) {
+				this.seen.delete(key);
+				const [room, id] = key.split('::');
+				this._toObs(room, { type: 'delta', room, users: [], gone: [id] });
+			}
+		}
+	}
+
+}
+
+
+/**
+ * Is this user session banned from the room?
+ *
+ * @param {object} m - the room's moderation
+ * @param {object} s - the socket session
+ * @returns {boolean}
+ */
+function isBanned(m, s) {
+	if (s.session && m.bans.sessions.some(b => b.session === s.session))
+		return true;
+	const nick = nicknameKey(s.nickname);
+	return m.bans.nicknames.some(n => nicknameKey(n) === nick);
+}
+
+
+/**
+ * Build the 'moderation' message for a room (ban lists are for mods only)
+ *
+ * @param {string} room - the room code
+ * @param {object} m - the room's moderation
+ * @param {boolean} forMod - include the ban lists
+ * @returns {object} the message
+ */
+function moderationMessage(room, m, forMod) {
+	const msg = { type: 'moderation', room, hidden: m.hidden, renamed: m.renamed };
+	if (forMod)
+		msg.bans = m.bans;
+	return msg;
+}
+
+
+/**
+ * Copy just some keys that are present
+ */
+function pick(obj, keys) {
+	const out = {};
+	for (const k of keys)
+		if (obj[k] !== undefined) out[k] = obj[k];
+	return out;
+}
+
+
+// one server per tab, made on first use
+let server = null;
+function getServer() {
+	if (!server)
+		server = new MockServer();
+	return server;
+}
+
+
+/**
+ * WebSocket look-alike that talks to the mock server
+ */
+export class MockWebSocket {
+
+	static CONNECTING = 0;
+	static OPEN = 1;
+	static CLOSING = 2;
+	static CLOSED = 3;
+
+	/**
+	 * @param {string} url - ignored, kept for API compatibility
+	 */
+	constructor(url) {
+
+		this.url = url;
+		this.readyState = MockWebSocket.CONNECTING;
+		this._listeners = {};
+		this._session = null;
+
+		setTimeout(() => {
+			if (this.readyState !== MockWebSocket.CONNECTING)
+				return;
+			this.readyState = MockWebSocket.OPEN;
+			getServer().attach(this);
+			this._emit('open', {});
+		}, LATENCY_MS);
+	}
+
+	addEventListener(type, fn) {
+		(this._listeners[type] ||= []).push(fn);
+	}
+
+	removeEventListener(type, fn) {
+		this._listeners[type] = (this._listeners[type] || []).filter(f => f !== fn);
+	}
+
+	send(data) {
+		if (this.readyState !== MockWebSocket.OPEN)
+			throw new Error('MockWebSocket is not open');
+
+		let msg;
+		try { msg = JSON.parse(data); } catch { return; }
+		setTimeout(() => getServer().fromClient(this, msg), 0);
+	}
+
+	close(code = 1000, reason = '') {
+
+		if (this.readyState >= MockWebSocket.CLOSING)
+			return;
+
+		const wasOpen = this.readyState === MockWebSocket.OPEN;
+		this.readyState = MockWebSocket.CLOSED;
+		if (wasOpen)
+			getServer().detach(this);
+
+		setTimeout(() => this._emit('close', { code, reason }), 0);
+	}
+
+	/**
+	 * Called by the server to send this socket a message
+	 *
+	 * @param {object} msg - the message
+	 */
+	_deliver(msg) {
+		setTimeout(() => {
+			if (this.readyState === MockWebSocket.OPEN)
+				this._emit('message', { data: JSON.stringify(msg) });
+		}, 0);
+	}
+
+	_emit(type, evt) {
+		for (const fn of this._listeners[type] || [])
+			fn(evt);
+	}
+
+}
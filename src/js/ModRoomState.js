@@ -0,0 +1,364 @@
+/*
+	ModRoomState.js
+	---------------
+
+	This is a vanilla JS class that will use some dynamic VUE refs
+	to handle the static logic for moderating a room from the edit page.
+
+	It connects as a 'mod' (w/ the room's edit code), gets the same user stream
+	the OBS page does, and keeps a live list of who's in the room: their color,
+	nickname & when they last moved. Actions (kick, hide, rename, ban) are sent
+	back over the same socket - see moderation.js for the protocol. Stage cues
+	(see stageCues.js) go out on it too.
+
+	The live user list also feeds the room's audience stats (see AudienceAnalytics.js).
+
+	This will be imported and instantiated in EditRoomView.vue, & shared by
+	ModerationPanel.vue, CuePanel.vue & AnalyticsPanel.vue
+*/
+
+// vue
+import { ref, shallowRef } from 'vue';
+
+// our app
+import { parseStateMessage, parseModerationMessage, parseCueMessage } from './roomSettingsSchema.js';
+import { RoomSocket } from './RoomSocket.js';
+import { getWsUrl, getWebSocketImpl } from './transport.js';
+import { PROTOCOL_VERSION, decodeUserFrame } from './positionCodec.js';
+import { emptyModeration } from './moderation.js';
+import { AudienceAnalytics } from './AudienceAnalytics.js';
+import { anonUserId } from './MotionBuffer.js';
+
+// how often we publish the user list (it's a table, it doesn't need 60fps)
+const PUBLISH_MS = 500;
+
+
+/**
+ * Manages the moderation socket & live user list for one room
+ */
+export class ModRoomState {
+
+	/**
+	 * Builds the ModRoomState instance
+	 *
+	 * @param {string} roomCode - The room code to moderate
+	 * @param {string} editCode - The room's edit code
+	 * @param {string} [wsUrl] - Optional WebSocket URL to connect to (defaults to current host)
+	 */
+	constructor(roomCode, editCode, wsUrl) {
+
+		// save params
+		this.roomCode = roomCode;
+		this.editCode = editCode;
+		this.wsUrl = wsUrl ?? getWsUrl();
+
+		// id -> { id, nickname, color, noCues, x, y, joinedAt, lastMoveAt }
+		this._users = new Map();
+		this._dirty = false;
+
+		// the socket (handles reconnect backoff & heartbeats for us)
+		this._socket = new RoomSocket(this.wsUrl, {
+			onOpen: () => this._onOpen(),
+			onMessage: (msg) => this._onMessage(msg),
+			WebSocketImpl: getWebSocketImpl(),
+		});
+		this.connectionStatusRef = this._socket.statusRef; // see SOCKET_STATUS
+		this.reconnectAttemptRef = this._socket.attemptRef;
+		this.nextRetryAtRef = this._socket.nextRetryAtRef;
+
+		// reactive state for templates
+		this.usersRef = shallowRef([]);
+		this.moderationRef = shallowRef(emptyModeration());
+		this.cueRef = shallowRef(null);	// the room's running cue, as the audience sees it
+		this.errorRef = ref('');
+
+		// audience stats, from the same user list
+		this.analytics = new AudienceAnalytics(() => this._users.values());
+
+		this.connect();
+		this._publishTimer = setInterval(() => this._publish(), PUBLISH_MS);
+	}
+
+
+	/**
+	 * Connects to the WebSocket server (reconnects & heartbeats are handled by RoomSocket)
+	 */
+	connect() {
+		this._socket.connect();
+	}
+
+
+	/**
+	 * Called on every successful (re)connect
+	 */
+	_onOpen() {
+
+		// identify as a moderator (the server answers w/ a fresh state & moderation)
+		this._socket.send({
+			type: 'hello',
+			role: 'mod',
+			roomCode: this.roomCode,
+			editCode: this.editCode,
+			proto: PROTOCOL_VERSION
+		});
+	}
+
+
+	/**
+	 * Handle incoming messages
+	 *
+	 * @param {object} msg - the parsed message
+	 */
+	_onMessage(msg) {
+
+		// wrong edit code - don't keep hammering the server
+		if (msg?.type === 'error' && msg?.code === 'forbidden') {
+			this.errorRef.value = 'The server refused the edit code for moderation.';
+			this._socket.destroy();
+			return;
+		}
+
+		if (msg?.type === 'state' && msg?.room === this.roomCode) {
+			const state = parseStateMessage(msg);
+			if (state)
+				this._applySnapshot(state.users);
+		}
+
+		if (msg?.type === 'delta' && msg?.room === this.roomCode)
+			this._applyDelta(msg);
+
+		if (msg?.type === 'moderation' && (msg.room == null || msg.room === this.roomCode)) {
+			const moderation = parseModerationMessage(msg);
+			if (moderation)
+				this.moderationRef.value = moderation;
+		}
+
+		if (msg?.type === 'cue' && (msg.room == null || msg.room === this.roomCode)) {
+			const parsed = parseCueMessage(msg);
+			if (parsed)
+				this.cueRef.value = parsed.cue;
+		}
+	}
+
+
+	/**
+	 * Replace the user list w/ a full snapshot
+	 *
+	 * @param {Array<object>} users - users from a 'state' message
+	 */
+	_applySnapshot(users) {
+
+		const now = Date.now();
+		const next = new Map();
+		const anonCounts = new Map();
+		users.forEach((u) => {
+			const id = u.id != null ? String(u.id) : anonUserId(u, anonCounts);
+			const old = this._users.get(id);
+			next.set(id, {
+				id,
+				nickname: u.nickname,
+				color: u.color,
+				noCues: !!u.noCues,
+				x: u.x,
+				y: u.y,
+				joinedAt: old?.joinedAt ?? now,
+				lastMoveAt: old && old.x === u.x && old.y === u.y ? old.lastMoveAt : now,
+			});
+		});
+
+		this._users = next;
+		this._dirty = true;
+	}
+
+
+	/**
+	 * Apply a batch of compact per-user frames
+	 *
+	 * @param {object} msg - the 'delta' message
+	 */
+	_applyDelta(msg) {
+
+		if (!Array.isArray(msg.users))
+			return;
+
+		const now = Date.now();
+		for (const raw of msg.users) {
+
+			const f = decodeUserFrame(raw);
+			if (!f)
+				continue;
+
+			let user = this._users.get(f.id);
+			if (!user) {
+
+				// can't place someone we've never had a keyframe for
+				if (!f.keyframe)
+					continue;
+
+				user = { id: f.id, nickname: '', color: undefined, noCues: false, x: f.x, y: f.y, joinedAt: now, lastMoveAt: now };
+				this._users.set(f.id, user);
+			}
+
+			// keep-alive keyframes re-send the same position, so only count real movement
+			const moved = (f.x !== undefined && f.x !== user.x) || (f.y !== undefined && f.y !== user.y);
+			if (f.nickname !== undefined) user.nickname = f.nickname;
+			if (f.color !== undefined) user.color = f.color;
+			if (f.noCues !== undefined) user.noCues = f.noCues;
+			if (f.x !== undefined) user.x = f.x;
+			if (f.y !== undefined) user.y = f.y;
+			if (moved) user.lastMoveAt = now;
+		}
+
+		if (Array.isArray(msg.gone))
+			for (const id of msg.gone)
+				this._users.delete(String(id));
+
+		this._dirty = true;
+	}
+
+
+	/**
+	 * Publish the user list for templates, if anything changed
+	 */
+	_publish() {
+
+		if (!this._dirty)
+			return;
+		this._dirty = false;
+
+		// oldest first, so the list doesn't jump around
+		this.usersRef.value = [...this._users.values()]
+			.map(u => ({ ...u }))
+			.sort((a, b) => a.joinedAt - b.joinedAt);
+	}
+
+
+	/**
+	 * Send a moderation action
+	 *
+	 * @param {string} action - one of MOD_ACTIONS
+	 * @param {object} args - the action's fields
+	 * @returns {boolean} true if it was sent
+	 */
+	_send(action, args) {
+		return this._socket.send({ type: 'mod', room: this.roomCode, action, ...args });
+	}
+
+
+	/**
+	 * Disconnect a user (they can come back)
+	 *
+	 * @param {string} id - the user's id
+	 */
+	kick(id) {
+		return this._send('kick', { id });
+	}
+
+
+	/**
+	 * Keep a user connected, but off the stream
+	 *
+	 * @param {string} id - the user's id
+	 */
+	hide(id) {
+		return this._send('hide', { id });
+	}
+
+
+	/**
+	 * Put a hidden user back on the stream
+	 *
+	 * @param {string} id - the user's id
+	 */
+	unhide(id) {
+		return this._send('unhide', { id });
+	}
+
+
+	/**
+	 * Force a user's nickname ('' puts their own back)
+	 *
+	 * @param {string} id - the user's id
+	 * @param {string} nickname - the new nickname
+	 */
+	rename(id, nickname) {
+		return this._send('rename', { id, nickname: String(nickname || '').trim() });
+	}
+
+
+	/**
+	 * Kick a user & block their session from coming back
+	 *
+	 * @param {string} id - the user's id
+	 */
+	banSession(id) {
+		return this._send('ban', { id });
+	}
+
+
+	/**
+	 * Kick everyone using a nickname & block it from being used again
+	 *
+	 * @param {string} nickname - the nickname
+	 */
+	banNickname(nickname) {
+		return this._send('ban', { nickname: String(nickname || '').trim() });
+	}
+
+
+	/**
+	 * Lift a session ban
+	 *
+	 * @param {string} session - the banned session
+	 */
+	unbanSession(session) {
+		return this._send('unban', { session });
+	}
+
+
+	/**
+	 * Lift a nickname ban
+	 *
+	 * @param {string} nickname - the banned nickname
+	 */
+	unbanNickname(nickname) {
+		return this._send('unban', { nickname });
+	}
+
+
+	/**
+	 * Start a stage cue for the whole room (replaces any cue that's running)
+	 *
+	 * @param {object} cue - { kind, label?, color?, pattern?, durationMs?, delayMs? } (see cueSchema)
+	 * @returns {boolean} true if it was sent
+	 */
+	sendCue(cue) {
+		return this._socket.send({ type: 'cue', room: this.roomCode, cue });
+	}
+
+
+	/**
+	 * End the running stage cue
+	 *
+	 * @returns {boolean} true if it was sent
+	 */
+	endCue() {
+		return this._socket.send({ type: 'cue', room: this.roomCode, cue: null });
+	}
+
+
+	/**
+	 * Closes the connection and cleans up
+	 */
+	destroy() {
+
+		clearInterval(this._publishTimer);
+		this._publishTimer = null;
+		this.analytics.destroy();
+
+		this._socket.destroy();
+		this._users.clear();
+		this.usersRef.value = [];
+	}
+
+}
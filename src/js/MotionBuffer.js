@@ -0,0 +1,303 @@
+/*
+	MotionBuffer.js
+	---------------
+
+	A small jitter buffer for pen positions on the OBS stage.
+
+	Packets from phones don't arrive evenly - they bunch up & stall over the network.
+	If we drew each one the moment it arrived, motion would stutter. Instead, we
+	keep a short history of timestamped samples for each user & render slightly in
+	the past (delayMs), interpolating between the two samples around that time.
+
+	Phones' clocks don't agree with ours, so for each user we track an offset
+	between their timestamps & our receive time (the smallest one we've seen,
+	slowly relaxed, which approximates "their clock + least network delay").
+
+	Older servers send 'state' snapshots w/o ids. Those users are keyed by their
+	nickname & color instead of where they are in the list, so when someone
+	leaves, nobody else's history (or their turn on stage, see PenScheduler.js)
+	gets handed to the person after them.
+*/
+
+/**
+ * A stand-in id for a user the server didn't give one, e.g. "anon:alice:3"
+ * (people w/ the same name & color get "#2", "#3"... in the order they're listed)
+ *
+ * @param {object} u - the user, w/ { nickname, color }
+ * @param {Map<string, number>} counts - how many of each we've seen in this snapshot
+ * @returns {string} the id
+ */
+export function anonUserId(u, counts) {
+
+	const base = `anon:${String(u.nickname || '').trim().toLowerCase()}:${u.color ?? ''}`;
+	const n = (counts.get(base) || 0) + 1;
+	counts.set(base, n);
+	return n === 1 ? base : `${base}#${n}`;
+}
+
+
+/**
+ * Per-user buffered motion, w/ interpolated sampling
+ */
+export class MotionBuffer {
+
+	/**
+	 * Builds the MotionBuffer
+	 *
+	 * @param {object} [options]
+	 * @param {number} [options.delayMs=100] - how far in the past we render
+	 * @param {number} [options.maxSamples=12] - max history per user
+	 */
+	constructor({ delayMs = 100, maxSamples = 12 } = {}) {
+
+		this.delayMs = delayMs;
+		this.maxSamples = maxSamples;
+
+		// id -> entry
+		this._users = new Map();
+	}
+
+
+	/**
+	 * Number of users currently buffered
+	 */
+	get size() {
+		return this._users.size;
+	}
+
+
+	/**
+	 * Replace everything with a full snapshot (e.g. a 'state' message)
+	 *
+	 * @param {Array<object>} users - users w/ { id?, nickname, x, y, theta, color, color2?, noCues? }
+	 * @param {number} [nowMs=Date.now()] - local receive time
+	 */
+	applySnapshot(users, nowMs = Date.now()) {
+
+		const next = new Map();
+		const anonCounts = new Map();
+		users.forEach((u) => {
+
+			// users from older servers don't have ids, so make one up from who they look like
+			const id = u.id != null ? String(u.id) : anonUserId(u, anonCounts);
+
+			// keep existing history if we already know them, so motion stays smooth
+			const entry = this._users.get(id) || this._newEntry(id);
+			entry.nickname = String(u.nickname || '');
+			entry.color = u.color;
+			entry.color2 = u.color2 ?? null;
+			entry.noCues = !!u.noCues;
+			this._pushSample(entry, nowMs, {
+				x: Number(u.x),
+				y: Number(u.y),
+				theta: Number(u.theta || 0),
+			});
+
+			next.set(id, entry);
+		});
+
+		this._users = next;
+	}
+
+
+	/**
+	 * Apply decoded per-user frames (from decodeUserFrame)
+	 *
+	 * @param {Array<object>} frames - decoded frames
+	 * @param {Array<string>} [gone=[]] - ids of users who left
+	 * @param {number} [nowMs=Date.now()] - local receive time
+	 */
+	applyFrames(frames, gone = [], nowMs = Date.now()) {
+
+		for (const id of gone)
+			this._users.delete(String(id));
+
+		for (const f of frames) {
+
+			let entry = this._users.get(f.id);
+
+			// we can only start tracking someone from a keyframe
+			if (!entry) {
+				if (!f.keyframe)
+					continue;
+				entry = this._newEntry(f.id);
+				this._users.set(f.id, entry);
+			}
+
+			// a keyframe w/ a lower seq means they reconnected (so start them over), otherwise old frames are dropped
+			if (f.seq <= entry.seq) {
+				if (!f.keyframe)
+					continue;
+				entry = this._newEntry(f.id);
+				this._users.set(f.id, entry);
+			}
+			entry.seq = f.seq;
+
+			if (f.nickname !== undefined) entry.nickname = f.nickname;
+			if (f.color !== undefined) entry.color = f.color;
+			if (f.color2 !== undefined) entry.color2 = f.color2;
+			if (f.noCues !== undefined) entry.noCues = f.noCues;
+
+			// fill in unchanged fields from the last sample
+			const last = entry.last;
+			const sample = {
+				x: f.x ?? last.x,
+				y: f.y ?? last.y,
+				theta: f.theta ?? last.theta,
+			};
+
+			this._pushSample(entry, this._localTime(entry, f.ts, nowMs), sample);
+		}
+	}
+
+
+	/**
+	 * Get interpolated users for rendering
+	 *
+	 * @param {number} [nowMs=Date.now()] - current local time
+	 * @returns {Array<object>} [{ id, nickname, x, y, theta, color, color2, noCues }]
+	 */
+	sample(nowMs = Date.now()) {
+
+		const renderAt = nowMs - this.delayMs;
+		const out = [];
+
+		for (const entry of this._users.values()) {
+
+			const pos = this._interpolate(entry, renderAt);
+			out.push({
+				id: entry.id,
+				nickname: entry.nickname,
+				color: entry.color,
+				color2: entry.color2,
+				noCues: entry.noCues,
+				x: pos.x,
+				y: pos.y,
+				theta: pos.theta,
+			});
+		}
+
+		return out;
+	}
+
+
+	/**
+	 * Forget everyone
+	 */
+	clear() {
+		this._users.clear();
+	}
+
+
+	/**
+	 * Make a blank entry for a user
+	 *
+	 * @param {string} id - the user's id
+	 */
+	_newEntry(id) {
+		return {
+			id,
+			nickname: '',
+			color: undefined,
+			color2: null,
+			noCues: false,
+			seq: -Infinity,
+			offset: null,
+			last: { x: 0.5, y: 0.5, theta: 0 },
+			samples: [],
+		};
+	}
+
+
+	/**
+	 * Convert a sender timestamp into our local clock, updating the user's offset
+	 *
+	 * @param {object} entry - the user's entry
+	 * @param {number|null} ts - sender timestamp
+	 * @param {number} nowMs - our receive time
+	 * @returns {number} local time for the sample
+	 */
+	_localTime(entry, ts, nowMs) {
+
+		if (ts == null)
+			return nowMs;
+
+		// least-delayed packet wins, but relax slowly so clock drift can't pin it
+		const d = nowMs - ts;
+		if (entry.offset == null || d < entry.offset)
+			entry.offset = d;
+		else
+			entry.offset += (d - entry.offset) * 0.01;
+
+		return ts + entry.offset;
+	}
+
+
+	/**
+	 * Add a sample to a user's history (kept sorted by time)
+	 *
+	 * @param {object} entry - the user's entry
+	 * @param {number} t - local time of the sample
+	 * @param {object} s - { x, y, theta }
+	 */
+	_pushSample(entry, t, s) {
+
+		// skip garbage rather than poison the interpolation
+		if (!Number.isFinite(s.x) || !Number.isFinite(s.y) || !Number.isFinite(s.theta))
+			return;
+
+		const sample = { t, x: s.x, y: s.y, theta: s.theta };
+		const samples = entry.samples;
+
+		// usually it goes on the end, but late packets get slotted in
+		let i = samples.length;
+		while (i > 0 && samples[i - 1].t > t)
+			i--;
+		samples.splice(i, 0, sample);
+
+		if (samples.length > this.maxSamples)
+			samples.splice(0, samples.length - this.maxSamples);
+
+		entry.last = samples[samples.length - 1];
+	}
+
+
+	/**
+	 * Interpolate a user's position at a given local time
+	 *
+	 * @param {object} entry - the user's entry
+	 * @param {number} t - local time to sample at
+	 * @returns {{x:number, y:number, theta:number}}
+	 */
+	_interpolate(entry, t) {
+
+		const samples = entry.samples;
+		if (samples.length === 0)
+			return entry.last;
+
+		// before our history, or after it: hold the nearest end (no guessing ahead)
+		if (t <= samples[0].t)
+			return samples[0];
+		if (t >= samples[samples.length - 1].t)
+			return samples[samples.length - 1];
+
+		// find the pair around t
+		let i = 1;
+		while (samples[i].t < t)
+			i++;
+		const a = samples[i - 1];
+		const b = samples[i];
+
+		// drop history we've rendered past (keep one sample before t)
+		if (i > 1)
+			samples.splice(0, i - 1);
+
+		const k = (t - a.t) / Math.max(1, b.t - a.t);
+		return {
+			x: a.x + (b.x - a.x) * k,
+			y: a.y + (b.y - a.y) * k,
+			theta: a.theta + (b.theta - a.theta) * k,
+		};
+	}
+
+}
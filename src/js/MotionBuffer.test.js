@@ -0,0 +1,85 @@
+/*
+	MotionBuffer.test.js
+	--------------------
+
+	Checks out-of-order, stale & broken frames don't upset the jitter buffer.
+*/
+
+// libs
+import { describe, it, expect } from 'vitest';
+
+// our app
+import { MotionBuffer } from './MotionBuffer.js';
+
+// a decoded frame (see decodeUserFrame), at the sender's time ts
+const frame = (seq, ts, fields = {}) => ({ id: 'a', seq, ts, keyframe: false, ...fields });
+const keyframe = (seq, ts, fields = {}) => frame(seq, ts, { keyframe: true, nickname: 'Alice', x: 0, y: 0, theta: 0, color: 1, ...fields });
+
+// w/ no delay, so sample(t) is the position at t
+const makeBuffer = () => new MotionBuffer({ delayMs: 0 });
+
+
+describe('MotionBuffer.applyFrames', () => {
+
+	it('only starts tracking someone from a keyframe', () => {
+		const motion = makeBuffer();
+		motion.applyFrames([frame(1, 0, { x: 0.5 })], [], 0);
+		expect(motion.size).toBe(0);
+		motion.applyFrames([keyframe(2, 0)], [], 0);
+		expect(motion.size).toBe(1);
+	});
+
+	it('drops frames w/ a stale seq', () => {
+		const motion = makeBuffer();
+		motion.applyFrames([keyframe(1, 0), frame(3, 100, { x: 1 })], [], 100);
+
+		// seq 2 (& a repeat of 3) turn up late, w/ positions we've moved past
+		motion.applyFrames([frame(2, 150, { x: 0.2 }), frame(3, 160, { x: 0.3 })], [], 200);
+		expect(motion.sample(1000)[0].x).toBe(1);
+	});
+
+	it('starts someone over on a keyframe w/ a lower seq (they reconnected)', () => {
+		const motion = makeBuffer();
+		motion.applyFrames([keyframe(1, 0), frame(50, 500, { x: 1, color: 2 })], [], 500);
+
+		motion.applyFrames([keyframe(1, 10000, { x: 0.25, y: 0.5, color: 4 })], [], 10000);
+
+		// none of their old history's left to drift in from
+		expect(motion._users.get('a').samples).toHaveLength(1);
+		const [u] = motion.sample(9000);
+		expect(u).toMatchObject({ x: 0.25, y: 0.5, color: 4 });
+
+		// & carries on from the new seq
+		motion.applyFrames([frame(2, 10100, { x: 0.75 })], [], 10100);
+		expect(motion.sample(10100)[0].x).toBe(0.75);
+	});
+
+	it('slots a late packet in by its time', () => {
+		const motion = makeBuffer();
+		motion.applyFrames([keyframe(1, 0)], [], 0);
+		motion.applyFrames([frame(2, 200, { x: 1 })], [], 200);
+
+		// seq 3 was made before seq 2 (& got held up), so it goes in between
+		motion.applyFrames([frame(3, 100, { x: 0.5 })], [], 250);
+		expect(motion._users.get('a').samples.map(s => s.x)).toEqual([0, 0.5, 1]);
+		expect(motion.sample(150)[0].x).toBeCloseTo(0.75, 1);
+	});
+
+	it('skips samples w/ positions that aren\'t finite', () => {
+		const motion = makeBuffer();
+		motion.applyFrames([keyframe(1, 0, { x: 0.5, y: 0.5 })], [], 0);
+		motion.applyFrames([frame(2, 100, { x: NaN }), frame(3, 200, { y: Infinity })], [], 200);
+		expect(motion.sample(1000)[0]).toMatchObject({ x: 0.5, y: 0.5 });
+
+		motion.applySnapshot([{ id: 'b', nickname: 'Bob', x: 'left', y: 0.5 }], 300);
+		expect(motion._users.get('b').samples).toEqual([]);
+	});
+
+	it('forgets people who left', () => {
+		const motion = makeBuffer();
+		motion.applyFrames([keyframe(1, 0)], [], 0);
+		motion.applyFrames([], ['a'], 100);
+		expect(motion.size).toBe(0);
+	});
+
+});
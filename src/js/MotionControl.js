@@ -0,0 +1,350 @@
+/*
+	MotionControl.js
+	----------------
+
+	Opt-in motion control for the audience's penlight: tilt the phone like a real
+	penlight instead of keeping a finger on the glass.
+
+	We listen to 'deviceorientation' & turn beta/gamma into the direction of "up"
+	as the phone sees it. Some phones never send orientation events (no gyro, or
+	the browser won't fuse the sensors) but do send 'devicemotion', so until an
+	orientation reading shows up we also take "up" from the accelerometer's
+	gravity reading (noisier while waving, but the smoothing takes care of most
+	of that). From "up" we get:
+		- roll: leaning the phone left/right	-> pen x
+		- pitch: tipping the top away/towards you	-> pen y
+	Working from the up vector (rather than using gamma directly) avoids the jumps
+	gamma makes when the phone is held upright, which is exactly how people hold it.
+
+	The first reading after starting (or after recenter()) becomes "the middle", so
+	however someone's holding their phone, that's the center of the stage. Output is
+	smoothed w/ a short time constant & handed to onChange as normalized 0..1 x/y,
+	so PenRoom can feed it into the same path as mouse & touch.
+
+	iOS (13+) only sends orientation & motion events after DeviceOrientationEvent /
+	DeviceMotionEvent.requestPermission() are called from a user gesture, so call
+	requestPermission() from the click/change handler that turns motion mode on.
+	If neither kind of event arrives within NO_SENSOR_MS, the status goes to
+	UNSUPPORTED so the page can tell the user to drag instead.
+
+	Testing: pass any EventTarget as `target` & dispatch synthetic events, e.g.
+		const ev = new Event('deviceorientation');
+		Object.assign(ev, { beta: 80, gamma: 10 });
+		target.dispatchEvent(ev);
+	or in a browser, window.dispatchEvent(new DeviceOrientationEvent('deviceorientation', { beta: 80, gamma: 10 }))
+	(Chrome's DevTools "Sensors" panel also works). For the motion path, dispatch
+	'devicemotion' w/ { accelerationIncludingGravity: { x, y, z } } instead.
+*/
+
+// vue
+import { ref } from 'vue';
+
+// motion mode status values
+export const MOTION_STATUS = {
+	OFF: 'off',					// not started
+	WAITING: 'waiting',			// started, no readings yet
+	ACTIVE: 'active',			// readings coming in
+	DENIED: 'denied',			// the user (or browser) said no
+	UNSUPPORTED: 'unsupported',	// no sensor / API
+};
+
+// degrees of tilt from center to the edge of the stage
+const RANGE_X_DEG = 35;
+const RANGE_Y_DEG = 30;
+
+// how long to wait for a first reading before deciding there's no sensor
+const NO_SENSOR_MS = 2000;
+
+
+/**
+ * Clamp a number to [min, max]
+ */
+function clamp(v, min, max) {
+	return Math.max(min, Math.min(max, v));
+}
+
+
+/**
+ * Wrap an angle in degrees to -180..180
+ */
+function wrapDeg(d) {
+	return ((d + 540) % 360) - 180;
+}
+
+
+/**
+ * Work out roll & pitch (in degrees) from a deviceorientation reading
+ *
+ * @param {number} beta - front/back tilt, degrees
+ * @param {number} gamma - left/right tilt, degrees
+ * @param {number} [screenAngle=0] - screen orientation angle (0, 90, 180, 270)
+ * @returns {{roll:number, pitch:number}}
+ */
+export function tiltFromOrientation(beta, gamma, screenAngle = 0) {
+
+	const rad = Math.PI / 180;
+	const b = beta * rad;
+	const g = gamma * rad;
+
+	// world "up" in the phone's own coordinates (x: right edge, y: top edge, z: out of the screen)
+	return tiltFromUp(-Math.sin(g) * Math.cos(b), Math.sin(b), Math.cos(g) * Math.cos(b), screenAngle);
+}
+
+
+/**
+ * Work out roll & pitch (in degrees) from a devicemotion gravity reading
+ *
+ * At rest the accelerometer reads +1g pointing up, so accelerationIncludingGravity
+ * is "up" in the phone's own coordinates (same axes as above).
+ *
+ * @param {number} ax - accelerationIncludingGravity.x, m/s²
+ * @param {number} ay - accelerationIncludingGravity.y, m/s²
+ * @param {number} az - accelerationIncludingGravity.z, m/s²
+ * @param {number} [screenAngle=0] - screen orientation angle (0, 90, 180, 270)
+ * @returns {{roll:number, pitch:number}|null} null if there's no reading to go on
+ */
+export function tiltFromGravity(ax, ay, az, screenAngle = 0) {
+
+	const len = Math.hypot(ax, ay, az);
+	if (!(len > 0.1))
+		return null;
+
+	return tiltFromUp(ax / len, ay / len, az / len, screenAngle);
+}
+
+
+/**
+ * Roll & pitch (in degrees) from the "up" unit vector in the phone's coordinates
+ *
+ * @param {number} ux - up, along the phone's right edge
+ * @param {number} uy - up, along the phone's top edge
+ * @param {number} uz - up, out of the screen
+ * @param {number} screenAngle - screen orientation angle (0, 90, 180, 270)
+ * @returns {{roll:number, pitch:number}}
+ */
+function tiltFromUp(ux, uy, uz, screenAngle) {
+
+	const rad = Math.PI / 180;
+
+	// account for the screen being rotated to landscape
+	const a = screenAngle * rad;
+	const upScreen = ux * Math.sin(a) + uy * Math.cos(a);
+	const rightScreen = ux * Math.cos(a) - uy * Math.sin(a);
+
+	return {
+		roll: Math.asin(clamp(-rightScreen, -1, 1)) / rad,
+		pitch: Math.atan2(uz, upScreen) / rad,
+	};
+}
+
+
+/**
+ * Motion control for a penlight
+ */
+export class MotionControl {
+
+	/**
+	 * Builds the MotionControl
+	 *
+	 * @param {object} options
+	 * @param {function} options.onChange - called w/ { x, y } (normalized 0..1) on each reading
+	 * @param {EventTarget} [options.target=window] - where orientation events come from
+	 * @param {number} [options.smoothingMs=60] - smoothing time constant
+	 * @param {function} [options.getScreenAngle] - returns the screen orientation angle
+	 */
+	constructor({ onChange, target = globalThis.window, smoothingMs = 60, getScreenAngle } = {}) {
+
+		this.onChange = onChange || (() => {});
+		this.target = target;
+		this.smoothingMs = smoothingMs;
+		this.getScreenAngle = getScreenAngle || (() => Number(globalThis.screen?.orientation?.angle ?? globalThis.window?.orientation ?? 0) || 0);
+
+		// status for the UI, see MOTION_STATUS
+		this.statusRef = ref(MOTION_STATUS.OFF);
+
+		// the neutral pose (null = take the next reading as neutral)
+		this._center = null;
+
+		// smoothed output & when we last updated it
+		this._x = 0.5;
+		this._y = 0.5;
+		this._lastMs = null;
+
+		// true once an orientation reading arrives (then motion events are ignored)
+		this._haveOrientation = false;
+
+		this._noSensorTimer = null;
+		this._onOrientation = (e) => this.handleOrientation(e);
+		this._onMotion = (e) => this.handleMotion(e);
+	}
+
+
+	/**
+	 * True if this browser has orientation or motion events at all
+	 */
+	static isSupported() {
+		return typeof globalThis.DeviceOrientationEvent !== 'undefined'
+			|| typeof globalThis.DeviceMotionEvent !== 'undefined';
+	}
+
+
+	/**
+	 * Ask for sensor permission, if the browser wants us to (iOS). Call from a user gesture.
+	 *
+	 * @returns {Promise<boolean>} true if we're allowed to start
+	 */
+	async requestPermission() {
+
+		if (!MotionControl.isSupported()) {
+			this.statusRef.value = MOTION_STATUS.UNSUPPORTED;
+			return false;
+		}
+
+		// only iOS has these, everyone else just sends events
+		const asks = [globalThis.DeviceOrientationEvent, globalThis.DeviceMotionEvent]
+			.filter(E => typeof E?.requestPermission === 'function');
+		if (asks.length === 0)
+			return true;
+
+		// ask for both at once (while we've still got the user gesture), & go w/ whichever we get
+		const results = await Promise.all(asks.map(async (E) => {
+			try {
+				return await E.requestPermission();
+			} catch (err) {
+				console.warn('MotionControl: permission request failed', err);
+				return 'denied';
+			}
+		}));
+		if (results.includes('granted'))
+			return true;
+
+		this.statusRef.value = MOTION_STATUS.DENIED;
+		return false;
+	}
+
+
+	/**
+	 * Start listening (the first reading becomes the center)
+	 */
+	start() {
+
+		this.stop();
+		this._center = null;
+		this._lastMs = null;
+		this._haveOrientation = false;
+		this.statusRef.value = MOTION_STATUS.WAITING;
+		this.target?.addEventListener('deviceorientation', this._onOrientation);
+		this.target?.addEventListener('devicemotion', this._onMotion);
+
+		// desktops often have the API but no sensor, so nothing ever arrives
+		this._noSensorTimer = setTimeout(() => {
+			if (this.statusRef.value === MOTION_STATUS.WAITING) {
+				this.stop();
+				this.statusRef.value = MOTION_STATUS.UNSUPPORTED;
+			}
+		}, NO_SENSOR_MS);
+	}
+
+
+	/**
+	 * Stop listening
+	 */
+	stop() {
+
+		this.target?.removeEventListener('deviceorientation', this._onOrientation);
+		this.target?.removeEventListener('devicemotion', this._onMotion);
+		clearTimeout(this._noSensorTimer);
+		this._noSensorTimer = null;
+		this.statusRef.value = MOTION_STATUS.OFF;
+	}
+
+
+	/**
+	 * Make however the phone is held right now the center of the stage
+	 */
+	recenter() {
+		this._center = null;
+	}
+
+
+	/**
+	 * Handle one orientation reading (public, so tests can call it directly)
+	 *
+	 * @param {{beta:number, gamma:number, timeStamp?:number}} e - the event
+	 */
+	handleOrientation(e) {
+
+		// some browsers fire one event w/ nulls when there's no sensor
+		if (!Number.isFinite(e?.beta) || !Number.isFinite(e?.gamma))
+			return;
+
+		this._haveOrientation = true;
+		const { roll, pitch } = tiltFromOrientation(e.beta, e.gamma, this.getScreenAngle());
+		this._applyTilt(roll, pitch, e.timeStamp);
+	}
+
+
+	/**
+	 * Handle one motion reading, for phones that don't send orientation (public, so tests can call it directly)
+	 *
+	 * @param {{accelerationIncludingGravity:{x:number, y:number, z:number}, timeStamp?:number}} e - the event
+	 */
+	handleMotion(e) {
+
+		// orientation's steadier, so once it's coming in we stick w/ it
+		if (this._haveOrientation)
+			return;
+
+		const g = e?.accelerationIncludingGravity;
+		if (!Number.isFinite(g?.x) || !Number.isFinite(g?.y) || !Number.isFinite(g?.z))
+			return;
+
+		const tilt = tiltFromGravity(g.x, g.y, g.z, this.getScreenAngle());
+		if (tilt)
+			this._applyTilt(tilt.roll, tilt.pitch, e.timeStamp);
+	}
+
+
+	/**
+	 * Turn a roll & pitch into a smoothed pen position
+	 *
+	 * @param {number} roll - degrees
+	 * @param {number} pitch - degrees
+	 * @param {number} [timeStamp] - the event's time, ms
+	 */
+	_applyTilt(roll, pitch, timeStamp) {
+
+		// calibrate on the first reading
+		if (!this._center) {
+			this._center = { roll, pitch };
+			this._x = 0.5;
+			this._y = 0.5;
+		}
+		this.statusRef.value = MOTION_STATUS.ACTIVE;
+
+		// map tilt away from center onto the stage
+		const targetX = clamp(0.5 + (roll - this._center.roll) / RANGE_X_DEG * 0.5, 0, 1);
+		const targetY = clamp(0.5 - wrapDeg(pitch - this._center.pitch) / RANGE_Y_DEG * 0.5, 0, 1);
+
+		// time-based smoothing, so it feels the same at any sensor rate
+		const nowMs = Number.isFinite(timeStamp) && timeStamp > 0 ? timeStamp : performance.now();
+		const dt = this._lastMs == null ? this.smoothingMs : clamp(nowMs - this._lastMs, 0, 250);
+		this._lastMs = nowMs;
+		const k = 1 - Math.exp(-dt / Math.max(1, this.smoothingMs));
+
+		this._x += (targetX - this._x) * k;
+		this._y += (targetY - this._y) * k;
+
+		this.onChange({ x: this._x, y: this._y });
+	}
+
+
+	/**
+	 * Stop & clean up
+	 */
+	destroy() {
+		this.stop();
+		this.onChange = () => {};
+	}
+
+}
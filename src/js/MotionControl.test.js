@@ -0,0 +1,115 @@
+/*
+	MotionControl.test.js
+	---------------------
+
+	Checks tilt control works from orientation events, & from motion events on
+	phones that don't send orientation.
+*/
+
+// libs
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+// our app
+import { MotionControl, MOTION_STATUS, tiltFromOrientation, tiltFromGravity } from './MotionControl.js';
+
+const G = 9.81;
+const rad = Math.PI / 180;
+
+// a synthetic sensor event
+function sensorEvent(type, fields) {
+	const ev = new Event(type);
+	for (const [key, value] of Object.entries(fields))
+		Object.defineProperty(ev, key, { value });
+	return ev;
+}
+
+// gravity as the accelerometer would read it, for a phone at some beta/gamma
+function gravityFor(beta, gamma) {
+	const b = beta * rad;
+	const g = gamma * rad;
+	return { x: -Math.sin(g) * Math.cos(b) * G, y: Math.sin(b) * G, z: Math.cos(g) * Math.cos(b) * G };
+}
+
+
+describe('tiltFromGravity', () => {
+
+	it('agrees w/ tiltFromOrientation for the same pose', () => {
+		for (const [beta, gamma] of [[80, 0], [70, 15], [60, -20], [30, 5]]) {
+			const a = gravityFor(beta, gamma);
+			const fromGravity = tiltFromGravity(a.x, a.y, a.z);
+			const fromOrientation = tiltFromOrientation(beta, gamma);
+			expect(fromGravity.roll).toBeCloseTo(fromOrientation.roll, 6);
+			expect(fromGravity.pitch).toBeCloseTo(fromOrientation.pitch, 6);
+		}
+	});
+
+	it('gives up on an empty reading', () => {
+		expect(tiltFromGravity(0, 0, 0)).toBeNull();
+	});
+
+});
+
+
+describe('MotionControl', () => {
+
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it('starts from motion events when orientation never comes', () => {
+
+		const target = new EventTarget();
+		const onChange = vi.fn();
+		const motion = new MotionControl({ onChange, target, getScreenAngle: () => 0 });
+		motion.start();
+
+		target.dispatchEvent(sensorEvent('devicemotion', { accelerationIncludingGravity: gravityFor(80, 0), timeStamp: 1 }));
+		expect(motion.statusRef.value).toBe(MOTION_STATUS.ACTIVE);
+
+		// lean right -> pen moves right
+		for (let t = 2; t < 50; t++)
+			target.dispatchEvent(sensorEvent('devicemotion', { accelerationIncludingGravity: gravityFor(80, 20), timeStamp: t * 16 }));
+		expect(onChange.mock.calls.at(-1)[0].x).toBeGreaterThan(0.52);
+
+		motion.destroy();
+	});
+
+	it('sticks w/ orientation once it arrives', () => {
+
+		const target = new EventTarget();
+		const onChange = vi.fn();
+		const motion = new MotionControl({ onChange, target, getScreenAngle: () => 0 });
+		motion.start();
+
+		target.dispatchEvent(sensorEvent('deviceorientation', { beta: 80, gamma: 0, timeStamp: 1 }));
+		const calls = onChange.mock.calls.length;
+		target.dispatchEvent(sensorEvent('devicemotion', { accelerationIncludingGravity: gravityFor(80, 20), timeStamp: 20 }));
+		expect(onChange.mock.calls.length).toBe(calls);
+
+		motion.destroy();
+	});
+
+	it('says there\'s no sensor when nothing arrives', () => {
+
+		vi.useFakeTimers();
+		const motion = new MotionControl({ target: new EventTarget() });
+		motion.start();
+		vi.advanceTimersByTime(5000);
+		expect(motion.statusRef.value).toBe(MOTION_STATUS.UNSUPPORTED);
+		motion.destroy();
+	});
+
+	it('asks for motion permission too, & starts if either is granted', async () => {
+
+		vi.stubGlobal('DeviceOrientationEvent', { requestPermission: vi.fn().mockResolvedValue('denied') });
+		vi.stubGlobal('DeviceMotionEvent', { requestPermission: vi.fn().mockResolvedValue('granted') });
+		try {
+			const motion = new MotionControl({ target: new EventTarget() });
+			expect(await motion.requestPermission()).toBe(true);
+			expect(globalThis.DeviceMotionEvent.requestPermission).toHaveBeenCalled();
+		} finally {
+			vi.unstubAllGlobals();
+		}
+	});
+
+});
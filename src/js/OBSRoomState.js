@@ -6,15 +6,51 @@
 	to handle the static logic for connecting to a room on the OBS page.
 
 	This will be imported and instantiated in ObsView.vue
+
+	Incoming positions (full 'state' snapshots or compact 'delta' frames, see
+	positionCodec.js) go into a MotionBuffer, and a render loop publishes
+	interpolated users to usersListRef every frame.
+
+	The room owner's moderation (hidden users & forced renames, see moderation.js)
+	is applied right before publishing, so every renderer honors it.
+
+	The room's stage cue (see stageCues.js) is kept in cueRef for OBSRoom to render.
+
+	Audience reactions (see reactions.js) are pinned to where the sender's pen is
+	when they arrive, & kept in reactionsRef until their particles are done.
+
+	In the seated layout (see stageMapping.js), everyone's given a seat (see
+	SeatingChart.js) before publishing, & the renderers place pens around it.
+	Who sits where is sent back to the room (a 'seats' message), so each phone
+	can preview its pen in its own seat.
+
+	The render loop also takes turns putting pens on stage when there's more
+	people than the room's maxConcurrent (see PenScheduler.js), publishing
+	whoever's up there to onStageRef.
+
+	It can also record the room's messages (see sessionRecording.js), for the
+	/replay page. ReplayRoomState extends this class to play them back, so
+	everything reads the time through _now() & renders through _renderFrame().
 */
 
 // vue imports
-import { shallowRef, ref } from 'vue';
-
-// base URL based on ENV
-const envAPIUrl = import.meta.env.VITE_API_URL;
-const envWsUrl = import.meta.env.VITE_WS_URL;
-const envAppURL = import.meta.env.VITE_APP_URL;
+import { shallowRef } from 'vue';
+
+// our app
+import { invalidateRoomSprite } from '../composables/usePenMasking.js';
+import { parseRoomSettings, parseStateMessage, parseModerationMessage, parseCueMessage, parseReactionMessage } from './roomSettingsSchema.js';
+import { RoomSocket } from './RoomSocket.js';
+import { apiFetch, getWsUrl, getWebSocketImpl } from './transport.js';
+import { MotionBuffer } from './MotionBuffer.js';
+import { PROTOCOL_VERSION, decodeUserFrame } from './positionCodec.js';
+import { applyModeration, emptyModeration } from './moderation.js';
+import { allowedReactions, REACTION_LIFE_MS } from './reactions.js';
+import { SessionRecorder, RECORDED_TYPES, KEYFRAME_MS } from './sessionRecording.js';
+import { SeatingChart } from './SeatingChart.js';
+import { PenScheduler } from './PenScheduler.js';
+
+// how often (at most) we tell the room who sits where
+const SEAT_REPORT_MS = 500;
 
 /**
  * The main money - a class to manage the WebSocket connection and room state
@@ -35,18 +71,60 @@ export class OBSRoomState {
 		this.roomDetails = roomDetails;
 		this.wsUrl = wsUrl ?? this._deriveWSUrl();
 
-		// non-reactive source of truth
-		this._users = [];
+		// non-reactive source of truth (buffered, so we can interpolate)
+		this._motion = new MotionBuffer();
+		this._rafId = null;
+
+		// who sits where, in the seated layout
+		this._seating = new SeatingChart();
+
+		// who takes turns on stage when there's more people than maxConcurrent,
+		// & whose pens are up there this frame: [{ user, key, opacity }] (see PenScheduler.js)
+		this._scheduler = new PenScheduler();
+		this.onStageRef = shallowRef([]);
+
+		// the seats we last told the room about (as JSON), & when
+		this._seatsKey = null;
+		this._lastSeatReport = 0;
+
+		// the socket (handles reconnect backoff & heartbeats for us)
+		this._socket = new RoomSocket(this.wsUrl, {
+			onOpen: () => this._onOpen(),
+			onMessage: (msg) => this._onMessage(msg),
+			WebSocketImpl: getWebSocketImpl(),
+		});
+		this._hasConnected = false;
+
+		// the last stage size we reported (re-sent after reconnects)
+		this._stage = null;
+
+		// who the room owner has hidden / renamed
+		this.moderationRef = shallowRef(emptyModeration());
+
+		// the streamer's stage cue that's running or counting down, or null
+		this.cueRef = shallowRef(null);
+
+		// reactions still on screen: [{ key, userId, r, x, y, seat, at }] w/ x/y normalized (& seat in the seated layout)
+		this.reactionsRef = shallowRef([]);
+		this._reactionSeq = 0;
+
+		// the session recording, if there is one (see startRecording)
+		this._recorder = null;
+		this._recording = false;
+		this._lastKeyframeAt = 0;
+		this._lastRecordingUpdate = 0;
+
+		// { recording, startedAt, durationMs, bytes, full } for the page, or null if we've never recorded
+		this.recordingRef = shallowRef(null);
 
 		// reactive clone for templates
 		this.usersListRef = shallowRef([]);
-		this.connectionStatusRef = ref('idle'); // 'idle' | 'connecting' | 'open' | 'closed' | 'error'
-
-		// internal state
-		this._socket = null;
-		this._closedManually = false;
+		this.connectionStatusRef = this._socket.statusRef; // see SOCKET_STATUS
+		this.reconnectAttemptRef = this._socket.attemptRef;
+		this.nextRetryAtRef = this._socket.nextRetryAtRef;
 
 		this.connect();
+		this._startRenderLoop();
 	}
 
 
@@ -57,84 +135,402 @@ export class OBSRoomState {
 	 */
 	_deriveWSUrl() {
 
-		return envWsUrl;
-		// const proto = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-		// return `${proto}//api.${window.location.host}`;
+		return getWsUrl();
 	}
 
 
 	/**
-	 * Connects to the WebSocket server and sets up event handlers
+	 * The current time, for the motion buffer (a replay runs on its own clock)
+	 *
+	 * @returns {number} ms
+	 */
+	_now() {
+		return Date.now();
+	}
+
+
+	/**
+	 * Connects to the WebSocket server (reconnects & heartbeats are handled by RoomSocket)
 	 */
 	connect() {
+		this._socket.connect();
+	}
 
-		// reset state
-		this._closedManually = false;
-		this.connectionStatusRef.value = 'connecting';
 
-		// open the socket
-		const sock = new WebSocket(this.wsUrl);
-		this._socket = sock;
+	/**
+	 * Called on every successful (re)connect
+	 */
+	_onOpen() {
+
+		// Identify as OBS client (the server answers w/ a fresh state)
+		this._socket.send({
+			type: 'hello',
+			role: 'obs',
+			roomCode: this.roomCode,
+			proto: PROTOCOL_VERSION
+		});
 
-		// set up event handlers
-		sock.addEventListener('open', () => {
+		// let the server know our stage size again
+		if (this._stage)
+			this._sendStage();
 
-			this.connectionStatusRef.value = 'open';
+		// & who sits where, next frame
+		this._seatsKey = null;
+		this._lastSeatReport = 0;
 
-			// Identify as OBS client
-			sock.send(JSON.stringify({
-				type: 'hello',
-				role: 'obs',
-				roomCode: this.roomCode
-			}));
-		});
+		// if this was a reconnect, settings may have changed while we were away
+		if (this._hasConnected)
+			this._resyncRoomSettings();
+		this._hasConnected = true;
+	}
 
-		// Handle incoming messages
-		sock.addEventListener('message', (evt) => {
 
-			let msg;
-			try { msg = JSON.parse(evt.data); } catch { return; }
+	/**
+	 * Tell the room how big our stage & pens are (in css px), so phones can
+	 * show the audience a rectangle w/ the same aspect ratio
+	 * 
+	 * @param {{w:number, h:number, penSize:number}} stage - the stage info
+	 */
+	reportStage({ w, h, penSize }) {
 
-			if (msg?.type === 'state' && msg?.room === this.roomCode && Array.isArray(msg.users)) {
+		const stage = { w: Math.round(w), h: Math.round(h), penSize: Math.round(penSize) };
+		if (!(stage.w > 0 && stage.h > 0 && stage.penSize > 0))
+			return;
 
-				// Replace source-of-truth
-				this._users = msg.users;
+		// skip repeats
+		const old = this._stage;
+		if (old && old.w === stage.w && old.h === stage.h && old.penSize === stage.penSize)
+			return;
 
-				// Publish a cloned array for the template
-				this.usersListRef.value = [...this._users];
-			}
+		this._stage = stage;
+		this._sendStage();
+	}
 
-			if(msg?.type === 'roomSettings'){
 
-				const newSettings = msg.settings;
-				console.log('New Settings', newSettings);
-				this.roomDetails.value = newSettings;
+	/**
+	 * Sends our last reported stage size (if the socket's closed, _onOpen will send it)
+	 */
+	_sendStage() {
+		this._socket.send({ type: 'stage', room: this.roomCode, ...this._stage });
+	}
 
-				// for now, reload the page to apply new settings
-				// later, we can make this dynamic
-				window.location.reload();
-			}
 
-		});
+	/**
+	 * Tell the room who sits where (none, outside the seated layout), so each
+	 * phone can map its preview through its own seat. Throttled, & only sent when it changes
+	 *
+	 * @param {Array<object>} users - the users we're about to publish
+	 */
+	_reportSeats(users) {
+
+		const now = Date.now();
+		if (now - this._lastSeatReport < SEAT_REPORT_MS)
+			return;
+		this._lastSeatReport = now;
+
+		// users w/o a real id can't be told anything
+		const seats = {};
+		for (const u of users)
+			if (u.seat && u.id && !String(u.id).startsWith('anon:'))
+				seats[u.id] = { slot: u.seat.slot, rows: u.seat.rows, perRow: u.seat.perRow };
+
+		const key = JSON.stringify(seats);
+		if (key === this._seatsKey)
+			return;
+		this._seatsKey = key;
+		this._socket.send({ type: 'seats', room: this.roomCode, seats });
+	}
 
-		// Handle close and error events
-		sock.addEventListener('close', () => {
 
-			this.connectionStatusRef.value = 'closed';
+	/**
+	 * Handle incoming messages
+	 * 
+	 * @param {object} msg - the parsed message
+	 */
+	_onMessage(msg) {
+
+		// recordings keep messages as they came in, so a replay parses them the same way
+		if (this._recording && RECORDED_TYPES.includes(msg?.type))
+			this._record(msg);
+
+		if (msg?.type === 'state' && msg?.room === this.roomCode) {
+
+			// drop malformed frames rather than render garbage
+			const state = parseStateMessage(msg);
+			if (!state)
+				return;
+
+			// Replace source-of-truth
+			this._motion.applySnapshot(state.users, this._now());
+		}
+
+		if (msg?.type === 'delta' && msg?.room === this.roomCode)
+			this._applyDelta(msg);
+
+		if(msg?.type === 'roomSettings' && msg?.settings)
+			this._applyRoomSettings(msg.settings);
+
+		if (msg?.type === 'moderation' && (msg.room == null || msg.room === this.roomCode)) {
+			const moderation = parseModerationMessage(msg);
+			if (moderation)
+				this.moderationRef.value = moderation;
+		}
+
+		if (msg?.type === 'cue' && (msg.room == null || msg.room === this.roomCode)) {
+			const parsed = parseCueMessage(msg);
+			if (parsed)
+				this.cueRef.value = parsed.cue;
+		}
+
+		if (msg?.type === 'reaction' && (msg.room == null || msg.room === this.roomCode)) {
+			const reaction = parseReactionMessage(msg);
+			if (reaction)
+				this._addReaction(reaction);
+		}
+	}
 
-			if (!this._closedManually) {
-				// optional: simple retry
-				setTimeout(() => this.connect(), 1000);
-			}
-		});
 
+	/**
+	 * Put a reaction on the stage, at the sender's pen
+	 * (unless the room doesn't allow it, it's already at its cap, or we can't see the sender)
+	 *
+	 * @param {{id:string, r:string}} reaction - who reacted, & w/ what
+	 */
+	_addReaction({ id, r }) {
 
-		// Handle errors
-		sock.addEventListener('error', () => {
+		const room = this.roomDetails.value;
+		if (!allowedReactions(room).includes(r))
+			return;
 
-			this.connectionStatusRef.value = 'error';
-			try { sock.close(); } catch { }
-		});
+		// hidden users (& anyone we haven't got a position for yet) aren't on the stage
+		const user = this.usersListRef.value.find(u => u.id === id);
+		if (!user)
+			return;
+
+		const now = this._now();
+		const live = this.reactionsRef.value.filter(p => now - p.at < REACTION_LIFE_MS);
+		if (live.length >= (room?.reactionMaxOnScreen || 40))
+			return;
+
+		this.reactionsRef.value = [...live, { key: ++this._reactionSeq, userId: id, r, x: user.x, y: user.y, seat: user.seat, at: now }];
+	}
+
+
+	/**
+	 * Applies a batch of compact per-user frames
+	 * 
+	 * @param {object} msg - the 'delta' message
+	 */
+	_applyDelta(msg) {
+
+		if (!Array.isArray(msg.users)) {
+			console.warn('Ignoring malformed delta message: users is not an array');
+			return;
+		}
+
+		// decode, skipping (but counting) anything malformed
+		const frames = [];
+		let bad = 0;
+		for (const raw of msg.users) {
+			const f = decodeUserFrame(raw);
+			if (f) frames.push(f);
+			else bad++;
+		}
+		if (bad > 0)
+			console.warn(`Ignored ${bad} malformed frame(s) in delta message`);
+
+		const gone = Array.isArray(msg.gone) ? msg.gone : [];
+		this._motion.applyFrames(frames, gone, this._now());
+	}
+
+
+	/**
+	 * Publishes interpolated users to usersListRef every animation frame
+	 */
+	_startRenderLoop() {
+
+		const tick = () => {
+			this._renderFrame();
+			this._rafId = requestAnimationFrame(tick);
+		};
+		this._rafId = requestAnimationFrame(tick);
+	}
+
+
+	/**
+	 * One frame of the render loop
+	 */
+	_renderFrame() {
+
+		// skip publishing when there's nothing on either side, to avoid needless re-renders
+		if (this._motion.size > 0 || this.usersListRef.value.length > 0) {
+
+			let users = applyModeration(this._motion.sample(this._now()), this.moderationRef.value);
+
+			// hidden users don't take up a seat
+			const room = this.roomDetails.value;
+			if (room?.stageLayout === 'seated')
+				users = this._seating.seat(users, room, this._now());
+			this._reportSeats(users);
+
+			this.usersListRef.value = users;
+			this.onStageRef.value = this._scheduler.visible(users, Number(room?.maxConcurrent || 0), this._now());
+		}
+
+		// let go of reactions whose particles are done
+		const reactions = this.reactionsRef.value;
+		if (reactions.length > 0 && this._now() - reactions[0].at >= REACTION_LIFE_MS) {
+			const now = this._now();
+			this.reactionsRef.value = reactions.filter(p => now - p.at < REACTION_LIFE_MS);
+		}
+
+		// keep the recording seekable, & the page up to date on it
+		if (this._recording) {
+			const now = Date.now();
+			if (now - this._lastKeyframeAt >= KEYFRAME_MS)
+				this._recordKeyframe(now);
+			if (now - this._lastRecordingUpdate >= 1000)
+				this._updateRecordingRef(now);
+		}
+	}
+
+
+	/**
+	 * Start recording the room (replacing any recording we already have)
+	 */
+	startRecording() {
+
+		const now = Date.now();
+		this._recorder = new SessionRecorder(this.roomCode, now);
+		this._recording = true;
+
+		// what the stage looks like right now, so the replay starts from the same place
+		this._recorder.record({ type: 'roomSettings', settings: this.roomDetails.value || {} }, now);
+		this._recorder.record({ type: 'moderation', room: this.roomCode, ...this.moderationRef.value }, now);
+		this._recorder.record({ type: 'cue', room: this.roomCode, cue: this.cueRef.value }, now);
+		this._recordKeyframe(now);
+
+		this._updateRecordingRef(now);
+	}
+
+
+	/**
+	 * Stop recording (the recording's kept, for downloadRecording)
+	 */
+	stopRecording() {
+
+		if (!this._recording)
+			return;
+
+		this._recording = false;
+		this._updateRecordingRef(Date.now());
+	}
+
+
+	/**
+	 * Save the recording to the user's computer
+	 *
+	 * @returns {boolean} false if there's nothing recorded
+	 */
+	downloadRecording() {
+
+		if (!this._recorder)
+			return false;
+
+		this._recorder.download();
+		return true;
+	}
+
+
+	/**
+	 * Add a message to the recording (stopping if it's full)
+	 *
+	 * @param {object} msg - the message
+	 * @param {boolean} [key=false] - it's a keyframe
+	 */
+	_record(msg, key = false) {
+
+		const now = Date.now();
+		if (!this._recorder.record(msg, now, key)) {
+			this._recording = false;
+			this._updateRecordingRef(now);
+		}
+	}
+
+
+	/**
+	 * Write down where everyone is, so the replay can seek to here
+	 *
+	 * @param {number} now - current time
+	 */
+	_recordKeyframe(now) {
+
+		this._lastKeyframeAt = now;
+		this._record({ type: 'state', room: this.roomCode, users: this._motion.sample(this._now()) }, true);
+	}
+
+
+	/**
+	 * Tell the page how the recording's going
+	 *
+	 * @param {number} now - current time
+	 */
+	_updateRecordingRef(now) {
+
+		this._lastRecordingUpdate = now;
+		const rec = this._recorder;
+		this.recordingRef.value = rec && {
+			recording: this._recording,
+			startedAt: rec.startedAt,
+			durationMs: this._recording ? now - rec.startedAt : rec.durationMs,
+			bytes: rec.bytes,
+			full: rec.full,
+		};
+	}
+
+
+	/**
+	 * Re-fetches the room over REST & applies it, for catching up after a reconnect
+	 */
+	async _resyncRoomSettings() {
+
+		try {
+			const res = await apiFetch(`/rooms/${encodeURIComponent(this.roomCode)}`, {
+				headers: { Accept: 'application/json' }
+			});
+			if (!res.ok)
+				return;
+
+			this._applyRoomSettings(await res.json());
+		} catch {
+			// we'll still get any future roomSettings over the socket
+		}
+	}
+
+
+	/**
+	 * Applies new room settings in place, so the OBS stage updates without a reload
+	 * 
+	 * @param {object} newSettings - the room settings as sent by the server
+	 */
+	_applyRoomSettings(newSettings) {
+
+		// validate before touching anything, so a bad payload can't break rendering
+		let parsed;
+		try {
+			parsed = parseRoomSettings(newSettings, 'roomSettings socket message');
+		} catch (err) {
+			console.warn(err.message);
+			return;
+		}
+
+		const oldSettings = this.roomDetails.value || {};
+
+		// only rebuild sprite masks if the sprite itself changed
+		invalidateRoomSprite(this.roomCode, oldSettings.penlightSprite, parsed.penlightSprite);
+
+		// merge so fields that aren't settings (like the code) survive
+		this.roomDetails.value = { ...oldSettings, ...parsed };
 	}
 
 
@@ -144,17 +540,20 @@ export class OBSRoomState {
 	destroy() {
 
 		// close the socket
-		this._closedManually = true;
-
-		// only try to close if it's open or connecting
-		if (this._socket && this._socket.readyState <= 1)
-			try { this._socket.close(1000, 'Client navigating away'); } catch { }
+		this._socket.destroy();
+		this._recording = false;
+
+		// stop rendering
+		if (this._rafId != null) {
+			cancelAnimationFrame(this._rafId);
+			this._rafId = null;
+		}
 		
 		// clean up state
-		this._socket = null;
-		this._users = [];
+		this._motion.clear();
 		this.usersListRef.value = [];
-		this.connectionStatusRef.value = 'closed';
+		this.onStageRef.value = [];
+		this.reactionsRef.value = [];
 	}
 
 }
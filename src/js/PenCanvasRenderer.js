@@ -0,0 +1,422 @@
+/*
+	PenCanvasRenderer.js
+	--------------------
+
+	Draws the whole OBS penlight stage (pens, their tinted glow, nicknames & trails)
+	onto a single Canvas2D surface, straight from the normalized penlight data.
+
+	The DOM renderer (one PenLight component per user) has to measure every pen
+	with getBoundingClientRect() / getComputedStyle() each frame to draw its trail,
+	and re-tints a data-URL image whenever a color changes. That's fine for a small
+	room, but falls apart at a few hundred pens.
+
+	Here, each color (or pair of colors, for two-tone sprites) is tinted once into
+	an offscreen canvas (sprite + glow + bloom, per frame for animated sprites) & cached,
+	so a frame is just a drawImage() per pen, plus a fillText() per nickname.
+	Trails come from the same PenTrails the DOM renderer uses, composited underneath.
+
+	NOTE: the glow uses ctx.filter for blurring, which OBS's browser source (Chromium)
+	supports. Browsers without it just get a sharper glow.
+*/
+
+// our app
+import { censorUsername } from './censorUsername.js';
+import { PenTrails, makeCanvas, penBoxCenter } from './PenTrails.js';
+
+// the blur sizes the DOM renderer uses for its glow layers (in CSS px)
+const GLOW_BLUR_OUTER = 20;
+const GLOW_BLUR_INNER = 5;
+
+// ...and for the additive bloom layers (see .bloom-halo / .bloom-core)
+const BLOOM_BLUR_HALO = 16;
+const BLOOM_BLUR_CORE = 2;
+
+// the biggest we'll pre-render a tinted sprite, in device px
+const MAX_TINT_RES = 1024;
+
+// how many colors to keep tinted sprites for (rooms w/ allowAnyColor can have lots)
+const MAX_TINTS = 256;
+
+// how many censored nicknames to remember
+const MAX_NAMES = 2048;
+
+// nickname text style, matching .pen-name in PenLight.vue
+const NAME_FONT = '800 22px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif';
+
+
+/**
+ * Blend a hex color toward white (canvas can't be trusted w/ css color-mix())
+ *
+ * @param {string} hex - 6-digit hex color, no '#'
+ * @param {number} amount - 0..1, how much white
+ * @returns {string} css rgb() color
+ */
+function mixWithWhite(hex, amount) {
+	const n = parseInt(hex, 16) || 0;
+	const mix = (c) => Math.round(c + (255 - c) * amount);
+	return `rgb(${mix((n >> 16) & 255)}, ${mix((n >> 8) & 255)}, ${mix(n & 255)})`;
+}
+
+
+/**
+ * Load an image from a URL or data URI
+ *
+ * @param {string} src - the image source
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(src) {
+
+	return new Promise((resolve, reject) => {
+		const img = new Image();
+		img.decoding = 'async';
+		img.onload = () => resolve(img);
+		img.onerror = () => reject(new Error('Failed to load image: ' + String(src).slice(0, 64)));
+		img.src = src;
+	});
+}
+
+
+/**
+ * Renders all penlights into one canvas
+ */
+export class PenCanvasRenderer {
+
+	/**
+	 * Builds the PenCanvasRenderer
+	 *
+	 * @param {HTMLCanvasElement} canvas - the visible canvas to draw into
+	 */
+	constructor(canvas) {
+
+		this.canvas = canvas;
+		this.ctx = canvas.getContext('2d');
+
+		// css size & device pixel ratio of the canvas
+		this.width = 1;
+		this.height = 1;
+		this.dpr = 1;
+
+		// glow trails, drawn underneath the pens
+		this._trails = new PenTrails();
+
+		// the current sprite & mask images
+		this._penImage = null;
+		this._maskImage = null;
+		this._secondaryMaskImage = null;
+		this._glowMaskImage = null;
+
+		// how many frames wide the sprite sheet & masks are (see spriteSheet.js)
+		this._frames = 1;
+		this._spriteSeq = 0;
+
+		// hex -> { pen, k } & the pen size they were made for
+		this._tints = new Map();
+		this._tintPenSize = 0;
+
+		// nickname -> censored nickname, & the room settings w/ the nickname policy
+		this._names = new Map();
+		this._nameRoom = null;
+	}
+
+
+	/**
+	 * Set the room settings whose nickname policy names are drawn with
+	 *
+	 * @param {object} room - room settings (nicknameAction, nicknameBlocklist, nicknameAllowlist)
+	 */
+	setNicknamePolicy(room) {
+		this._nameRoom = room;
+		this._names.clear();
+	}
+
+
+	/**
+	 * Set the sprite & mask to draw pens with (e.g. from usePenMasking's getPenImages)
+	 *
+	 * @param {object|null} images - { penImage, penMask, penMaskSecondary?, penMaskGlow? } data URLs & { frames }
+	 * @returns {Promise<void>}
+	 */
+	async setSprite(images) {
+
+		// ignore results from any earlier call that finishes late
+		const seq = ++this._spriteSeq;
+
+		const [penImage, maskImage, secondaryMaskImage, glowMaskImage] = await Promise.all([
+			images?.penImage ? loadImage(images.penImage) : null,
+			images?.penMask ? loadImage(images.penMask) : null,
+			images?.penMaskSecondary ? loadImage(images.penMaskSecondary) : null,
+			images?.penMaskGlow ? loadImage(images.penMaskGlow) : null,
+		]);
+		if (seq !== this._spriteSeq)
+			return;
+
+		this._penImage = penImage;
+		this._maskImage = maskImage;
+		this._secondaryMaskImage = secondaryMaskImage;
+		this._glowMaskImage = glowMaskImage;
+		this._frames = Math.max(1, Math.trunc(images?.frames) || 1);
+		this._tints.clear();
+		this._trails.setMask(maskImage, this._frames);
+	}
+
+
+	/**
+	 * Match the canvas backing store to its displayed size
+	 *
+	 * @param {number} width - css width
+	 * @param {number} height - css height
+	 * @param {number} [dpr=1] - device pixel ratio
+	 */
+	resize(width, height, dpr = 1) {
+
+		this.width = Math.max(1, width);
+		this.height = Math.max(1, height);
+
+		// new pixel density means our tinted sprites are the wrong resolution
+		if (dpr !== this.dpr)
+			this._tints.clear();
+		this.dpr = dpr;
+
+		const w = Math.round(this.width * dpr);
+		const h = Math.round(this.height * dpr);
+		if (this.canvas.width !== w || this.canvas.height !== h) {
+			this.canvas.width = w;
+			this.canvas.height = h;
+		}
+
+		this._trails.resize(this.width, this.height, dpr);
+	}
+
+
+	/**
+	 * Draw one frame
+	 *
+	 * @param {Array<object>} penlights - [{ key, x, y, theta, hex, nickname, opacity, scale?, blur? }] in css px, as OBSRoom computes them
+	 *        (scale & blur come from the arena layout's depth, see stageMapping.js)
+	 * @param {object} options
+	 * @param {number} options.penSize - pen size in css px
+	 * @param {boolean} [options.trails=false] - whether to draw trails
+	 * @param {string} [options.trailStyle='ghost'] - one of TRAIL_STYLES
+	 * @param {number} [options.trailIntensity=0.5] - opacity of the trails (0-1)
+	 * @param {number} [options.trailDecay=0.5] - how slowly trails fade (0-1)
+	 */
+	render(penlights, { penSize, trails = false, trailStyle = 'ghost', trailIntensity = 0.5, trailDecay = 0.5 }) {
+
+		const ctx = this.ctx;
+		const dpr = this.dpr;
+
+		// a different pen size means our tinted sprites are the wrong resolution
+		if (penSize !== this._tintPenSize) {
+			this._tints.clear();
+			this._tintPenSize = penSize;
+		}
+
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+		ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+		// nothing to draw until the sprite is loaded
+		if (!this._penImage)
+			return;
+
+		// 1) trails, underneath everything
+		if (trails) {
+			this._trails.update(penlights, { penSize, style: trailStyle, decay: trailDecay });
+			this._trails.drawTo(ctx, trailIntensity);
+		}
+
+		// 2) pens
+		ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+		for (const pl of penlights) {
+
+			// (tints are made at the front row's size, & shrunk for pens further back)
+			const scale = pl.scale ?? 1;
+			const tint = this._getTint(pl.hex, penSize, pl.hex2, pl.frame);
+			const size = tint.pen.width / tint.k * scale;
+			const { cx, cy } = penBoxCenter(pl, penSize * scale);
+
+			ctx.globalAlpha = pl.opacity ?? 1;
+			if (pl.blur > 0.2)
+				ctx.filter = `blur(${pl.blur.toFixed(1)}px)`;
+			ctx.translate(cx, cy);
+			ctx.rotate(pl.theta * Math.PI / 180);
+			ctx.drawImage(tint.pen, -size / 2, -size / 2, size, size);
+			ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+			ctx.filter = 'none';
+		}
+
+		// 3) nicknames on top, upright, just under each pen
+		ctx.font = NAME_FONT;
+		ctx.textAlign = 'center';
+		ctx.textBaseline = 'top';
+		ctx.lineJoin = 'round';
+		ctx.lineWidth = 4;
+		ctx.strokeStyle = '#000';
+		ctx.fillStyle = '#fff';
+		for (const pl of penlights) {
+
+			const name = this._cleanName(pl.nickname);
+			if (!name)
+				continue;
+
+			// the label sits at the bottom edge of the rotated pen box
+			const scaled = penSize * (pl.scale ?? 1);
+			const { cx, cy } = penBoxCenter(pl, scaled);
+			const t = pl.theta * Math.PI / 180;
+			const r = scaled / 2 - 8;
+			const nx = cx - Math.sin(t) * r;
+			const ny = cy + Math.cos(t) * r;
+
+			ctx.globalAlpha = pl.opacity ?? 1;
+			ctx.strokeText(name, nx, ny);
+			ctx.fillText(name, nx, ny);
+		}
+
+		ctx.globalAlpha = 1;
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+	}
+
+
+	/**
+	 * Wipe the trails
+	 */
+	clearTrails() {
+		this._trails.clear();
+	}
+
+
+	/**
+	 * Drop everything we're holding on to
+	 */
+	destroy() {
+
+		this._spriteSeq++;
+		this._tints.clear();
+		this._names.clear();
+		this._penImage = null;
+		this._maskImage = null;
+		this._secondaryMaskImage = null;
+		this._glowMaskImage = null;
+		this._trails.destroy();
+	}
+
+
+	/**
+	 * Get (or build) the tinted sprite for a color
+	 *
+	 * @param {string} hex - 6-digit hex color, no '#'
+	 * @param {number} penSize - pen size in css px
+	 * @param {string} [hex2] - second color for two-tone sprites (defaults to hex)
+	 * @param {number} [frame=0] - which frame of an animated sprite
+	 * @returns {{pen: HTMLCanvasElement, k: number}}
+	 */
+	_getTint(hex, penSize, hex2, frame = 0) {
+
+		// pens w/o a resolvable color are drawn white
+		hex = hex || 'FFFFFF';
+
+		// the second color only matters if the sprite has a second zone
+		hex2 = this._secondaryMaskImage ? (hex2 || hex) : hex;
+		let key = hex2 === hex ? hex : `${hex}/${hex2}`;
+
+		// animated sprites get a tint per frame, built lazily as they come up
+		const n = this._frames;
+		frame = ((Math.trunc(frame) || 0) % n + n) % n;
+		if (n > 1)
+			key += `:${frame}`;
+
+		const cached = this._tints.get(key);
+		if (cached)
+			return cached;
+
+		// resolution to tint at, & device px per css px at that resolution
+		const res = Math.min(MAX_TINT_RES, Math.max(1, Math.round(penSize * this.dpr)));
+		const k = res / penSize;
+
+		// room around the sprite for the glow to spill into
+		const pad = Math.ceil(GLOW_BLUR_OUTER * 2 * k);
+
+		// the masks, filled w/ their colors (the bloom is washed toward white, like .bloom)
+		const mask = this._fillMask(this._maskImage, `#${hex}`, res, frame);
+		const mask2 = this._fillMask(this._secondaryMaskImage, `#${hex2}`, res, frame);
+		const bloom = this._fillMask(this._glowMaskImage, mixWithWhite(hex, 0.4), res, frame);
+
+		// sprite + glow, the same layers PenLight.vue stacks w/ css
+		const pen = makeCanvas(res + pad * 2, res + pad * 2);
+		const pctx = pen.getContext('2d');
+		const fw = this._penImage.width / n;
+		pctx.drawImage(this._penImage, frame * fw, 0, fw, this._penImage.height, pad, pad, res, res);
+		for (const m of [mask, mask2]) {
+			if (!m)
+				continue;
+			pctx.filter = `blur(${GLOW_BLUR_OUTER * k}px)`;
+			pctx.globalCompositeOperation = 'screen';
+			pctx.drawImage(m, pad, pad);
+			pctx.filter = `blur(${GLOW_BLUR_INNER * k}px)`;
+			pctx.globalCompositeOperation = 'multiply';
+			pctx.drawImage(m, pad, pad);
+		}
+		if (bloom) {
+			pctx.globalCompositeOperation = 'lighter';
+			pctx.filter = `blur(${BLOOM_BLUR_HALO * k}px)`;
+			pctx.drawImage(bloom, pad, pad);
+			pctx.filter = `blur(${BLOOM_BLUR_CORE * k}px)`;
+			pctx.drawImage(bloom, pad, pad);
+		}
+
+		// evict the oldest color if we're holding too many
+		if (this._tints.size >= MAX_TINTS)
+			this._tints.delete(this._tints.keys().next().value);
+
+		const tint = { pen, k };
+		this._tints.set(key, tint);
+		return tint;
+	}
+
+
+	/**
+	 * Fill one of the sprite's masks w/ a color (keeping its alpha)
+	 *
+	 * @param {HTMLImageElement|null} maskImage - the mask
+	 * @param {string} fill - css color
+	 * @param {number} res - size to draw at, in device px
+	 * @param {number} frame - which frame of the sheet
+	 * @returns {HTMLCanvasElement|null} the filled mask, or null if there's no mask
+	 */
+	_fillMask(maskImage, fill, res, frame) {
+
+		if (!maskImage)
+			return null;
+
+		const mask = makeCanvas(res, res);
+		const mctx = mask.getContext('2d');
+		const fw = maskImage.width / this._frames;
+		mctx.drawImage(maskImage, frame * fw, 0, fw, maskImage.height, 0, 0, res, res);
+		mctx.globalCompositeOperation = 'source-in';
+		mctx.fillStyle = fill;
+		mctx.fillRect(0, 0, res, res);
+		return mask;
+	}
+
+
+	/**
+	 * Get the censored version of a nickname (cached, since this runs every frame)
+	 *
+	 * @param {string} nickname - the raw nickname
+	 * @returns {string} the cleaned nickname
+	 */
+	_cleanName(nickname) {
+
+		if (!nickname)
+			return '';
+
+		let clean = this._names.get(nickname);
+		if (clean === undefined) {
+			if (this._names.size >= MAX_NAMES)
+				this._names.clear();
+			clean = censorUsername(nickname, this._nameRoom) || '';
+			this._names.set(nickname, clean);
+		}
+		return clean;
+	}
+
+}
@@ -0,0 +1,262 @@
+/*
+	PenScheduler.js
+	---------------
+
+	Decides whose pens are on stage when there are more people in the room than
+	the streamer's maxConcurrent cap.
+
+	Everyone's known by their user id (not where they are in the users list,
+	which shifts whenever someone leaves - users from older servers w/o ids get
+	a stand-in one from MotionBuffer.js), & takes turns on stage:
+
+		- a turn lasts at least MIN_TURN_MS, & pens that are moving can keep
+		  going up to MAX_TURN_MS - idle ones make way as soon as their turn's up
+		- whoever's been waiting longest goes next, but people who are moving
+		  (waving, dancing...) jump ahead of people who aren't (ACTIVITY_BOOST)
+		- nobody waits forever: once someone's waited a full rotation (everyone
+		  taking a MAX_TURN_MS turn), they're next no matter what
+
+	So w/ N people & a cap of M, everyone's on stage at least once every
+	ceil(N / M) x MAX_TURN_MS or so.
+
+	Pens fade in & out over FADE_MS instead of blinking (so for a moment, pens
+	fading out are drawn on top of the cap).
+
+	Like SpriteAnimator, it's fed the users every frame & keeps its own state.
+
+	This will be imported and instantiated in OBSRoomState.js, & run from its render loop
+*/
+
+// our app
+import { anonUserId } from './MotionBuffer.js';
+
+// how long a turn on stage lasts: at least this...
+export const MIN_TURN_MS = 3000;
+
+// ...& at most this, for pens that keep moving
+export const MAX_TURN_MS = 8000;
+
+// how long pens take to fade in or out
+export const FADE_MS = 600;
+
+// how often we hand out turns
+const SCHEDULE_MS = 250;
+
+// how much moving counts when picking who's next (1 = a moving pen's wait counts double)
+const ACTIVITY_BOOST = 1;
+
+// a pen is "moving" above this activity (0..1)
+const ACTIVE_LEVEL = 0.25;
+
+// how far a pen has to move between looks to count as fully active (normalized units)
+const ACTIVE_STEP = 0.03;
+
+
+/**
+ * Takes turns putting pens on stage when there are too many to show at once
+ */
+export class PenScheduler {
+
+	/**
+	 * Builds the PenScheduler
+	 */
+	constructor() {
+
+		// key -> { x, y, theta, activity, shown, since }
+		// (since is when they last went on stage if shown, or off it / joined if not)
+		this._pens = new Map();
+
+		// pens taken off stage, still fading out: key -> hiddenAt
+		this._fading = new Map();
+
+		this._lastSchedule = -Infinity;
+	}
+
+
+	/**
+	 * Which users to draw right now, & how faded in they are
+	 *
+	 * @param {Array<object>} users - the room's users, w/ { id, x, y, theta }
+	 * @param {number} maxN - the most pens on stage (0 for no cap)
+	 * @param {number} [nowMs=Date.now()] - the current time
+	 * @returns {Array<{user:object, key:string, opacity:number}>} in the same order as users
+	 */
+	visible(users, maxN, nowMs = Date.now()) {
+
+		const anonCounts = new Map();
+		const keys = users.map(u => u.id != null ? String(u.id) : anonUserId(u, anonCounts));
+
+		// newcomers & leavers get sorted out straight away, turns only every SCHEDULE_MS
+		const joined = keys.some(k => !this._pens.has(k));
+		if (joined || keys.length !== this._pens.size || nowMs - this._lastSchedule >= SCHEDULE_MS)
+			this._schedule(users, keys, maxN, nowMs);
+
+		const out = [];
+		for (let i = 0; i < users.length; i++) {
+
+			const pen = this._pens.get(keys[i]);
+			let opacity;
+			if (pen.shown) {
+				opacity = Math.min(1, (nowMs - pen.since) / FADE_MS);
+			} else {
+				const hiddenAt = this._fading.get(keys[i]);
+				opacity = hiddenAt == null ? 0 : 1 - (nowMs - hiddenAt) / FADE_MS;
+			}
+
+			if (opacity > 0)
+				out.push({ user: users[i], key: keys[i], opacity });
+		}
+
+		return out;
+	}
+
+
+	/**
+	 * Update who's moving, & hand out turns
+	 *
+	 * @param {Array<object>} users - the room's users
+	 * @param {Array<string>} keys - their keys
+	 * @param {number} maxN - the most pens on stage (0 for no cap)
+	 * @param {number} nowMs - the current time
+	 */
+	_schedule(users, keys, maxN, nowMs) {
+
+		const lookedAt = this._lastSchedule;
+		this._lastSchedule = nowMs;
+
+		// forget people who left
+		const present = new Set(keys);
+		for (const key of this._pens.keys()) {
+			if (!present.has(key)) {
+				this._pens.delete(key);
+				this._fading.delete(key);
+			}
+		}
+
+		// done fading out
+		for (const [key, hiddenAt] of this._fading)
+			if (nowMs - hiddenAt >= FADE_MS)
+				this._fading.delete(key);
+
+		// how much everyone's moving (a running average, so one twitch doesn't count)
+		const span = Math.min(1, Math.max(0, nowMs - lookedAt) / SCHEDULE_MS);
+		for (let i = 0; i < users.length; i++) {
+
+			const u = users[i];
+			const x = Number(u.x) || 0;
+			const y = Number(u.y) || 0;
+			const theta = Number(u.theta) || 0;
+
+			let pen = this._pens.get(keys[i]);
+			if (!pen) {
+				pen = { x, y, theta, activity: 0, shown: false, since: nowMs };
+				this._pens.set(keys[i], pen);
+			}
+
+			const moved = Math.hypot(x - pen.x, y - pen.y) + Math.abs(theta - pen.theta) / 360;
+			const level = Math.min(1, moved / ACTIVE_STEP);
+			pen.activity += (level - pen.activity) * 0.3 * span;
+			pen.x = x;
+			pen.y = y;
+			pen.theta = theta;
+		}
+
+		// no cap, or room for everyone: everyone's on
+		const pens = [...this._pens.entries()];
+		if (!maxN || pens.length <= maxN) {
+			for (const [key, pen] of pens)
+				if (!pen.shown)
+					this._show(key, pen, nowMs);
+			return;
+		}
+
+		const shown = pens.filter(([, pen]) => pen.shown);
+		const waiting = pens.filter(([, pen]) => !pen.shown);
+
+		// a full rotation: how long anyone should ever have to wait
+		const rotationMs = Math.ceil(pens.length / maxN) * MAX_TURN_MS;
+
+		// who's next: anyone who's waited a full rotation (longest first), then by wait w/ a boost for moving
+		const overdue = (pen) => nowMs - pen.since >= rotationMs;
+		const priority = (pen) => (nowMs - pen.since) * (1 + ACTIVITY_BOOST * pen.activity);
+		waiting.sort(([, a], [, b]) => {
+			if (overdue(a) !== overdue(b))
+				return overdue(a) ? -1 : 1;
+			if (overdue(a))
+				return a.since - b.since;
+			return priority(b) - priority(a);
+		});
+
+		// whose turn is up: idle pens after MIN_TURN_MS, anyone after MAX_TURN_MS (idle & longest on first)
+		const done = shown
+			.filter(([, pen]) => {
+				const on = nowMs - pen.since;
+				return on >= MAX_TURN_MS || (on >= MIN_TURN_MS && pen.activity < ACTIVE_LEVEL);
+			})
+			.sort((a, b) => a[1].activity - b[1].activity || a[1].since - b[1].since);
+
+		// too many on (the cap went down): take the ones who've been on longest off
+		let onCount = shown.length;
+		if (onCount > maxN) {
+			const longest = [...shown].sort((a, b) => a[1].since - b[1].since);
+			for (const [key, pen] of longest.slice(0, onCount - maxN))
+				this._hide(key, pen, nowMs);
+			onCount = maxN;
+		}
+
+		// fill any empty spots
+		while (onCount < maxN && waiting.length > 0) {
+			const [key, pen] = waiting.shift();
+			this._show(key, pen, nowMs);
+			onCount++;
+		}
+
+		// & swap out whoever's turn is up
+		for (const [key, pen] of done) {
+			if (waiting.length === 0)
+				break;
+			if (!pen.shown)
+				continue;
+
+			this._hide(key, pen, nowMs);
+			const [nextKey, nextPen] = waiting.shift();
+			this._show(nextKey, nextPen, nowMs);
+		}
+	}
+
+
+	/**
+	 * Put a pen on stage
+	 */
+	_show(key, pen, nowMs) {
+
+		// coming back mid fade-out: fade in from where it's at
+		const hiddenAt = this._fading.get(key);
+		const left = hiddenAt == null ? 0 : Math.max(0, 1 - (nowMs - hiddenAt) / FADE_MS);
+		this._fading.delete(key);
+
+		pen.shown = true;
+		pen.since = nowMs - left * FADE_MS;
+	}
+
+
+	/**
+	 * Take a pen off stage (it fades out)
+	 */
+	_hide(key, pen, nowMs) {
+		pen.shown = false;
+		pen.since = nowMs;
+		this._fading.set(key, nowMs);
+	}
+
+
+	/**
+	 * Forget everyone
+	 */
+	clear() {
+		this._pens.clear();
+		this._fading.clear();
+		this._lastSchedule = -Infinity;
+	}
+
+}
@@ -0,0 +1,81 @@
+/*
+	PenScheduler.test.js
+	--------------------
+
+	Checks turns on stage follow people (not their place in the users list).
+*/
+
+// libs
+import { describe, it, expect } from 'vitest';
+
+// our app
+import { PenScheduler, MIN_TURN_MS, MAX_TURN_MS, FADE_MS } from './PenScheduler.js';
+import { MotionBuffer } from './MotionBuffer.js';
+
+// users from an older server's 'state' snapshot (no ids)
+const anonUsers = (names) => names.map(n => ({ nickname: n, color: 0, x: 0.5, y: 0.5, theta: 0 }));
+
+
+describe('MotionBuffer ids for users w/o one', () => {
+
+	it('keeps everyone\'s id when someone before them leaves', () => {
+
+		const motion = new MotionBuffer();
+		motion.applySnapshot(anonUsers(['ann', 'bob', 'cat']), 0);
+		const before = new Map(motion.sample(1000).map(u => [u.nickname, u.id]));
+
+		motion.applySnapshot(anonUsers(['bob', 'cat']), 100);
+		for (const u of motion.sample(1100))
+			expect(u.id).toBe(before.get(u.nickname));
+	});
+
+	it('tells apart people w/ the same name & color', () => {
+
+		const motion = new MotionBuffer();
+		motion.applySnapshot(anonUsers(['sam', 'sam']), 0);
+		const ids = motion.sample(1000).map(u => u.id);
+		expect(new Set(ids).size).toBe(2);
+	});
+
+});
+
+
+describe('PenScheduler', () => {
+
+	it('shows everyone when there\'s no cap', () => {
+
+		const scheduler = new PenScheduler();
+		const users = anonUsers(['ann', 'bob', 'cat']).map((u, i) => ({ ...u, id: `u${i}` }));
+		scheduler.visible(users, 0, 0);
+		expect(scheduler.visible(users, 0, FADE_MS).map(v => v.opacity)).toEqual([1, 1, 1]);
+	});
+
+	it('keeps whoever\'s on stage on stage when someone else leaves', () => {
+
+		const scheduler = new PenScheduler();
+		const users = anonUsers(['ann', 'bob', 'cat', 'dan', 'eve']);
+		scheduler.visible(users, 2, 0);
+		const onStage = scheduler.visible(users, 2, FADE_MS).filter(v => v.opacity === 1).map(v => v.user.nickname);
+
+		// someone who isn't on stage leaves from the front of the list
+		const leaver = users.find(u => !onStage.includes(u.nickname));
+		const rest = users.filter(u => u !== leaver);
+		const after = scheduler.visible(rest, 2, FADE_MS + 16).filter(v => v.opacity === 1).map(v => v.user.nickname);
+
+		expect(after.sort()).toEqual([...onStage].sort());
+	});
+
+	it('gives everyone a turn within a rotation', () => {
+
+		const scheduler = new PenScheduler();
+		const users = anonUsers(['ann', 'bob', 'cat', 'dan', 'eve', 'fay', 'gus']);
+		const seen = new Set();
+		for (let t = 0; t <= Math.ceil(users.length / 2) * MAX_TURN_MS + MIN_TURN_MS; t += 50)
+			for (const v of scheduler.visible(users, 2, t))
+				if (v.opacity === 1)
+					seen.add(v.user.nickname);
+
+		expect(seen.size).toBe(users.length);
+	});
+
+});
@@ -0,0 +1,652 @@
+/*
+	PenTrails.js
+	------------
+
+	The glow trails behind penlights on the OBS stage, shared by both renderers
+	(PenLightTrails.vue for the DOM renderer, PenCanvasRenderer for the canvas one).
+
+	It works straight from the penlight data OBSRoom computes (stage px), so it
+	never has to measure the DOM, and it keeps its buffers at the stage's size
+	times devicePixelRatio so trails stay sharp on hi-dpi OBS sources.
+
+	Styles:
+		ghost	- the classic look: each pen's tinted mask stamped every frame & left to fade
+		ribbon	- smooth streaks swept out by the glowing part of each pen
+		sparkle	- little particles thrown off the tips of moving pens
+
+	Fading:
+		ghost & ribbon accumulate into a buffer that fades every frame. Just multiplying
+		the alpha down (destination-in) gets stuck at low values because of 8-bit rounding,
+		which the old trails fixed w/ a getImageData() threshold pass - a full-frame readback
+		that stalls the compositor at 1080p+. Instead, we copy the buffer through an SVG
+		alpha filter (alpha * decay - floor) into a second buffer & swap, which takes faint
+		pixels all the way to zero, entirely on the GPU. Browsers w/o canvas filters fall
+		back to plain multiplying, and just keep a faint residue.
+
+		sparkle particles each have a lifetime instead, so they don't need the buffer.
+*/
+
+// the blur the trails get, in css px (baked into the stamps, not done per frame)
+const TRAIL_BLUR = 5;
+
+// how many colors to keep tinted stamps for
+const MAX_STAMPS = 256;
+
+// most particles alive at once, across all pens
+const MAX_PARTICLES = 4000;
+
+// how much alpha the fade takes off per frame, on top of the multiply (out of 1)
+const FADE_FLOOR = 2 / 255;
+
+// where the glowing part of a pen is, as fractions of pen size out from its center
+const GLOW_ROOT = 0.05;
+const GLOW_TIP = 0.45;
+
+// counter for unique filter ids
+let fadeFilterSeq = 0;
+
+
+/**
+ * Make an offscreen canvas
+ *
+ * @param {number} w - width in px
+ * @param {number} h - height in px
+ * @returns {HTMLCanvasElement}
+ */
+export function makeCanvas(w, h) {
+
+	const c = document.createElement('canvas');
+	c.width = Math.max(1, Math.round(w));
+	c.height = Math.max(1, Math.round(h));
+	return c;
+}
+
+
+/**
+ * Center of a pen's box, in css px.
+ * Same as PenLight.vue's translate(-50%, -80%) from the pen's x/y.
+ *
+ * @param {object} pl - the penlight, w/ x & y in stage px
+ * @param {number} penSize - pen size in css px
+ * @returns {{cx:number, cy:number}}
+ */
+export function penBoxCenter(pl, penSize) {
+	return { cx: pl.x, cy: pl.y - penSize * 0.3 };
+}
+
+
+/**
+ * Point along a pen's (rotated) axis
+ *
+ * @param {number} cx - center x
+ * @param {number} cy - center y
+ * @param {number} theta - rotation in radians
+ * @param {number} dist - distance out from the center, towards the tip
+ * @returns {{x:number, y:number}}
+ */
+function alongPen(cx, cy, theta, dist) {
+	return { x: cx + Math.sin(theta) * dist, y: cy - Math.cos(theta) * dist };
+}
+
+
+/**
+ * Add an SVG filter to the page that fades alpha by (a * decay - floor)
+ *
+ * @param {number} decay - multiplier for alpha
+ * @returns {{id:string, svg:SVGElement}}
+ */
+function createFadeFilter(decay) {
+
+	const NS = 'http://www.w3.org/2000/svg';
+	const id = `pen-trail-fade-${++fadeFilterSeq}`;
+
+	const svg = document.createElementNS(NS, 'svg');
+	svg.setAttribute('aria-hidden', 'true');
+	svg.setAttribute('width', '0');
+	svg.setAttribute('height', '0');
+	svg.style.position = 'absolute';
+
+	const filter = document.createElementNS(NS, 'filter');
+	filter.setAttribute('id', id);
+	filter.setAttribute('color-interpolation-filters', 'sRGB');
+	filter.setAttribute('x', '0');
+	filter.setAttribute('y', '0');
+	filter.setAttribute('width', '1');
+	filter.setAttribute('height', '1');
+
+	const transfer = document.createElementNS(NS, 'feComponentTransfer');
+	const funcA = document.createElementNS(NS, 'feFuncA');
+	funcA.setAttribute('type', 'linear');
+	funcA.setAttribute('slope', String(decay));
+	funcA.setAttribute('intercept', String(-FADE_FLOOR));
+
+	transfer.appendChild(funcA);
+	filter.appendChild(transfer);
+	svg.appendChild(filter);
+	document.body.appendChild(svg);
+
+	return { id, svg };
+}
+
+
+/**
+ * Map the room's 0-1 decay setting to a per-frame alpha multiplier
+ *
+ * @param {number} decay - 0-1, higher is longer trails
+ * @returns {number} the multiplier
+ */
+function decayToAlpha(decay) {
+	return 0.85 + decay * (0.99 - 0.85);
+}
+
+
+/**
+ * Glow trails for a set of penlights
+ */
+export class PenTrails {
+
+	/**
+	 * Builds the PenTrails
+	 */
+	constructor() {
+
+		// css size & device pixel ratio
+		this.width = 1;
+		this.height = 1;
+		this.dpr = 1;
+
+		// the buffer trails accumulate in, & a scratch buffer to fade into
+		this._buffer = makeCanvas(1, 1);
+		this._scratch = makeCanvas(1, 1);
+
+		// svg fade filter (if canvas filters are supported) & the decay it was made for
+		this._canFilter = 'filter' in this._buffer.getContext('2d');
+		this._fade = null;
+		this._fadeDecay = null;
+
+		// the pen mask image (a sheet, for animated sprites), & tinted stamps of it: hex:frame -> { canvas, k }
+		this._mask = null;
+		this._maskFrames = 1;
+		this._stamps = new Map();
+		this._stampPenSize = 0;
+
+		// small glowing dot per color for sparkles: hex -> canvas
+		this._sparks = new Map();
+
+		// key -> where each pen's glow was last frame, & leftover sparkles to emit
+		this._prev = new Map();
+		this._carry = new Map();
+
+		// live sparkle particles
+		this._particles = [];
+		this._lastMs = null;
+	}
+
+
+	/**
+	 * Set the mask image (white w/ alpha) used for ghost stamps
+	 *
+	 * @param {HTMLImageElement|HTMLCanvasElement|null} mask - the mask
+	 * @param {number} [frames=1] - how many frames wide the mask is (see spriteSheet.js)
+	 */
+	setMask(mask, frames = 1) {
+		this._mask = mask;
+		this._maskFrames = Math.max(1, Math.trunc(frames) || 1);
+		this._stamps.clear();
+	}
+
+
+	/**
+	 * Match the buffers to the stage size
+	 *
+	 * @param {number} width - css width
+	 * @param {number} height - css height
+	 * @param {number} [dpr=1] - device pixel ratio
+	 */
+	resize(width, height, dpr = 1) {
+
+		this.width = Math.max(1, width);
+		this.height = Math.max(1, height);
+
+		// new pixel density means our stamps are the wrong resolution
+		if (dpr !== this.dpr) {
+			this._stamps.clear();
+			this._sparks.clear();
+		}
+		this.dpr = dpr;
+
+		// resizing wipes the trails, which is fine
+		const w = Math.round(this.width * dpr);
+		const h = Math.round(this.height * dpr);
+		for (const c of [this._buffer, this._scratch]) {
+			if (c.width !== w || c.height !== h) {
+				c.width = w;
+				c.height = h;
+			}
+		}
+	}
+
+
+	/**
+	 * Advance the trails by one frame
+	 *
+	 * @param {Array<object>} penlights - [{ key, x, y, theta, hex, opacity, scale? }] in stage px
+	 * @param {object} options
+	 * @param {number} options.penSize - pen size in css px (pens w/ a scale are drawn that much smaller)
+	 * @param {string} [options.style='ghost'] - one of TRAIL_STYLES
+	 * @param {number} [options.decay=0.5] - how slowly trails fade (0-1)
+	 * @param {number} [options.nowMs=performance.now()] - current time
+	 */
+	update(penlights, { penSize, style = 'ghost', decay = 0.5, nowMs = performance.now() }) {
+
+		// a different pen size means our stamps are the wrong resolution
+		if (penSize !== this._stampPenSize) {
+			this._stamps.clear();
+			this._stampPenSize = penSize;
+		}
+
+		// time since the last frame, for particles (capped, so a stall doesn't jump)
+		const dt = this._lastMs == null ? 16 : Math.min(100, nowMs - this._lastMs);
+		this._lastMs = nowMs;
+
+		this._fadeBuffer(decay);
+
+		if (style === 'ribbon')
+			this._drawRibbons(penlights, penSize);
+		else if (style === 'sparkle')
+			this._emitSparkles(penlights, penSize, decay);
+		else
+			this._drawGhosts(penlights, penSize);
+
+		this._stepParticles(dt);
+		this._rememberPens(penlights, penSize);
+	}
+
+
+	/**
+	 * Draw the trails onto another canvas
+	 *
+	 * @param {CanvasRenderingContext2D} ctx - the target, sized like our buffers
+	 * @param {number} [intensity=0.5] - opacity of the trails (0-1)
+	 */
+	drawTo(ctx, intensity = 0.5) {
+
+		ctx.save();
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+		ctx.globalAlpha = intensity;
+		ctx.drawImage(this._buffer, 0, 0);
+
+		// particles are drawn fresh each frame, additively so they sparkle
+		if (this._particles.length) {
+			const dpr = this.dpr;
+			ctx.globalCompositeOperation = 'lighter';
+			for (const p of this._particles) {
+				const spark = this._getSpark(p.hex);
+				const size = p.size * dpr;
+				ctx.globalAlpha = intensity * p.opacity * (p.life / p.maxLife);
+				ctx.drawImage(spark, p.x * dpr - size / 2, p.y * dpr - size / 2, size, size);
+			}
+		}
+		ctx.restore();
+	}
+
+
+	/**
+	 * Wipe all trails & particles
+	 */
+	clear() {
+
+		for (const c of [this._buffer, this._scratch])
+			c.getContext('2d').clearRect(0, 0, c.width, c.height);
+
+		this._particles = [];
+		this._prev.clear();
+		this._carry.clear();
+		this._lastMs = null;
+	}
+
+
+	/**
+	 * Drop everything we're holding on to
+	 */
+	destroy() {
+
+		this._fade?.svg.remove();
+		this._fade = null;
+		this._stamps.clear();
+		this._sparks.clear();
+		this._prev.clear();
+		this._particles = [];
+		this._mask = null;
+		this._buffer.width = this._buffer.height = 1;
+		this._scratch.width = this._scratch.height = 1;
+	}
+
+
+	/**
+	 * Fade the accumulated trails by one frame
+	 *
+	 * @param {number} decay - how slowly trails fade (0-1)
+	 */
+	_fadeBuffer(decay) {
+
+		const alpha = decayToAlpha(decay);
+
+		// fallback: multiply in place (leaves a faint residue, but no readbacks)
+		if (!this._canFilter) {
+			const ctx = this._buffer.getContext('2d');
+			ctx.globalCompositeOperation = 'destination-in';
+			ctx.globalAlpha = alpha;
+			ctx.fillRect(0, 0, this._buffer.width, this._buffer.height);
+			ctx.globalCompositeOperation = 'source-over';
+			ctx.globalAlpha = 1;
+			return;
+		}
+
+		// (re)build the filter if the decay setting changed
+		if (this._fadeDecay !== alpha) {
+			this._fade?.svg.remove();
+			this._fade = createFadeFilter(alpha);
+			this._fadeDecay = alpha;
+		}
+
+		// copy through the fade filter into the scratch buffer, then swap
+		const sctx = this._scratch.getContext('2d');
+		sctx.clearRect(0, 0, this._scratch.width, this._scratch.height);
+		sctx.filter = `url(#${this._fade.id})`;
+		sctx.drawImage(this._buffer, 0, 0);
+		sctx.filter = 'none';
+
+		[this._buffer, this._scratch] = [this._scratch, this._buffer];
+	}
+
+
+	/**
+	 * Ghost style: stamp each pen's tinted mask into the buffer
+	 *
+	 * @param {Array<object>} penlights - the penlights
+	 * @param {number} penSize - pen size in css px
+	 */
+	_drawGhosts(penlights, penSize) {
+
+		if (!this._mask)
+			return;
+
+		const ctx = this._buffer.getContext('2d');
+		const dpr = this.dpr;
+
+		for (const pl of penlights) {
+
+			// (stamps are made at the front row's size, & shrunk for pens further back in the arena)
+			const scale = pl.scale ?? 1;
+			const stamp = this._getStamp(pl.hex, penSize, pl.frame);
+			const size = stamp.canvas.width / stamp.k * scale;
+			const { cx, cy } = penBoxCenter(pl, penSize * scale);
+
+			ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+			ctx.translate(cx, cy);
+			ctx.rotate(pl.theta * Math.PI / 180);
+			ctx.globalAlpha = pl.opacity ?? 1;
+			ctx.drawImage(stamp.canvas, -size / 2, -size / 2, size, size);
+		}
+
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+		ctx.globalAlpha = 1;
+	}
+
+
+	/**
+	 * Ribbon style: fill the area each pen's glow swept through since last frame
+	 *
+	 * @param {Array<object>} penlights - the penlights
+	 * @param {number} penSize - pen size in css px
+	 */
+	_drawRibbons(penlights, penSize) {
+
+		const ctx = this._buffer.getContext('2d');
+		const dpr = this.dpr;
+		ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+		ctx.lineJoin = 'round';
+		ctx.lineCap = 'round';
+
+		for (const pl of penlights) {
+
+			const prev = this._prev.get(pl.key);
+			if (!prev)
+				continue;
+
+			const { root, tip } = this._glowSegment(pl, penSize);
+			const size = penSize * (pl.scale ?? 1);
+
+			// skip pens that teleported (e.g. joined, or a slot changed hands)
+			if (Math.hypot(tip.x - prev.tip.x, tip.y - prev.tip.y) > size * 4)
+				continue;
+
+			const color = `#${pl.hex || 'FFFFFF'}`;
+			const opacity = pl.opacity ?? 1;
+
+			// soft wide glow along the tip's path
+			ctx.globalAlpha = opacity * 0.35;
+			ctx.strokeStyle = color;
+			ctx.lineWidth = size * 0.12;
+			ctx.beginPath();
+			ctx.moveTo(prev.tip.x, prev.tip.y);
+			ctx.lineTo(tip.x, tip.y);
+			ctx.stroke();
+
+			// the swept band between last frame's glow & this one's
+			ctx.globalAlpha = opacity;
+			ctx.fillStyle = color;
+			ctx.lineWidth = 2;
+			ctx.beginPath();
+			ctx.moveTo(prev.root.x, prev.root.y);
+			ctx.lineTo(prev.tip.x, prev.tip.y);
+			ctx.lineTo(tip.x, tip.y);
+			ctx.lineTo(root.x, root.y);
+			ctx.closePath();
+			ctx.fill();
+			ctx.stroke();
+		}
+
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+		ctx.globalAlpha = 1;
+	}
+
+
+	/**
+	 * Sparkle style: throw particles off the glow of pens that are moving
+	 *
+	 * @param {Array<object>} penlights - the penlights
+	 * @param {number} penSize - pen size in css px
+	 * @param {number} decay - how slowly trails fade (0-1), used for particle life
+	 */
+	_emitSparkles(penlights, penSize, decay) {
+
+		const maxLife = 300 + decay * 900;
+
+		for (const pl of penlights) {
+
+			const prev = this._prev.get(pl.key);
+			if (!prev)
+				continue;
+
+			const { root, tip } = this._glowSegment(pl, penSize);
+			const size = penSize * (pl.scale ?? 1);
+			const moved = Math.hypot(tip.x - prev.tip.x, tip.y - prev.tip.y);
+			if (moved > size * 4)
+				continue;
+
+			// more movement, more sparkles (w/ the remainder carried to the next frame)
+			const want = moved / (size * 0.08) + (this._carry.get(pl.key) || 0);
+			const count = Math.min(6, Math.floor(want));
+			this._carry.set(pl.key, want - count);
+
+			for (let i = 0; i < count && this._particles.length < MAX_PARTICLES; i++) {
+
+				// somewhere along the glow, mostly towards the tip
+				const along = 1 - Math.random() * Math.random();
+				this._particles.push({
+					x: root.x + (tip.x - root.x) * along,
+					y: root.y + (tip.y - root.y) * along,
+					vx: (tip.x - prev.tip.x) * 0.005 + (Math.random() - 0.5) * 0.08,
+					vy: (tip.y - prev.tip.y) * 0.005 + (Math.random() - 0.5) * 0.08,
+					size: size * (0.05 + Math.random() * 0.07),
+					hex: pl.hex || 'FFFFFF',
+					opacity: pl.opacity ?? 1,
+					life: maxLife,
+					maxLife,
+				});
+			}
+		}
+	}
+
+
+	/**
+	 * Move particles along & drop dead ones
+	 *
+	 * @param {number} dt - ms since last frame
+	 */
+	_stepParticles(dt) {
+
+		if (!this._particles.length)
+			return;
+
+		const alive = [];
+		for (const p of this._particles) {
+			p.life -= dt;
+			if (p.life <= 0)
+				continue;
+
+			// drift, slow down, & fall a little
+			p.x += p.vx * dt;
+			p.y += p.vy * dt;
+			p.vx *= 0.98;
+			p.vy = p.vy * 0.98 + 0.0001 * dt;
+			alive.push(p);
+		}
+		this._particles = alive;
+	}
+
+
+	/**
+	 * Remember where each pen's glow is, for next frame's ribbons & sparkles
+	 *
+	 * @param {Array<object>} penlights - the penlights
+	 * @param {number} penSize - pen size in css px
+	 */
+	_rememberPens(penlights, penSize) {
+
+		const next = new Map();
+		for (const pl of penlights)
+			next.set(pl.key, this._glowSegment(pl, penSize));
+		this._prev = next;
+
+		// forget leftovers for pens that are gone
+		for (const key of this._carry.keys())
+			if (!next.has(key)) this._carry.delete(key);
+	}
+
+
+	/**
+	 * Get the glowing part of a pen, as a line from root to tip
+	 *
+	 * @param {object} pl - the penlight (w/ its arena scale, if it has one)
+	 * @param {number} penSize - pen size in css px
+	 * @returns {{root:{x,y}, tip:{x,y}}}
+	 */
+	_glowSegment(pl, penSize) {
+
+		const size = penSize * (pl.scale ?? 1);
+		const { cx, cy } = penBoxCenter(pl, size);
+		const t = pl.theta * Math.PI / 180;
+		return {
+			root: alongPen(cx, cy, t, size * GLOW_ROOT),
+			tip: alongPen(cx, cy, t, size * GLOW_TIP),
+		};
+	}
+
+
+	/**
+	 * Get (or build) the tinted, pre-blurred mask stamp for a color
+	 *
+	 * @param {string} hex - 6-digit hex color, no '#'
+	 * @param {number} penSize - pen size in css px
+	 * @param {number} [frame=0] - which frame of an animated mask
+	 * @returns {{canvas: HTMLCanvasElement, k: number}}
+	 */
+	_getStamp(hex, penSize, frame = 0) {
+
+		// pens w/o a resolvable color are drawn white
+		hex = hex || 'FFFFFF';
+
+		// built lazily per frame, so static sprites cost the same as before
+		const n = this._maskFrames;
+		frame = ((Math.trunc(frame) || 0) % n + n) % n;
+		const key = n > 1 ? `${hex}:${frame}` : hex;
+
+		const cached = this._stamps.get(key);
+		if (cached)
+			return cached;
+
+		// resolution to tint at, & device px per css px at that resolution
+		const res = Math.min(1024, Math.max(1, Math.round(penSize * this.dpr)));
+		const k = res / penSize;
+		const pad = Math.ceil(TRAIL_BLUR * 2 * k);
+
+		// the mask, filled w/ the color (keeping its alpha)
+		const tinted = makeCanvas(res, res);
+		const tctx = tinted.getContext('2d');
+		const fw = this._mask.width / n;
+		tctx.drawImage(this._mask, frame * fw, 0, fw, this._mask.height, 0, 0, res, res);
+		tctx.globalCompositeOperation = 'source-in';
+		tctx.fillStyle = `#${hex}`;
+		tctx.fillRect(0, 0, res, res);
+
+		// blurred once up front (blurring each stamp is the same as blurring
+		// the whole trail buffer every frame, but much cheaper)
+		const canvas = makeCanvas(res + pad * 2, res + pad * 2);
+		const ctx = canvas.getContext('2d');
+		ctx.filter = `blur(${TRAIL_BLUR * k}px)`;
+		ctx.drawImage(tinted, pad, pad);
+
+		// evict the oldest color if we're holding too many
+		if (this._stamps.size >= MAX_STAMPS)
+			this._stamps.delete(this._stamps.keys().next().value);
+
+		const stamp = { canvas, k };
+		this._stamps.set(key, stamp);
+		return stamp;
+	}
+
+
+	/**
+	 * Get (or build) the glowing dot for a sparkle color
+	 *
+	 * @param {string} hex - 6-digit hex color, no '#'
+	 * @returns {HTMLCanvasElement}
+	 */
+	_getSpark(hex) {
+
+		const cached = this._sparks.get(hex);
+		if (cached)
+			return cached;
+
+		const size = Math.round(32 * this.dpr);
+		const canvas = makeCanvas(size, size);
+		const ctx = canvas.getContext('2d');
+		const r = size / 2;
+		const grad = ctx.createRadialGradient(r, r, 0, r, r, r);
+		grad.addColorStop(0, '#FFFFFF');
+		grad.addColorStop(0.25, `#${hex}`);
+		grad.addColorStop(1, `#${hex}00`);
+		ctx.fillStyle = grad;
+		ctx.fillRect(0, 0, size, size);
+
+		if (this._sparks.size >= MAX_STAMPS)
+			this._sparks.delete(this._sparks.keys().next().value);
+
+		this._sparks.set(hex, canvas);
+		return canvas;
+	}
+
+}
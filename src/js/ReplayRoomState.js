@@ -0,0 +1,236 @@
+/*
+	ReplayRoomState.js
+	------------------
+
+	Plays a session recording (see sessionRecording.js) back through the OBS
+	page's own logic, so OBSRoom renders it just like it rendered the live room.
+
+	It's an OBSRoomState that never connects: instead of a socket, a clock walks
+	through the recording & hands each message to _onMessage when its time comes.
+	The clock can be paused, sped up or slowed down, & moved anywhere (seek).
+
+	Seeking starts from a clean stage, applies the settings / moderation / cue
+	messages up to that point, then the positions from the last keyframe on.
+	Reactions are only shown while playing, never when jumping around.
+
+	NOTE: cues & reaction particles run on the real clock (like they would live),
+	so they don't pause or change speed w/ the replay.
+
+	This will be imported and instantiated in ReplayView.vue
+*/
+
+// vue imports
+import { ref, shallowRef } from 'vue';
+
+// our app
+import { OBSRoomState } from './OBSRoomState.js';
+import { emptyModeration } from './moderation.js';
+
+// the speeds the replay page offers
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// messages that set up the stage (as opposed to moving pens around)
+const SETUP_TYPES = ['roomSettings', 'moderation', 'cue'];
+
+
+/**
+ * An OBSRoomState driven by a recording instead of a socket
+ */
+export class ReplayRoomState extends OBSRoomState {
+
+	/**
+	 * Constructs the ReplayRoomState instance
+	 *
+	 * @param {object} recording - a parsed recording (see parseRecording)
+	 */
+	constructor(recording) {
+
+		// no url: we never connect
+		super(recording.room, ref({ code: recording.room }), '');
+
+		this._rec = recording;
+
+		// where we are in the recording (ms after it started), & the next event to play
+		this._t = 0;
+		this._cursor = 0;
+
+		// while messages are being handed over, the time they arrived
+		this._eventT = null;
+
+		// real time of the last frame, for advancing the clock
+		this._lastFrameAt = null;
+
+		// for the controls
+		this.durationMs = recording.durationMs;
+		this.timeRef = shallowRef(0);
+		this.playingRef = shallowRef(false);
+		this.speedRef = shallowRef(1);
+
+		this.seek(0);
+	}
+
+
+	/**
+	 * Replays never connect
+	 */
+	connect() {}
+
+
+	/**
+	 * Nowhere to report our stage size to
+	 */
+	reportStage() {}
+
+
+	/**
+	 * Nor anyone to tell their seats
+	 */
+	_reportSeats() {}
+
+
+	/**
+	 * The recording's clock, as wall-clock time at the moment it was recorded
+	 *
+	 * @returns {number} ms
+	 */
+	_now() {
+		return this._rec.startedAt + (this._eventT ?? this._t);
+	}
+
+
+	/**
+	 * Apply room settings from the recording (there's no connection to show the status of)
+	 *
+	 * @param {object} newSettings - the room settings as recorded
+	 */
+	_applyRoomSettings(newSettings) {
+
+		super._applyRoomSettings(newSettings);
+		if (this.roomDetails.value)
+			this.roomDetails.value = { ...this.roomDetails.value, showConnectionStatus: false };
+	}
+
+
+	/**
+	 * Advance the clock & play what's due, then render like the live page does
+	 */
+	_renderFrame() {
+
+		const realNow = Date.now();
+		if (this.playingRef.value && this._lastFrameAt != null) {
+
+			this._t = Math.min(this.durationMs, this._t + (realNow - this._lastFrameAt) * this.speedRef.value);
+
+			const events = this._rec.events;
+			while (this._cursor < events.length && events[this._cursor].t <= this._t) {
+				const ev = events[this._cursor++];
+				if (!ev.key)
+					this._play(ev);
+			}
+
+			this.timeRef.value = this._t;
+			if (this._t >= this.durationMs)
+				this.pause();
+		}
+		this._lastFrameAt = realNow;
+
+		super._renderFrame();
+	}
+
+
+	/**
+	 * Hand one recorded message to the room logic, on the recording's clock
+	 *
+	 * @param {{t:number, key:boolean, msg:object}} ev - the event
+	 */
+	_play(ev) {
+
+		let msg = ev.msg;
+
+		// cues count down on the wall clock, so move them to now
+		if (msg.type === 'cue' && msg.cue && Number.isFinite(msg.cue.startAt)) {
+			const shift = Date.now() - (this._rec.startedAt + this._t);
+			msg = { ...msg, cue: { ...msg.cue, startAt: msg.cue.startAt + shift } };
+		}
+
+		this._eventT = ev.t;
+		try {
+			this._onMessage(msg);
+		} finally {
+			this._eventT = null;
+		}
+	}
+
+
+	/**
+	 * Start (or resume) playing
+	 */
+	play() {
+
+		// at the end, start over
+		if (this._t >= this.durationMs)
+			this.seek(0);
+
+		this.playingRef.value = true;
+	}
+
+
+	/**
+	 * Pause playback
+	 */
+	pause() {
+		this.playingRef.value = false;
+	}
+
+
+	/**
+	 * Set the playback speed
+	 *
+	 * @param {number} speed - one of REPLAY_SPEEDS
+	 */
+	setSpeed(speed) {
+		if (REPLAY_SPEEDS.includes(speed))
+			this.speedRef.value = speed;
+	}
+
+
+	/**
+	 * Jump to any point in the recording
+	 *
+	 * @param {number} t - ms after the recording started
+	 */
+	seek(t) {
+
+		t = Math.max(0, Math.min(this.durationMs, Number(t) || 0));
+		const events = this._rec.events;
+
+		// the last keyframe before t (or the start, for recordings w/o one)
+		let from = 0;
+		for (let i = 0; i < events.length && events[i].t <= t; i++)
+			if (events[i].key)
+				from = i;
+
+		// start from a clean stage
+		this._motion.clear();
+		this._seating.clear();
+		this._scheduler.clear();
+		this.moderationRef.value = emptyModeration();
+		this.cueRef.value = null;
+		this.reactionsRef.value = [];
+		this._t = t;
+
+		// set the stage up, then put the pens where they were
+		let i = 0;
+		for (; i < events.length && events[i].t <= t; i++) {
+			const ev = events[i];
+			if (SETUP_TYPES.includes(ev.msg.type))
+				this._play(ev);
+			else if (i >= from && ev.msg.type !== 'reaction')
+				this._play(ev);
+		}
+
+		this._cursor = i;
+		this.timeRef.value = t;
+	}
+
+}
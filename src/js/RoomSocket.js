@@ -0,0 +1,352 @@
+/*
+	RoomSocket.js
+	-------------
+
+	A small wrapper around WebSocket, shared by OBSRoomState & UserRoomState.
+
+	It handles the boring-but-important parts of staying connected:
+		- exponential backoff w/ jitter between reconnects, so a backend restart
+		  doesn't get hammered by every phone in lockstep
+		- ping/pong heartbeats, so a half-open socket gets noticed & replaced
+		  instead of silently freezing
+		- reactive status refs, so the UI can show a connection banner
+
+	The owner gets an onOpen callback on every (re)connect, which is where it
+	should re-identify & resync its state with the server.
+
+	Heartbeats:
+	We send { type: 'ping', t } every heartbeatMs. Any inbound message counts as
+	proof of life, and the server is expected to answer pings w/ { type: 'pong' }.
+	Dead-socket detection only kicks in once the server has answered at least
+	one ping, so an older backend that doesn't speak ping/pong won't get its
+	quiet sockets killed.
+
+	For testing, the WebSocket implementation can be swapped out, so this can be
+	pointed at a local stand-in server (e.g. the 'ws' package in node).
+*/
+
+// vue
+import { ref } from 'vue';
+
+// connection states
+export const SOCKET_STATUS = {
+	IDLE: 'idle',
+	CONNECTING: 'connecting',
+	OPEN: 'open',
+	RECONNECTING: 'reconnecting',
+	CLOSED: 'closed',
+	ERROR: 'error',
+};
+
+// the readyState value for an open socket (same for browser & node implementations)
+const WS_OPEN = 1;
+
+
+/**
+ * Reconnecting, heart-beating WebSocket wrapper
+ */
+export class RoomSocket {
+
+	/**
+	 * Builds the RoomSocket (does not connect until connect() is called)
+	 *
+	 * @param {string} url - the WebSocket URL to connect to
+	 * @param {object} [options]
+	 * @param {function} [options.onOpen] - called on every successful (re)connect
+	 * @param {function} [options.onMessage] - called w/ each parsed JSON message (pongs are swallowed)
+	 * @param {number} [options.baseDelayMs=500] - first reconnect delay
+	 * @param {number} [options.maxDelayMs=30000] - cap on the reconnect delay
+	 * @param {number} [options.jitter=0.5] - 0..1, fraction of each delay that is randomized
+	 * @param {number} [options.heartbeatMs=15000] - how often to ping
+	 * @param {number} [options.heartbeatTimeoutMs=10000] - extra silence allowed before the socket is declared dead
+	 * @param {function} [options.WebSocketImpl] - WebSocket constructor to use (defaults to the global one)
+	 */
+	constructor(url, options = {}) {
+
+		// save params
+		this.url = url;
+		this.onOpen = options.onOpen || (() => {});
+		this.onMessage = options.onMessage || (() => {});
+		this.baseDelayMs = options.baseDelayMs ?? 500;
+		this.maxDelayMs = options.maxDelayMs ?? 30000;
+		this.jitter = Math.max(0, Math.min(1, options.jitter ?? 0.5));
+		this.heartbeatMs = options.heartbeatMs ?? 15000;
+		this.heartbeatTimeoutMs = options.heartbeatTimeoutMs ?? 10000;
+		this.WebSocketImpl = options.WebSocketImpl || globalThis.WebSocket;
+
+		// reactive state for the UI
+		this.statusRef = ref(SOCKET_STATUS.IDLE);
+		this.attemptRef = ref(0);		// how many reconnects in a row have failed
+		this.nextRetryAtRef = ref(0);	// Date.now() timestamp of the next retry, 0 if none pending
+
+		// internal state
+		this._ws = null;
+		this._closedManually = false;
+		this._retryTimer = null;
+		this._heartbeatTimer = null;
+		this._lastSeen = 0;
+		this._serverHeartbeats = false;
+
+		// retry right away when the browser says we're back online
+		this._onOnline = () => {
+			if (this._retryTimer)
+				this._retryNow();
+		};
+		if (typeof window !== 'undefined')
+			window.addEventListener('online', this._onOnline);
+	}
+
+
+	/**
+	 * True if the socket is currently open
+	 */
+	get isOpen() {
+		return !!this._ws && this._ws.readyState === WS_OPEN;
+	}
+
+
+	/**
+	 * Opens the socket & wires up the event handlers
+	 */
+	connect() {
+
+		// reset state
+		this._closedManually = false;
+		this._clearRetry();
+		this.statusRef.value = this.attemptRef.value > 0 ? SOCKET_STATUS.RECONNECTING : SOCKET_STATUS.CONNECTING;
+
+		// open the socket
+		let ws;
+		try {
+			ws = new this.WebSocketImpl(this.url);
+		} catch (err) {
+			this.statusRef.value = SOCKET_STATUS.ERROR;
+			this._scheduleReconnect();
+			return;
+		}
+		this._ws = ws;
+
+		// on open, reset backoff, start heartbeats & let the owner resync
+		ws.addEventListener('open', () => {
+
+			if (ws !== this._ws)
+				return;
+
+			this.statusRef.value = SOCKET_STATUS.OPEN;
+			this.attemptRef.value = 0;
+			this.nextRetryAtRef.value = 0;
+			this._lastSeen = Date.now();
+			this._startHeartbeat();
+			this.onOpen();
+		});
+
+		// handle incoming messages
+		ws.addEventListener('message', (evt) => {
+
+			if (ws !== this._ws)
+				return;
+
+			// any message at all is proof of life
+			this._lastSeen = Date.now();
+
+			let msg;
+			try { msg = JSON.parse(evt.data); } catch { return; }
+
+			// heartbeats are ours, don't bother the owner with them
+			if (msg?.type === 'pong') {
+				this._serverHeartbeats = true;
+				return;
+			}
+
+			this.onMessage(msg);
+		});
+
+		// handle close
+		ws.addEventListener('close', () => {
+
+			if (ws !== this._ws)
+				return;
+
+			this._handleDisconnect();
+		});
+
+		// handle errors (close will follow)
+		ws.addEventListener('error', () => {
+
+			if (ws !== this._ws)
+				return;
+
+			this.statusRef.value = SOCKET_STATUS.ERROR;
+			try { ws.close(); } catch { }
+		});
+	}
+
+
+	/**
+	 * Sends a message as JSON, if the socket is open
+	 *
+	 * @param {object|string} msg - the message to send (objects are stringified)
+	 * @returns {boolean} true if it was sent
+	 */
+	send(msg) {
+
+		if (!this.isOpen)
+			return false;
+
+		try {
+			this._ws.send(typeof msg === 'string' ? msg : JSON.stringify(msg));
+			return true;
+		} catch {
+			return false;
+		}
+	}
+
+
+	/**
+	 * Works out how long to wait before reconnect attempt N
+	 *
+	 * @param {number} attempt - 1-based attempt number
+	 * @returns {number} delay in ms
+	 */
+	_delayFor(attempt) {
+
+		// exponential, capped
+		const exp = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt - 1));
+
+		// keep (1-jitter) of it fixed, randomize the rest
+		return Math.round(exp * (1 - this.jitter) + Math.random() * exp * this.jitter);
+	}
+
+
+	/**
+	 * Cleans up after a lost connection & schedules a retry (unless we closed on purpose)
+	 */
+	_handleDisconnect() {
+
+		this._stopHeartbeat();
+		this._ws = null;
+
+		if (this._closedManually) {
+			this.statusRef.value = SOCKET_STATUS.CLOSED;
+			return;
+		}
+
+		this._scheduleReconnect();
+	}
+
+
+	/**
+	 * Schedules the next reconnect w/ backoff
+	 */
+	_scheduleReconnect() {
+
+		this._clearRetry();
+
+		this.attemptRef.value++;
+		const delay = this._delayFor(this.attemptRef.value);
+
+		this.statusRef.value = SOCKET_STATUS.RECONNECTING;
+		this.nextRetryAtRef.value = Date.now() + delay;
+		this._retryTimer = setTimeout(() => this._retryNow(), delay);
+	}
+
+
+	/**
+	 * Skip the wait & reconnect immediately
+	 */
+	_retryNow() {
+
+		this._clearRetry();
+		if (!this._closedManually)
+			this.connect();
+	}
+
+
+	/**
+	 * Clears any pending retry
+	 */
+	_clearRetry() {
+
+		if (this._retryTimer) {
+			clearTimeout(this._retryTimer);
+			this._retryTimer = null;
+		}
+		this.nextRetryAtRef.value = 0;
+	}
+
+
+	/**
+	 * Starts sending pings & checking for silence
+	 */
+	_startHeartbeat() {
+
+		this._stopHeartbeat();
+		if (!(this.heartbeatMs > 0))
+			return;
+
+		this._heartbeatTimer = setInterval(() => {
+
+			// if the server has proven it answers pings, long silence means a dead socket
+			const silentFor = Date.now() - this._lastSeen;
+			if (this._serverHeartbeats && silentFor > this.heartbeatMs + this.heartbeatTimeoutMs) {
+				this._dropDeadSocket();
+				return;
+			}
+
+			this.send({ type: 'ping', t: Date.now() });
+
+		}, this.heartbeatMs);
+	}
+
+
+	/**
+	 * Stops the heartbeat interval
+	 */
+	_stopHeartbeat() {
+
+		if (this._heartbeatTimer) {
+			clearInterval(this._heartbeatTimer);
+			this._heartbeatTimer = null;
+		}
+	}
+
+
+	/**
+	 * A half-open socket may never fire 'close', so we let go of it ourselves & reconnect
+	 */
+	_dropDeadSocket() {
+
+		const ws = this._ws;
+
+		// forget it first, so its late events are ignored
+		this._ws = null;
+		try { ws?.close(4000, 'Heartbeat timeout'); } catch { }
+
+		this._handleDisconnect();
+	}
+
+
+	/**
+	 * Closes the socket for good & cleans up
+	 *
+	 * @param {string} [reason='Client navigating away'] - close reason to send
+	 */
+	destroy(reason = 'Client navigating away') {
+
+		this._closedManually = true;
+		this._clearRetry();
+		this._stopHeartbeat();
+
+		if (typeof window !== 'undefined')
+			window.removeEventListener('online', this._onOnline);
+
+		// only try to close if it's open or connecting
+		const ws = this._ws;
+		this._ws = null;
+		if (ws && ws.readyState <= 1)
+			try { ws.close(1000, reason); } catch { }
+
+		this.statusRef.value = SOCKET_STATUS.CLOSED;
+	}
+
+}
@@ -0,0 +1,209 @@
+/*
+	RoomSocket.test.js
+	------------------
+
+	Checks reconnects, backoff & heartbeats against a stand-in WebSocket, on fake timers.
+*/
+
+// libs
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// our app
+import { RoomSocket, SOCKET_STATUS } from './RoomSocket.js';
+
+
+/**
+ * A WebSocket we drive by hand
+ */
+class FakeWebSocket extends EventTarget {
+
+	static instances = [];
+
+	constructor(url) {
+		super();
+		this.url = url;
+		this.readyState = 0;
+		this.sent = [];
+		this.closedWith = null;
+		FakeWebSocket.instances.push(this);
+	}
+
+	// server side
+	open() {
+		this.readyState = 1;
+		this.dispatchEvent(new Event('open'));
+	}
+
+	receive(msg) {
+		const evt = new Event('message');
+		evt.data = JSON.stringify(msg);
+		this.dispatchEvent(evt);
+	}
+
+	drop() {
+		this.readyState = 3;
+		this.dispatchEvent(new Event('close'));
+	}
+
+	// client side
+	send(data) {
+		this.sent.push(JSON.parse(data));
+	}
+
+	close(code, reason) {
+		this.closedWith = { code, reason };
+		this.readyState = 3;
+	}
+}
+
+const latest = () => FakeWebSocket.instances.at(-1);
+
+
+describe('RoomSocket', () => {
+
+	beforeEach(() => {
+		vi.useFakeTimers();
+		vi.stubGlobal('window', new EventTarget());
+		FakeWebSocket.instances = [];
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.unstubAllGlobals();
+		vi.restoreAllMocks();
+	});
+
+	const makeSocket = (options = {}) => new RoomSocket('ws://test', { WebSocketImpl: FakeWebSocket, ...options });
+
+
+	it('backs off exponentially up to the cap, w/ jitter', () => {
+
+		const socket = makeSocket({ baseDelayMs: 500, maxDelayMs: 4000, jitter: 0.5 });
+		const random = vi.spyOn(Math, 'random');
+
+		// w/ no randomness, half of each delay is left
+		random.mockReturnValue(0);
+		expect([1, 2, 3, 4, 5, 6].map(n => socket._delayFor(n))).toEqual([250, 500, 1000, 2000, 2000, 2000]);
+
+		// & at most the full delay
+		random.mockReturnValue(0.999999);
+		expect([1, 2, 3, 4, 5, 6].map(n => socket._delayFor(n))).toEqual([500, 1000, 2000, 4000, 4000, 4000]);
+	});
+
+	it('waits longer after each failed reconnect, & starts over once one works', () => {
+
+		vi.spyOn(Math, 'random').mockReturnValue(0);
+		const socket = makeSocket({ baseDelayMs: 1000, maxDelayMs: 8000, jitter: 0 });
+		socket.connect();
+		latest().open();
+
+		// each failure waits twice as long as the last
+		for (const delay of [1000, 2000, 4000, 8000, 8000]) {
+			const count = FakeWebSocket.instances.length;
+			latest().drop();
+			expect(socket.statusRef.value).toBe(SOCKET_STATUS.RECONNECTING);
+			vi.advanceTimersByTime(delay - 1);
+			expect(FakeWebSocket.instances.length).toBe(count);
+			vi.advanceTimersByTime(1);
+			expect(FakeWebSocket.instances.length).toBe(count + 1);
+		}
+
+		latest().open();
+		expect(socket.attemptRef.value).toBe(0);
+		latest().drop();
+		vi.advanceTimersByTime(1000);
+		expect(latest().readyState).toBe(0);
+
+		socket.destroy();
+	});
+
+	it('drops a socket that goes quiet after answering pings', () => {
+
+		const socket = makeSocket({ heartbeatMs: 1000, heartbeatTimeoutMs: 500, baseDelayMs: 100, jitter: 0 });
+		socket.connect();
+		const ws = latest();
+		ws.open();
+
+		// it pings, & the server answers
+		vi.advanceTimersByTime(1000);
+		expect(ws.sent.at(-1).type).toBe('ping');
+		ws.receive({ type: 'pong' });
+
+		// ...& then nothing
+		vi.advanceTimersByTime(2000);
+		expect(ws.closedWith).toEqual({ code: 4000, reason: 'Heartbeat timeout' });
+		expect(socket.statusRef.value).toBe(SOCKET_STATUS.RECONNECTING);
+
+		vi.advanceTimersByTime(100);
+		expect(latest()).not.toBe(ws);
+
+		socket.destroy();
+	});
+
+	it('leaves quiet sockets alone if the server never answered a ping', () => {
+
+		const socket = makeSocket({ heartbeatMs: 1000, heartbeatTimeoutMs: 500 });
+		socket.connect();
+		latest().open();
+
+		vi.advanceTimersByTime(10000);
+		expect(latest().closedWith).toBeNull();
+		expect(socket.statusRef.value).toBe(SOCKET_STATUS.OPEN);
+
+		socket.destroy();
+	});
+
+	it('reconnects right away when the browser comes back online', () => {
+
+		const socket = makeSocket({ baseDelayMs: 60000, jitter: 0 });
+		socket.connect();
+		latest().open();
+		latest().drop();
+		expect(FakeWebSocket.instances).toHaveLength(1);
+
+		window.dispatchEvent(new Event('online'));
+		expect(FakeWebSocket.instances).toHaveLength(2);
+		expect(socket.nextRetryAtRef.value).toBe(0);
+
+		socket.destroy();
+	});
+
+	it('calls onOpen on every reconnect, so the owner can say hello again', () => {
+
+		let socket;
+		const onOpen = vi.fn(() => {
+			socket.send({ type: 'hello' });
+			socket.send({ type: 'resync' });
+		});
+		socket = makeSocket({ onOpen, baseDelayMs: 100, jitter: 0 });
+		socket.connect();
+		latest().open();
+
+		latest().drop();
+		vi.advanceTimersByTime(100);
+		const second = latest();
+		expect(second.sent).toEqual([]);
+		second.open();
+
+		expect(onOpen).toHaveBeenCalledTimes(2);
+		expect(second.sent).toEqual([{ type: 'hello' }, { type: 'resync' }]);
+
+		socket.destroy();
+	});
+
+	it('stays closed after destroy', () => {
+
+		const socket = makeSocket({ baseDelayMs: 100, jitter: 0 });
+		socket.connect();
+		const ws = latest();
+		ws.open();
+		socket.destroy();
+
+		expect(ws.closedWith.code).toBe(1000);
+		window.dispatchEvent(new Event('online'));
+		vi.advanceTimersByTime(60000);
+		expect(FakeWebSocket.instances).toHaveLength(1);
+		expect(socket.statusRef.value).toBe(SOCKET_STATUS.CLOSED);
+	});
+
+});
@@ -0,0 +1,171 @@
+/*
+	SeatingChart.js
+	---------------
+
+	Hands out seats for the "seated" stage layout (see stageMapping.js), so
+	everyone's pen stays put in the crowd instead of piling up wherever people
+	drag it.
+
+	Seats are numbered from the front row's middle out (see seatAt), & each
+	person keeps theirs for as long as they're in the room. People are known by
+	their nickname (or their id, if they haven't got one), so a phone that drops
+	& reconnects gets its old seat back - we hold it for SEAT_HOLD_MS after they
+	leave.
+
+	As people come & go:
+		- newcomers take the lowest free seat, so the crowd fills in from the front
+		- if every seat is taken, seats held for people who left go first (longest gone first),
+		  & only then are rows added at the back (see seatGrid)
+		- once seats come free again, anyone seated past the room's normal grid
+		  moves into one, so the extra rows go away
+
+	Each seat comes w/ its number & the grid it's in, so the OBS page can tell
+	the phone sitting there (see OBSRoomState.js) & the phone can work out the
+	same seat w/ seatAt.
+
+	This will be imported and instantiated in OBSRoomState.js
+*/
+
+// our app
+import { nicknameKey } from './moderation.js';
+import { seatGrid, seatAt } from './stageMapping.js';
+
+// how long a seat's kept for someone who left
+export const SEAT_HOLD_MS = 10 * 60 * 1000;
+
+
+/**
+ * Keeps track of who's sitting where
+ */
+export class SeatingChart {
+
+	/**
+	 * Builds the SeatingChart instance
+	 */
+	constructor() {
+
+		// who has which seat: key -> { slot, lastSeenAt }
+		this._seats = new Map();
+	}
+
+
+	/**
+	 * Seat everyone (keeping the seats they've got)
+	 *
+	 * @param {Array<object>} users - the users on stage, w/ { id, nickname, ... }
+	 * @param {object} room - the room settings
+	 * @param {number} [nowMs=Date.now()] - current time
+	 * @returns {Array<object>} the same users, each w/ a seat (see seatAt, plus its slot, rows & perRow)
+	 */
+	seat(users, room, nowMs = Date.now()) {
+
+		// forget seats held for too long
+		for (const [key, s] of this._seats)
+			if (nowMs - s.lastSeenAt > SEAT_HOLD_MS)
+				this._seats.delete(key);
+
+		// who's here, & their seat if they've got one
+		const keys = this._keysFor(users);
+		const present = new Set(keys);
+		const taken = new Set();
+		const newcomers = [];
+		for (const key of keys) {
+			const s = this._seats.get(key);
+			if (s) {
+				s.lastSeenAt = nowMs;
+				taken.add(s.slot);
+			} else {
+				newcomers.push(key);
+			}
+		}
+
+		// the room's normal grid, & whoever's sitting past it
+		const base = seatGrid(0, room);
+		const baseSeats = base.rows * base.perRow;
+		const overflow = keys.filter(k => this._seats.get(k)?.slot >= baseSeats);
+
+		// free seats, & seats held for people who left (longest gone first)
+		const held = new Map();
+		for (const [key, s] of this._seats)
+			if (!present.has(key))
+				held.set(s.slot, key);
+		const absent = [...held.values()].sort((a, b) => this._seats.get(a).lastSeenAt - this._seats.get(b).lastSeenAt);
+
+		let next = 0;
+		const nextFree = () => {
+			while (taken.has(next) || held.has(next))
+				next++;
+			return next;
+		};
+
+		// the best seat going: a free one in the normal grid, or failing that, the seat of whoever's been gone longest
+		const bestSeat = () => {
+			const slot = nextFree();
+			if (slot < baseSeats || absent.length === 0)
+				return { slot, gone: null };
+			return { slot: this._seats.get(absent[0]).slot, gone: absent[0] };
+		};
+
+		const sit = (key, { slot, gone }) => {
+			if (gone) {
+				absent.shift();
+				held.delete(slot);
+				this._seats.delete(gone);
+			}
+			taken.add(slot);
+			this._seats.set(key, { slot, lastSeenAt: nowMs });
+		};
+
+		for (const key of newcomers)
+			sit(key, bestSeat());
+
+		// move anyone past the normal grid forward, if a seat's come free (held seats stay held)
+		for (const key of overflow) {
+			const old = this._seats.get(key).slot;
+			const slot = nextFree();
+			if (slot < old) {
+				taken.delete(old);
+				sit(key, { slot, gone: null });
+			}
+		}
+
+		// the grid has to fit the furthest back seat anyone's in
+		let maxSlot = -1;
+		for (const key of keys)
+			maxSlot = Math.max(maxSlot, this._seats.get(key).slot);
+		const grid = seatGrid(maxSlot + 1, room);
+
+		return users.map((u, i) => {
+			const slot = this._seats.get(keys[i]).slot;
+			return { ...u, seat: { ...seatAt(slot, grid, room), slot, rows: grid.rows, perRow: grid.perRow } };
+		});
+	}
+
+
+	/**
+	 * The key each user's seat is kept under: their nickname, or their id if
+	 * they haven't got one (or someone else here already has it)
+	 *
+	 * @param {Array<object>} users - the users
+	 * @returns {Array<string>} a key per user, in the same order
+	 */
+	_keysFor(users) {
+
+		const used = new Set();
+		return users.map(u => {
+			const nick = nicknameKey(u.nickname);
+			const key = nick && !used.has(`n:${nick}`) ? `n:${nick}` : `id:${u.id}`;
+			used.add(key);
+			return key;
+		});
+	}
+
+
+	/**
+	 * Forget everyone's seats
+	 */
+	clear() {
+		this._seats.clear();
+	}
+
+}
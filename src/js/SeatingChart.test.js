@@ -0,0 +1,57 @@
+/*
+	SeatingChart.test.js
+	--------------------
+
+	Checks a growing crowd only ever adds rows (so nobody's seat moves sideways),
+	& that a phone can work out the same seat from what it's told.
+*/
+
+// libs
+import { describe, it, expect } from 'vitest';
+
+// our app
+import { SeatingChart } from './SeatingChart.js';
+import { seatGrid, seatAt } from './stageMapping.js';
+
+const ROOM = { stageLayout: 'seated', seatRows: 3, seatsPerRow: 12 };
+
+// n users w/ distinct nicknames
+const crowd = n => Array.from({ length: n }, (_, i) => ({ id: `u${i}`, nickname: `user ${i}` }));
+
+describe('seatGrid', () => {
+
+	it('keeps the room\'s grid until it fills up', () => {
+		expect(seatGrid(1, ROOM)).toEqual({ rows: 3, perRow: 12 });
+		expect(seatGrid(36, ROOM)).toEqual({ rows: 3, perRow: 12 });
+	});
+
+	it('adds rows past that, & never narrows them', () => {
+		expect(seatGrid(37, ROOM)).toEqual({ rows: 4, perRow: 12 });
+		expect(seatGrid(100, ROOM)).toEqual({ rows: 9, perRow: 12 });
+	});
+});
+
+describe('SeatingChart', () => {
+
+	it('keeps everyone in their slot & column when the crowd outgrows the grid', () => {
+		const chart = new SeatingChart();
+		const before = chart.seat(crowd(36), ROOM, 0);
+		const after = chart.seat(crowd(37), ROOM, 1);
+
+		expect(after[36].seat).toMatchObject({ slot: 36, rows: 4, perRow: 12 });
+		for (let i = 0; i < 36; i++) {
+			expect(after[i].seat.slot).toBe(before[i].seat.slot);
+			expect(after[i].seat.x).toBeCloseTo(before[i].seat.x);
+		}
+	});
+
+	it('gives out seats a phone can look up w/ seatAt', () => {
+		const chart = new SeatingChart();
+		for (const u of chart.seat(crowd(40), ROOM, 0)) {
+			const { slot, rows, perRow } = u.seat;
+			expect(seatAt(slot, { rows, perRow }, ROOM)).toEqual({
+				x: u.seat.x, y: u.seat.y, w: u.seat.w, h: u.seat.h, depth: u.seat.depth,
+			});
+		}
+	});
+});
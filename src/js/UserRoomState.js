@@ -9,10 +9,15 @@
 // vue
 import { ref, watch } from 'vue';
 
-// base URL based on ENV
-const envAPIUrl = import.meta.env.VITE_API_URL;
-const envWsUrl = import.meta.env.VITE_WS_URL;
-const envAppURL = import.meta.env.VITE_APP_URL;
+// our app
+import { invalidateRoomSprite } from '../composables/usePenMasking.js';
+import { useRoomSession } from '../composables/useRoomSession.js';
+import { parseRoomSettings, parseStageMessage, parseSeatMessage, parseCueMessage } from './roomSettingsSchema.js';
+import { REMOVED_REASONS } from './moderation.js';
+import { RoomSocket } from './RoomSocket.js';
+import { apiFetch, getWsUrl, getWebSocketImpl } from './transport.js';
+import { PROTOCOL_VERSION, quantizeState, encodeUserFrame } from './positionCodec.js';
+import { ReactionLimiter, allowedReactions } from './reactions.js';
 
 
 /**
@@ -24,37 +29,85 @@ export class UserRoomState {
 	 * Builds the UserRoomState instance
 	 * 
 	 * @param {string} roomCode - The room code to connect to
+	 * @param {ref<object>} roomDetails - The room details object as returned by the API
 	 * @param {string} nickname - The nickname to use in the room
 	 * @param {string} password - Optional room password
 	 * @param {string} wsUrl - Optional WebSocket URL to connect to (defaults to current host)
-	 * @param {number} debounceMs - Optional debounce time in milliseconds for sending updates (default 5ms)
+	 * @param {number} debounceMs - Optional throttle time in milliseconds for sending updates (default 33ms, ~30/sec)
 	 */
-	constructor(roomCode, nickname, password, wsUrl, debounceMs = 0 ) {
+	constructor(roomCode, roomDetails, nickname, password, wsUrl, debounceMs = 33 ) {
 
 		// Save params
 		this.roomCode = roomCode;
-		this.nickname = nickname || 'guest';
+		this.roomDetails = roomDetails;
+		this.nicknameRef = ref(nickname || 'guest'); // the room owner can force-rename us
 		this.password = password; // optional
 		this.wsUrl = wsUrl ?? this._deriveWSUrl();
 
+		// lets the server recognize us after a refresh (for moderation)
+		this.sessionId = useRoomSession().getSessionId(roomCode);
+
+		// set if a moderator removed us from the room (see REMOVED_REASONS), null otherwise
+		this.removedRef = ref(null);
+
 		// Reactive controls you can bind to:
 		this.xRef = ref(-100);
 		this.yRef = ref(-100);
 		this.thetaRef = ref(0);
 		this.colorRef = ref(0);
-		this.connectionStatusRef = ref('idle'); // 'idle' | 'connecting' | 'open' | 'closed' | 'error'
+		this.color2Ref = ref(null); // second color for two-tone sprites (null = same as colorRef)
+
+		// the OBS source's stage size & pen size, once it reports them ({ w, h, penSize } or null)
+		this.stageRef = ref(null);
+
+		// our seat in the seated layout, once the OBS source gives us one ({ slot, rows, perRow } or null, see SeatingChart.js)
+		this.seatRef = ref(null);
+
+		// the streamer's stage cue that's running or counting down (see stageCues.js), or null
+		this.cueRef = ref(null);
+
+		// false if we've opted out of cues that change our pen's color (the OBS page is told, too)
+		this.followCuesRef = ref(true);
+
+		// true while we've hit the reaction rate limit (see reactions.js)
+		this.reactCoolingRef = ref(false);
+
+		// the socket (handles reconnect backoff & heartbeats for us)
+		this._socket = new RoomSocket(this.wsUrl, {
+			onOpen: () => this._onOpen(),
+			onMessage: (msg) => this._onMessage(msg),
+			WebSocketImpl: getWebSocketImpl(),
+		});
+		this._hasConnected = false;
+		this.connectionStatusRef = this._socket.statusRef; // see SOCKET_STATUS
+		this.reconnectAttemptRef = this._socket.attemptRef;
+		this.nextRetryAtRef = this._socket.nextRetryAtRef;
 
 		// Private
-		this._socket = null;
-		this._closedManually = false;
 		this._sendTimer = null;
-		this._debounceMs = Math.max(0, debounceMs | 5);
+		this._debounceMs = Math.max(0, Number(debounceMs) || 0);
+
+		this._reactLimiter = new ReactionLimiter();
+		this._reactTimer = null;
+
+		// compact (v2) position stream state, see positionCodec.js
+		this._compact = false;	// true once the server welcomes proto 2
+		this._seq = 0;			// last sequence number sent
+		this._lastSent = null;	// last quantized state sent (null = next frame is a keyframe)
 
 		this.connect();
 		this._wireWatches();
 	}
 
 
+	/**
+	 * Our current nickname
+	 */
+	get nickname() {
+		return this.nicknameRef.value;
+	}
+
+
 	/**
 	 * Gets the derived WebSocket URL based on current location
 	 * 
@@ -62,79 +115,143 @@ export class UserRoomState {
 	 */
 	_deriveWSUrl() {
 
-		return envWsUrl;
-		// const proto = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-		// return `${proto}//api.${window.location.host}`;
+		return getWsUrl();
 	}
 
 
 	/**
-	 * Connects to the WebSocket server and sets up event handlers
+	 * Connects to the WebSocket server (reconnects & heartbeats are handled by RoomSocket)
 	 */
 	connect() {
+		this._socket.connect();
+	}
 
-		// Reset state
-		this._closedManually = false;
-		this.connectionStatusRef.value = 'connecting';
 
-		// Open the socket
-		const sock = new WebSocket(this.wsUrl);
-		this._socket = sock;
+	/**
+	 * Called on every successful (re)connect
+	 */
+	_onOpen() {
+
+		// Identify as user
+		const hello = {
+			type: 'hello',
+			role: 'user',
+			roomCode: this.roomCode,
+			nickname: this.nickname,
+			session: this.sessionId,
+			proto: PROTOCOL_VERSION
+		};
 
-		// Set up event handlers
-		sock.addEventListener('open', () => {
+		// new connection: back to v1 until welcomed, & a fresh keyframe when we are
+		this._compact = false;
+		this._seq = 0;
+		this._lastSent = null;
 
-			this.connectionStatusRef.value = 'open';
+		if (this.password !== undefined)
+			hello.password = this.password;
 
-			// Identify as user
-			const hello = {
-				type: 'hello',
-				role: 'user',
-				roomCode: this.roomCode,
-				nickname: this.nickname
-			};
+		this._socket.send(hello);
 
-			if (this.password !== undefined)
-				hello.password = this.password;
+		// Immediately push our current state, so the server is back in sync after a reconnect
+		this._scheduleSend();
+
+		// if this was a reconnect, settings may have changed while we were away
+		if (this._hasConnected)
+			this._resyncRoomSettings();
+		this._hasConnected = true;
+	}
 
-			sock.send(JSON.stringify(hello));
 
-			// Immediately push initial state once
+	/**
+	 * Handle incoming messages
+	 * 
+	 * @param {object} msg - the parsed message
+	 */
+	_onMessage(msg) {
+
+		// server speaks the compact stream: switch over (first frame will be a keyframe)
+		if (msg?.type === 'welcome' && Number(msg.proto) >= PROTOCOL_VERSION) {
+			this._compact = true;
+			this._lastSent = null;
 			this._scheduleSend();
-		});
+		}
 
-		// Handle server messages (currently none defined)
-		sock.addEventListener('close', () => {
-			this.connectionStatusRef.value = 'closed';
-			if (!this._closedManually) {
-				// optional retry
-				setTimeout(() => this.connect(), 1000);
-			}
-		});
+		if(msg?.type === 'roomSettings' && msg?.settings)
+			this._applyRoomSettings(msg.settings);
 
-		// Handle errors
-		sock.addEventListener('error', () => {
-			this.connectionStatusRef.value = 'error';
-			try { sock.close(); } catch { }
-		});
+		// a moderator changed our nickname
+		if (msg?.type === 'renamed' && typeof msg.nickname === 'string' && msg.nickname !== '')
+			this.nicknameRef.value = msg.nickname;
 
-		// listen for messages (none defined yet)
-		sock.addEventListener('message', (evt) => {
-			
-			let msg;
-			try { msg = JSON.parse(evt.data); } catch { return; }
+		// a moderator removed us - stop, rather than reconnecting straight back in
+		if (msg?.type === 'removed') {
+			this.removedRef.value = msg.reason === REMOVED_REASONS.BANNED ? REMOVED_REASONS.BANNED : REMOVED_REASONS.KICKED;
+			this.destroy();
+			return;
+		}
 
-			if(msg?.type === 'roomSettings'){
+		if (msg?.type === 'stage' && (msg.room == null || msg.room === this.roomCode)) {
+			const stage = parseStageMessage(msg);
+			if (stage)
+				this.stageRef.value = stage;
+		}
 
-				const newSettings = msg.settings;
-				console.log('New Settings', newSettings);
+		if (msg?.type === 'seat' && (msg.room == null || msg.room === this.roomCode)) {
+			const parsed = parseSeatMessage(msg);
+			if (parsed)
+				this.seatRef.value = parsed.seat;
+		}
 
-				// for now, reload the page to apply new settings
-				// later, we can make this dynamic
-				window.location.reload();
-			}
+		if (msg?.type === 'cue' && (msg.room == null || msg.room === this.roomCode)) {
+			const parsed = parseCueMessage(msg);
+			if (parsed)
+				this.cueRef.value = parsed.cue;
+		}
+	}
 
-		});
+
+	/**
+	 * Re-fetches the room over REST & applies it, for catching up after a reconnect
+	 */
+	async _resyncRoomSettings() {
+
+		try {
+			const res = await apiFetch(`/rooms/${encodeURIComponent(this.roomCode)}`, {
+				headers: { Accept: 'application/json' }
+			});
+			if (!res.ok)
+				return;
+
+			this._applyRoomSettings(await res.json());
+		} catch {
+			// we'll still get any future roomSettings over the socket
+		}
+	}
+
+
+	/**
+	 * Applies new room settings in place, so the audience page updates without a reload
+	 * 
+	 * @param {object} newSettings - the room settings as sent by the server
+	 */
+	_applyRoomSettings(newSettings) {
+
+		// validate before touching anything, so a bad payload can't break rendering
+		let parsed;
+		try {
+			parsed = parseRoomSettings(newSettings, 'roomSettings socket message');
+		} catch (err) {
+			console.warn(err.message);
+			return;
+		}
+
+		const oldSettings = this.roomDetails.value || {};
+
+		// only rebuild sprite masks if the sprite itself changed
+		invalidateRoomSprite(this.roomCode, oldSettings.penlightSprite, parsed.penlightSprite);
+
+		// merge so fields that aren't settings (like the code) survive
+		this.roomDetails.value = { ...oldSettings, ...parsed };
 	}
 
 
@@ -144,21 +261,21 @@ export class UserRoomState {
 	_wireWatches() {
 
 		// Whenever any of these refs change, schedule a debounced send
-		[this.xRef, this.yRef, this.thetaRef, this.colorRef].forEach(r => {
+		[this.xRef, this.yRef, this.thetaRef, this.colorRef, this.color2Ref, this.followCuesRef].forEach(r => {
 			watch(r, () => this._scheduleSend(), { flush: 'post' });
 		});
 	}
 
 
 	/**
-	 * Schedules a debounced send of the current state to the server
+	 * Schedules a throttled send of the current state to the server
 	 * 
 	 * @returns {void}
 	 */
 	_scheduleSend() {
 
 		// Only if socket is open
-		if (!this._socket || this._socket.readyState !== WebSocket.OPEN)
+		if (!this._socket.isOpen)
 			return;
 
 		// If already scheduled, do nothing
@@ -179,46 +296,89 @@ export class UserRoomState {
 	 */
 	_sendUpdate() {
 
-		// Only if socket is open
-		if (!this._socket || this._socket.readyState !== WebSocket.OPEN)
-			return;
-
-		// Build payload
-		const payload = {
-			type: 'update',
+		const state = {
 			x: Number(this.xRef.value),
 			y: Number(this.yRef.value),
 			theta: Number(this.thetaRef.value),
-			color: Number(this.colorRef.value)
+			color: Number(this.colorRef.value),
+			color2: this.color2Ref.value == null ? null : Number(this.color2Ref.value),
+			noCues: !this.followCuesRef.value
 		};
 
-		// Send it
-		try {
-			this._socket.send(JSON.stringify(payload));
-		} catch {
-			// swallow; next change will retry
+		// v1: full update every time
+		if (!this._compact) {
+			this._socket.send({ type: 'update', ...state });
+			return;
+		}
+
+		// v2: only what changed, quantized & sequenced
+		const next = quantizeState(state);
+		const frame = encodeUserFrame(this._lastSent, next, this._seq + 1);
+		if (!frame)
+			return;
+
+		// (if the socket isn't open, the next change or reconnect will retry)
+		if (this._socket.send(frame)) {
+			this._seq++;
+			this._lastSent = next;
 		}
 	}
 
 
+	/**
+	 * Send a reaction (if the room allows it, & we're not over the rate limit)
+	 *
+	 * @param {string} r - one of REACTION_IDS
+	 * @returns {boolean} true if it was sent
+	 */
+	react(r) {
+
+		if (!allowedReactions(this.roomDetails.value).includes(r))
+			return false;
+
+		if (!this._reactLimiter.take()) {
+			this._coolDown();
+			return false;
+		}
+
+		const sent = this._socket.send({ type: 'react', r });
+
+		// if that was the last one for now, say so until the bucket refills
+		if (this._reactLimiter.waitMs() > 0)
+			this._coolDown();
+
+		return sent;
+	}
+
+
+	/**
+	 * Flag the reaction buttons as cooling down, until the next reaction is allowed
+	 */
+	_coolDown() {
+
+		this.reactCoolingRef.value = true;
+		clearTimeout(this._reactTimer);
+		this._reactTimer = setTimeout(() => {
+			this._reactTimer = null;
+			this.reactCoolingRef.value = false;
+		}, this._reactLimiter.waitMs());
+	}
+
+
 	/**
 	 * Closes the connection and cleans up
 	 */
 	destroy() {
 
-		this._closedManually = true;
-
 		if (this._sendTimer) {
 			clearTimeout(this._sendTimer);
 			this._sendTimer = null;
 		}
 
-		if (this._socket && this._socket.readyState <= 1) {
-			try { this._socket.close(1000, 'Client navigating away'); } catch { }
-		}
+		clearTimeout(this._reactTimer);
+		this._reactTimer = null;
 
-		this._socket = null;
-		this.connectionStatusRef.value = 'closed';
+		this._socket.destroy();
 	}
 
 }
@@ -0,0 +1,419 @@
+/*
+	animatedImage.js
+	----------------
+
+	Decodes animated GIFs & APNGs into frames w/o ImageDecoder, for browsers
+	that don't have it (Firefox, Safari). spriteSheet.js uses ImageDecoder
+	where it can, & falls back to this.
+
+	GIFs are parsed & un-LZW'd by gifuct-js. APNGs are read chunk by chunk here:
+	each frame's fdAT/IDAT data is inflated w/ DecompressionStream, un-filtered
+	& turned into RGBA (every color type, bit depths 1-16, no interlacing).
+
+	Either way a frame is only a patch of the image, drawn over the frames before
+	it (& cleaned up afterwards, depending on its dispose mode), so frames are
+	composed in order onto a full-size RGBA buffer. Nothing here touches the DOM,
+	so it's all testable in node:
+
+		const image = readAnimatedImage(bytes);
+		const rgba = await renderFrames(image, [0, 2, 4]);	// full-size RGBA, one per index
+*/
+
+// libs
+import { parseGIF, decompressFrame } from 'gifuct-js';
+
+// what a frame does to the canvas once it's been shown
+const DISPOSE_NONE = 0;
+const DISPOSE_BACKGROUND = 1;
+const DISPOSE_PREVIOUS = 2;
+
+// channels per pixel, by PNG color type
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+
+/**
+ * Read an animated GIF or APNG's frame list (w/o decoding any pixels yet)
+ *
+ * @param {Uint8Array} bytes - the file
+ * @returns {{width:number, height:number, frames:Array<object>}|null} null if it's not an animated GIF/APNG
+ *	frames: { x, y, width, height, delayMs, dispose, blend, ... } in the order they play
+ */
+export function readAnimatedImage(bytes) {
+
+	const ascii = (at, len) => String.fromCharCode(...bytes.subarray(at, at + len));
+	const image = ascii(0, 4) === 'GIF8' ? readGif(bytes)
+		: ascii(1, 3) === 'PNG' ? readApng(bytes)
+		: null;
+
+	return image && image.frames.length > 1 ? image : null;
+}
+
+
+/**
+ * Compose the frames we want onto a full-size canvas, in play order
+ *
+ * @param {object} image - from readAnimatedImage
+ * @param {Array<number>} indexes - which frames to keep, in ascending order
+ * @returns {Promise<Array<Uint8ClampedArray>>} RGBA (width × height × 4) for each index
+ */
+export async function renderFrames(image, indexes) {
+
+	const { width, height } = image;
+	const canvas = new Uint8ClampedArray(width * height * 4);
+	const keep = new Set(indexes);
+	const last = Math.max(...indexes);
+	const out = [];
+
+	for (let i = 0; i <= last && i < image.frames.length; i++) {
+
+		const frame = image.frames[i];
+		const saved = frame.dispose === DISPOSE_PREVIOUS ? canvas.slice() : null;
+
+		const patch = await framePixels(image, frame);
+		drawPatch(canvas, width, height, frame, patch);
+
+		if (keep.has(i))
+			out.push(canvas.slice());
+
+		if (frame.dispose === DISPOSE_BACKGROUND)
+			clearRect(canvas, width, height, frame);
+		else if (saved)
+			canvas.set(saved);
+	}
+
+	return out;
+}
+
+
+/**
+ * A frame's own pixels, as RGBA (frame.width × frame.height × 4)
+ *
+ * @param {object} image - from readAnimatedImage
+ * @param {object} frame - one of image.frames
+ * @returns {Promise<Uint8ClampedArray>}
+ */
+function framePixels(image, frame) {
+	return image.format === 'gif'
+		? decompressFrame(frame.source, image.gct, true).patch
+		: decodePngData(frame.data, frame.width, frame.height, image.header, image.palette, image.trns);
+}
+
+
+/**
+ * Draw a frame's patch onto the canvas, replacing (blend 0) or over (blend 1) what's there
+ */
+function drawPatch(canvas, width, height, frame, patch) {
+
+	for (let y = 0; y < frame.height; y++) {
+
+		const cy = frame.y + y;
+		if (cy < 0 || cy >= height)
+			continue;
+
+		for (let x = 0; x < frame.width; x++) {
+
+			const cx = frame.x + x;
+			if (cx < 0 || cx >= width)
+				continue;
+
+			const s = (y * frame.width + x) * 4;
+			const d = (cy * width + cx) * 4;
+			const a = patch[s + 3];
+
+			if (frame.blend === 0 || a === 255) {
+				canvas[d] = patch[s];
+				canvas[d + 1] = patch[s + 1];
+				canvas[d + 2] = patch[s + 2];
+				canvas[d + 3] = a;
+				continue;
+			}
+			if (a === 0)
+				continue;
+
+			// "over": premultiply, add, un-premultiply
+			const da = canvas[d + 3] * (255 - a) / 255;
+			const outA = a + da;
+			for (let c = 0; c < 3; c++)
+				canvas[d + c] = (patch[s + c] * a + canvas[d + c] * da) / outA;
+			canvas[d + 3] = outA;
+		}
+	}
+}
+
+
+/**
+ * Clear a frame's area to transparent
+ */
+function clearRect(canvas, width, height, frame) {
+
+	for (let y = Math.max(0, frame.y); y < Math.min(height, frame.y + frame.height); y++) {
+		const row = y * width;
+		canvas.fill(0, (row + Math.max(0, frame.x)) * 4, (row + Math.min(width, frame.x + frame.width)) * 4);
+	}
+}
+
+
+/**
+ * The frame list of a GIF
+ *
+ * @param {Uint8Array} bytes - the file
+ * @returns {object}
+ */
+function readGif(bytes) {
+
+	const gif = parseGIF(bytes);
+	const frames = gif.frames
+		.filter(f => f.image)
+		.map(f => {
+
+			// GIF disposal: 2 = restore to background, 3 = restore to previous (0 & 1 leave it)
+			const disposal = f.gce?.extras?.disposal;
+			const d = f.image.descriptor;
+			return {
+				x: d.left,
+				y: d.top,
+				width: d.width,
+				height: d.height,
+				delayMs: f.gce ? (f.gce.delay || 10) * 10 : 100,
+				dispose: disposal === 2 ? DISPOSE_BACKGROUND : disposal === 3 ? DISPOSE_PREVIOUS : DISPOSE_NONE,
+				blend: 1,
+				source: f,
+			};
+		});
+
+	return { format: 'gif', width: gif.lsd.width, height: gif.lsd.height, gct: gif.gct, frames };
+}
+
+
+/**
+ * The frame list of an APNG (chunks: length (4), type (4), data, crc (4))
+ *
+ * @param {Uint8Array} bytes - the file
+ * @returns {object|null} null if it isn't animated
+ */
+function readApng(bytes) {
+
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	const ascii = (at, len) => String.fromCharCode(...bytes.subarray(at, at + len));
+
+	let header = null;
+	let palette = null;
+	let trns = null;
+	let animated = false;
+	const frames = [];
+	let frame = null;
+
+	for (let at = 8; at + 8 <= bytes.length;) {
+
+		const len = view.getUint32(at);
+		const type = ascii(at + 4, 4);
+		const data = bytes.subarray(at + 8, Math.min(bytes.length, at + 8 + len));
+		at += 12 + len;
+
+		switch (type) {
+
+			case 'IHDR':
+				header = {
+					width: view.getUint32(data.byteOffset - bytes.byteOffset),
+					height: view.getUint32(data.byteOffset - bytes.byteOffset + 4),
+					bitDepth: data[8],
+					colorType: data[9],
+					interlace: data[12],
+				};
+				break;
+
+			case 'PLTE':
+				palette = data;
+				break;
+
+			case 'tRNS':
+				trns = data;
+				break;
+
+			case 'acTL':
+				animated = true;
+				break;
+
+			case 'fcTL': {
+				const o = data.byteOffset - bytes.byteOffset;
+				const den = view.getUint16(o + 22) || 100;
+				frame = {
+					width: view.getUint32(o + 4),
+					height: view.getUint32(o + 8),
+					x: view.getUint32(o + 12),
+					y: view.getUint32(o + 16),
+					delayMs: view.getUint16(o + 20) / den * 1000,
+					dispose: data[24],
+					blend: data[25],
+					data: [],
+				};
+
+				// the first frame can't go back to a "previous" that doesn't exist
+				if (frames.length === 0 && frame.dispose === DISPOSE_PREVIOUS)
+					frame.dispose = DISPOSE_BACKGROUND;
+				frames.push(frame);
+				break;
+			}
+
+			// the default image is only a frame if an fcTL came first
+			case 'IDAT':
+				frame?.data.push(data);
+				break;
+
+			// like IDAT, after a sequence number
+			case 'fdAT':
+				frame?.data.push(data.subarray(4));
+				break;
+		}
+
+		if (type === 'IEND')
+			break;
+	}
+
+	if (!animated || !header || header.interlace !== 0 || !PNG_CHANNELS[header.colorType])
+		return null;
+
+	return {
+		format: 'apng',
+		width: header.width,
+		height: header.height,
+		header,
+		palette,
+		trns,
+		frames: frames.filter(f => f.data.length > 0),
+	};
+}
+
+
+/**
+ * Inflate zlib data
+ *
+ * @param {Array<Uint8Array>} parts - the compressed data, in pieces
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflate(parts) {
+	const stream = new Blob(parts).stream().pipeThrough(new DecompressionStream('deflate'));
+	return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+
+/**
+ * Decode one frame's PNG image data into RGBA
+ *
+ * @param {Array<Uint8Array>} parts - the frame's IDAT/fdAT data
+ * @param {number} width - frame width
+ * @param {number} height - frame height
+ * @param {object} header - from IHDR
+ * @param {Uint8Array|null} palette - PLTE
+ * @param {Uint8Array|null} trns - tRNS
+ * @returns {Promise<Uint8ClampedArray>}
+ */
+async function decodePngData(parts, width, height, header, palette, trns) {
+
+	const { bitDepth, colorType } = header;
+	const channels = PNG_CHANNELS[colorType];
+	const bitsPerPixel = channels * bitDepth;
+	const bpp = Math.max(1, bitsPerPixel >> 3);
+	const stride = Math.ceil(width * bitsPerPixel / 8);
+
+	const raw = await inflate(parts);
+	if (raw.length < (stride + 1) * height)
+		throw new Error('APNG frame data is too short');
+
+	// undo each scanline's filter
+	const pixels = new Uint8Array(stride * height);
+	for (let y = 0; y < height; y++) {
+
+		const filter = raw[y * (stride + 1)];
+		const src = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+		const row = pixels.subarray(y * stride, (y + 1) * stride);
+		const prev = y > 0 ? pixels.subarray((y - 1) * stride, y * stride) : null;
+
+		for (let i = 0; i < stride; i++) {
+			const a = i >= bpp ? row[i - bpp] : 0;
+			const b = prev ? prev[i] : 0;
+			const c = prev && i >= bpp ? prev[i - bpp] : 0;
+			let v = src[i];
+			switch (filter) {
+				case 1: v += a; break;
+				case 2: v += b; break;
+				case 3: v += (a + b) >> 1; break;
+				case 4: {
+					const p = a + b - c;
+					const pa = Math.abs(p - a);
+					const pb = Math.abs(p - b);
+					const pc = Math.abs(p - c);
+					v += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+					break;
+				}
+			}
+			row[i] = v;
+		}
+	}
+
+	// read sample n of a row (any bit depth, 16 bit keeps the high byte)
+	const maxSample = (1 << Math.min(8, bitDepth)) - 1;
+	const sample = (row, n) => {
+		if (bitDepth === 8)
+			return pixels[row + n];
+		if (bitDepth === 16)
+			return pixels[row + n * 2];
+		const bit = n * bitDepth;
+		return (pixels[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+	};
+
+	// tRNS for gray & RGB is one color (in the image's bit depth) that's fully transparent
+	const trnsAt = (i) => trns.length > i * 2 + 1 ? (bitDepth === 16 ? trns[i * 2] : trns[i * 2 + 1]) : -1;
+	const grayKey = colorType === 0 && trns ? trnsAt(0) : -1;
+	const rgbKey = colorType === 2 && trns ? [trnsAt(0), trnsAt(1), trnsAt(2)] : null;
+
+	const out = new Uint8ClampedArray(width * height * 4);
+	const scale = bitDepth < 8 ? 255 / maxSample : 1;
+	for (let y = 0; y < height; y++) {
+
+		const row = y * stride;
+		for (let x = 0; x < width; x++) {
+
+			const o = (y * width + x) * 4;
+			const s0 = sample(row, x * channels);
+			switch (colorType) {
+
+				case 0:
+					out[o] = out[o + 1] = out[o + 2] = s0 * scale;
+					out[o + 3] = s0 === grayKey ? 0 : 255;
+					break;
+
+				case 2: {
+					const g = sample(row, x * 3 + 1);
+					const b = sample(row, x * 3 + 2);
+					out[o] = s0;
+					out[o + 1] = g;
+					out[o + 2] = b;
+					out[o + 3] = rgbKey && s0 === rgbKey[0] && g === rgbKey[1] && b === rgbKey[2] ? 0 : 255;
+					break;
+				}
+
+				case 3:
+					out[o] = palette?.[s0 * 3] ?? 0;
+					out[o + 1] = palette?.[s0 * 3 + 1] ?? 0;
+					out[o + 2] = palette?.[s0 * 3 + 2] ?? 0;
+					out[o + 3] = trns && s0 < trns.length ? trns[s0] : 255;
+					break;
+
+				case 4:
+					out[o] = out[o + 1] = out[o + 2] = s0;
+					out[o + 3] = sample(row, x * 2 + 1);
+					break;
+
+				case 6:
+					out[o] = s0;
+					out[o + 1] = sample(row, x * 4 + 1);
+					out[o + 2] = sample(row, x * 4 + 2);
+					out[o + 3] = sample(row, x * 4 + 3);
+					break;
+			}
+		}
+	}
+
+	return out;
+}
@@ -0,0 +1,82 @@
+/*
+	animatedImage.test.js
+	---------------------
+
+	Checks animated GIFs & APNGs decode into the right frames w/o ImageDecoder.
+
+	The fixtures are 32×32, 4 frames at 100ms: an 8×8 square at y 12..19 that
+	steps right 8px each frame & changes color (red, green, blue, white) on a
+	transparent background. The GIF's frames are full size (disposed to the
+	background), the APNG's after the first are just the 16×8 patch that changed.
+*/
+
+// libs
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+
+// our app
+import { readAnimatedImage, renderFrames } from './animatedImage.js';
+
+const COLORS = [[255, 0, 0], [0, 255, 0], [0, 0, 255], [255, 255, 255]];
+
+const fixture = (name) => new Uint8Array(readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+
+// RGBA of one pixel in a 32 px wide frame
+const pixel = (rgba, x, y) => Array.from(rgba.subarray((y * 32 + x) * 4, (y * 32 + x) * 4 + 4));
+
+// checks a frame only shows square i
+function expectSquare(rgba, i) {
+	for (let n = 0; n < 4; n++)
+		expect(pixel(rgba, n * 8 + 4, 16)).toEqual(n === i ? [...COLORS[i], 255] : [0, 0, 0, 0]);
+	expect(pixel(rgba, 4, 4)[3]).toBe(0);
+}
+
+
+describe.each([
+	['GIF', 'four-frames.gif'],
+	['APNG', 'four-frames.png'],
+])('%s', (format, name) => {
+
+	it('lists every frame w/ its delay', () => {
+		const image = readAnimatedImage(fixture(name));
+		expect(image.width).toBe(32);
+		expect(image.height).toBe(32);
+		expect(image.frames.map(f => f.delayMs)).toEqual([100, 100, 100, 100]);
+	});
+
+	it('composes each frame onto what came before', async () => {
+		const frames = await renderFrames(readAnimatedImage(fixture(name)), [0, 1, 2, 3]);
+		expect(frames).toHaveLength(4);
+		frames.forEach((rgba, i) => expectSquare(rgba, i));
+	});
+
+	it('only hands back the frames asked for', async () => {
+		const frames = await renderFrames(readAnimatedImage(fixture(name)), [1, 3]);
+		expect(frames).toHaveLength(2);
+		expectSquare(frames[0], 1);
+		expectSquare(frames[1], 3);
+	});
+
+});
+
+
+describe('readAnimatedImage', () => {
+
+	it('skips stills & things that aren\'t images', () => {
+		expect(readAnimatedImage(new Uint8Array([...'not an image'].map(c => c.charCodeAt(0))))).toBeNull();
+
+		// the APNG w/o its acTL chunk is just its first frame
+		const bytes = fixture('four-frames.png');
+		const at = indexOfChunk(bytes, 'acTL');
+		const still = new Uint8Array([...bytes.subarray(0, at), ...bytes.subarray(at + 20)]);
+		expect(readAnimatedImage(still)).toBeNull();
+	});
+
+});
+
+
+// where a PNG chunk starts (its length field)
+function indexOfChunk(bytes, type) {
+	const text = String.fromCharCode(...bytes);
+	return text.indexOf(type) - 4;
+}
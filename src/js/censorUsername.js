@@ -4,31 +4,26 @@
 
 	Provides a function to censor inappropriate words in usernames,
 	limiting length and replacing bad words with block characters.
+
+	The matching itself lives in nicknamePolicy.js - pass the room's settings
+	to use its own blocklist, allowlist & action.
 */
 // Tabs, not spaces
-import { clean } from "profanity-cleaner";
+import { displayNickname } from "./nicknamePolicy.js";
 
 /**
  * Helper to censor a username.
  * 
  * @param {string} userName - The username to censor.
+ * @param {object} [room] - The room's settings, for its nickname policy.
  * @returns {string} - The censored username.
  */
-export function censorUsername(userName) {
+export function censorUsername(userName, room) {
 
 	// Basic validation
 	if (!userName || typeof userName !== "string") 
 		return userName;
 
-	// First, clean with default "*"
-	let cleaned = clean(userName);
-
-	// max chars
-	const maxChars = 16;
-	if (cleaned.length > maxChars) {
-		cleaned = cleaned.slice(0, maxChars);
-	}
-
-	// Then replace each "*" with a full block █
-	return cleaned.replace(/\*/g, "█");
+	// mask / replace per the room's policy (also limits the length)
+	return displayNickname(userName, room);
 }
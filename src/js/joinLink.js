@@ -0,0 +1,61 @@
+/*
+	joinLink.js
+	-----------
+
+	The direct join link for a room (what the QR codes encode), & pulling a
+	room code back out of a link someone pasted or scanned.
+
+	/room/:code sends people w/o a session to the join page w/ the code filled
+	in (see RoomView), so the link works for new & returning viewers alike.
+*/
+
+// our app
+import { getAppUrl } from './transport.js';
+
+// room codes are always this long
+export const ROOM_CODE_LENGTH = 6;
+
+
+/**
+ * The link that joins a room
+ *
+ * @param {string} code - the room code
+ * @returns {string} e.g. 'https://pen.lighting/room/ABC123'
+ */
+export function joinLink(code) {
+	return `${getAppUrl()}/room/${encodeURIComponent(code)}`;
+}
+
+
+/**
+ * Find a room code in some text: a bare code, a /room/:code or /obs/:code link,
+ * or a link w/ ?room_code=
+ *
+ * @param {string} text - what was typed, pasted or scanned
+ * @returns {string|null} the room code, or null if there isn't one
+ */
+export function roomCodeFromText(text) {
+
+	const s = String(text ?? '').trim();
+	if (!s)
+		return null;
+
+	// a bare code
+	if (!/[/?=]/.test(s))
+		return s.length === ROOM_CODE_LENGTH ? s : null;
+
+	// a link (w/ or w/o the scheme & host)
+	let url;
+	try {
+		url = new URL(s, 'https://placeholder.invalid');
+	} catch {
+		return null;
+	}
+
+	const fromQuery = url.searchParams.get('room_code');
+	if (fromQuery)
+		return fromQuery.trim().slice(0, ROOM_CODE_LENGTH);
+
+	const match = url.pathname.match(/\/(?:room|obs|edit)\/([^/]+)/);
+	return match ? decodeURIComponent(match[1]).slice(0, ROOM_CODE_LENGTH) : null;
+}
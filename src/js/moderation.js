@@ -0,0 +1,101 @@
+/*
+	moderation.js
+	-------------
+
+	Room owners can moderate their audience live from the edit page (behind the
+	edit code). This file holds the protocol & the bits of it the OBS page and
+	the audience page both need.
+
+	Mod -> server:
+		{ type: 'hello', role: 'mod', roomCode, editCode, proto }
+			the server answers w/ the same state/delta stream OBS gets, plus a
+			'moderation' message - or { type: 'error', code: 'forbidden' } & a close
+			if the edit code is wrong
+		{ type: 'mod', action, ... }
+			kick			{ id }				disconnect them (they can come back)
+			hide			{ id }				keep them connected, but off the stream
+			unhide			{ id }
+			rename			{ id, nickname }	force a nickname ('' to undo)
+			ban				{ id }				kick & block their session
+			ban				{ nickname }		kick & block anyone using a nickname
+			unban			{ session } or { nickname }
+
+	Server -> OBS & mods (whenever it changes, & right after hello):
+		{ type: 'moderation', room, hidden: [id, ...], renamed: { id: nickname }, bans? }
+			bans	{ sessions: [{ session, nickname }], nicknames: [...] } (mods only)
+
+	Server -> a user:
+		{ type: 'removed', reason: 'kicked' | 'banned' }	(then the socket closes)
+		{ type: 'renamed', nickname }
+
+	Users send a `session` token in their hello (see useRoomSession), so session
+	bans survive a refresh & ids stay the same across reconnects.
+
+	Stage cues go out over the same mod socket - see stageCues.js.
+*/
+
+// the actions a mod can send
+export const MOD_ACTIONS = ['kick', 'hide', 'unhide', 'rename', 'ban', 'unban'];
+
+// why a user was removed from a room
+export const REMOVED_REASONS = {
+	KICKED: 'kicked',
+	BANNED: 'banned',
+};
+
+// how long since a user last moved before we call them idle
+export const IDLE_MS = 10000;
+
+
+/**
+ * A fresh, empty moderation state
+ *
+ * @returns {{hidden:Array<string>, renamed:object, bans:{sessions:Array<object>, nicknames:Array<string>}}}
+ */
+export function emptyModeration() {
+	return {
+		hidden: [],
+		renamed: {},
+		bans: { sessions: [], nicknames: [] },
+	};
+}
+
+
+/**
+ * Normalize a nickname for ban matching (case & surrounding spaces don't count)
+ *
+ * @param {string} nickname - the nickname
+ * @returns {string} the normalized nickname
+ */
+export function nicknameKey(nickname) {
+	return String(nickname || '').trim().toLowerCase();
+}
+
+
+/**
+ * Apply the room's moderation to a list of users before we draw them:
+ * hidden users are dropped & forced renames are swapped in.
+ *
+ * @param {Array<object>} users - users w/ { id, nickname, ... }
+ * @param {object} moderation - { hidden, renamed }
+ * @returns {Array<object>} the users to show
+ */
+export function applyModeration(users, moderation) {
+
+	const hidden = moderation?.hidden;
+	const renamed = moderation?.renamed;
+	if (!hidden?.length && (!renamed || Object.keys(renamed).length === 0))
+		return users;
+
+	const hiddenSet = new Set(hidden);
+	const out = [];
+	for (const u of users) {
+
+		if (hiddenSet.has(u.id))
+			continue;
+
+		const name = renamed?.[u.id];
+		out.push(name ? { ...u, nickname: name } : u);
+	}
+	return out;
+}
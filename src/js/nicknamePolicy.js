@@ -0,0 +1,457 @@
+/*
+	nicknamePolicy.js
+	-----------------
+
+	Decides what an audience member's nickname looks like on stream, per room.
+
+	People dodge simple word lists w/ leetspeak (a55h0le), spacing (f u c k),
+	look-alike letters from other alphabets (Cyrillic 'а' for 'a'), accents,
+	fullwidth characters & stretched letters (fuuuck). So before matching, both
+	the nickname & every listed word are folded the same way:
+		1) Unicode NFKC (fullwidth / math letters -> plain), then accents stripped
+		2) look-alike letters from other scripts -> Latin
+		3) leetspeak digits & symbols -> letters
+		4) everything that isn't a letter dropped (& runs of a letter collapsed, for longer words)
+	We keep track of which original characters each folded letter came from, so
+	masking hides exactly the offending part of the name.
+
+	Words come from profanity-cleaner's list (plus a few of our own, EXTRA_WORDS)
+	& the room's own blocklist (for other languages, in-jokes, etc.). Short words
+	only match as whole words, so "class" & "titan" are fine, while longer words
+	match anywhere in the name. Words are measured after folding & collapsing
+	runs ("nastt" is 4 letters). The built-in list is much longer & isn't written
+	w/ names in mind, so its words have to be longer still (BUILT_IN_ANYWHERE_LEN)
+	before they match inside other words - otherwise "Dynasty", "Basement" &
+	"Semenya" get caught.
+
+	Words can use profanity-cleaner's * wildcards, which is how the list marks
+	the short words that are still bad inside others:
+		*fuck*	anywhere in the name			(xXfuckXx, ifuckyou)
+		dick*	at the start of a word			(dickhead)
+		*dick	at the end of a word			(bigdick)
+	Real names & words that start or end like that (Dickens, Arsenal, Cocktail)
+	are on a built-in allowlist (BUILT_IN_ALLOW), & anything on that or the
+	room's allowlist is never flagged.
+
+	What happens to a flagged name depends on the room's nicknameAction:
+		mask	the offending part becomes █ blocks
+		reject	the join page refuses the name (on stream it shows as "Guest N")
+		guest	replaced w/ "Guest N" (N comes from the name, so every page agrees)
+*/
+
+// libs
+import defaultWords from 'profanity-cleaner/src/badWords.json';
+
+// the longest nickname we show
+export const MAX_NICKNAME_LENGTH = 16;
+
+// the character flagged letters are masked with
+const MASK_CHAR = '█';
+
+// words this short (after folding & collapsing runs) only match as whole words
+const SHORT_WORD_LEN = 4;
+
+// built-in words have to be at least this long to match inside other words
+const BUILT_IN_ANYWHERE_LEN = 6;
+
+// wildcard stems shorter than this are ignored (the list's "Fu*" would catch "Funny")
+const MIN_STEM_LEN = 3;
+
+// compounds the built-in list misses
+const EXTRA_WORDS = ['*dick', 'cum*'];
+
+// names & words the built-in wildcards would otherwise catch
+const BUILT_IN_ALLOW = [
+	'dickens', 'dickinson', 'dickson', 'dickerson', 'dickey', 'dickie', 'riddick', 'benedick',
+	'cumberland', 'cumberbatch', 'cumbria', 'cumming', 'cummings', 'cumulus', 'cumin', 'cumbia',
+	'cocktail', 'cockpit', 'cockney', 'cockburn', 'cockatoo', 'cockatiel', 'cockroach', 'cockerel', 'cockle',
+	'arsenal', 'arsene', 'arsenio', 'arsenic', 'fagan', 'fagin', 'pissarro', 'dikembe', 'shiitake',
+	'fitting', 'fitted', 'fitter', 'fittest', 'fittipaldi',
+];
+
+// look-alike letters from other scripts -> Latin
+const CONFUSABLES = {
+	// Cyrillic
+	'а': 'a', 'в': 'b', 'с': 'c', 'ԁ': 'd', 'е': 'e', 'ё': 'e', 'һ': 'h', 'н': 'h',
+	'і': 'i', 'ї': 'i', 'ј': 'j', 'к': 'k', 'ӏ': 'l', 'м': 'm', 'п': 'n', 'о': 'o',
+	'р': 'p', 'ԛ': 'q', 'г': 'r', 'ѕ': 's', 'т': 't', 'ц': 'u', 'ѵ': 'v', 'ш': 'w',
+	'х': 'x', 'у': 'y', 'з': 'z',
+	// Greek
+	'α': 'a', 'β': 'b', 'ϲ': 'c', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v',
+	'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'γ': 'y', 'ζ': 'z', 'μ': 'u',
+	// other odds & ends
+	'ı': 'i', 'ł': 'l', 'ø': 'o', 'đ': 'd', 'ß': 'ss', 'æ': 'ae', 'œ': 'oe',
+};
+
+// leetspeak -> letters (l & 1 & | & ! all read as 'i', since that's the common trick)
+const LEET = {
+	'0': 'o', '1': 'i', '2': 'z', '3': 'e', '4': 'a', '5': 's', '6': 'g', '7': 't',
+	'8': 'b', '9': 'g', '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't', '€': 'e',
+	'£': 'l', '¢': 'c', 'l': 'i',
+};
+
+
+/**
+ * Fold one original character into the letters it's standing in for
+ *
+ * @param {string} ch - a single code point
+ * @returns {string} zero or more a-z letters, or a space for a word break
+ */
+function foldChar(ch) {
+
+	// fullwidth/math forms -> plain, then strip accents
+	let s = ch.normalize('NFKC').normalize('NFD').replace(/\p{M}+/gu, '').toLowerCase();
+
+	// other scripts -> Latin, then leetspeak -> letters
+	s = Array.from(s, c => CONFUSABLES[c] ?? c).join('');
+	s = Array.from(s, c => LEET[c] ?? c).join('');
+
+	let out = '';
+	for (const c of s) {
+		if (c >= 'a' && c <= 'z')
+			out += c;
+		else if (/[\s_.,\-]/.test(c))
+			out += ' ';
+	}
+	return out;
+}
+
+
+/**
+ * Fold a nickname (or a word) for matching, remembering where each letter came from
+ *
+ * @param {string} text - the text to fold
+ * @returns {{letters:string, from:Array<number>, to:Array<number>, tokens:Array<{start:number, end:number}>}}
+ *	letters: the folded a-z letters
+ *	from/to: for each letter, the first & last original code point index it covers
+ *	tokens: whole words, as [start, end) ranges into letters
+ */
+export function foldText(text) {
+
+	const chars = Array.from(String(text || ''));
+	let letters = '';
+	const from = [];
+	const to = [];
+	const tokens = [];
+	let tokenStart = 0;
+
+	const endToken = () => {
+		if (letters.length > tokenStart)
+			tokens.push({ start: tokenStart, end: letters.length });
+		tokenStart = letters.length;
+	};
+
+	chars.forEach((ch, i) => {
+		for (const c of foldChar(ch)) {
+			if (c === ' ') {
+				endToken();
+				continue;
+			}
+			letters += c;
+			from.push(i);
+			to.push(i);
+		}
+	});
+	endToken();
+
+	// s p a c e d  o u t letters become one word
+	const merged = [];
+	for (const t of tokens) {
+		const prev = merged[merged.length - 1];
+		if (prev && t.end - t.start === 1 && prev.single) {
+			prev.end = t.end;
+			continue;
+		}
+		merged.push({ ...t, single: t.end - t.start === 1 });
+	}
+
+	return {
+		letters,
+		from,
+		to,
+		tokens: merged.map(({ start, end }) => ({ start, end })),
+	};
+}
+
+
+/**
+ * Collapse runs of a letter (fuuuck -> fuck), remembering where each came from
+ *
+ * @param {string} letters - folded letters
+ * @returns {{text:string, start:Array<number>, end:Array<number>}} start/end: [first, last] index into letters
+ */
+function collapseRuns(letters) {
+
+	let text = '';
+	const start = [];
+	const end = [];
+	for (let i = 0; i < letters.length; i++) {
+		if (text.length > 0 && text[text.length - 1] === letters[i]) {
+			end[end.length - 1] = i;
+			continue;
+		}
+		text += letters[i];
+		start.push(i);
+		end.push(i);
+	}
+	return { text, start, end };
+}
+
+
+/**
+ * Sort a list of words into short ones (whole words only), long ones (anywhere)
+ * & wildcard stems (the start or end of a word)
+ *
+ * Short words match a whole word exactly, or stretched (fuuuck) if they don't
+ * have a double letter of their own - otherwise "boob" would catch "Bob".
+ * Long words, & words w/ a * on both ends, are matched w/ runs collapsed on
+ * both sides. Stems follow the same rule as short words.
+ *
+ * @param {Array<string>} words - the words, optionally w/ * wildcards
+ * @param {number} [anywhereLen=SHORT_WORD_LEN + 1] - how long (collapsed) a word has to be to match anywhere
+ * @returns {{exact:Set<string>, stretchy:Set<string>, long:Set<string>, prefix:Array<object>, suffix:Array<object>}}
+ *	prefix/suffix: { stem, collapsed } - collapsed is true if stem is matched against collapsed text
+ */
+function compileWords(words, anywhereLen = SHORT_WORD_LEN + 1) {
+
+	const exact = new Set();
+	const stretchy = new Set();
+	const long = new Set();
+	const prefix = [];
+	const suffix = [];
+	for (const w of words) {
+
+		const word = String(w).trim();
+		const lead = word.startsWith('*');
+		const trail = word.endsWith('*');
+
+		const f = foldText(word.replace(/^\*+|\*+$/g, '')).letters;
+		if (f.length < 2 || ((lead || trail) && f.length < MIN_STEM_LEN))
+			continue;
+
+		const c = collapseRuns(f).text;
+		if ((lead && trail) || c.length >= anywhereLen) {
+			long.add(c);
+		} else if (lead || trail) {
+			const stem = c === f ? { stem: c, collapsed: true } : { stem: f, collapsed: false };
+			(trail ? prefix : suffix).push(stem);
+		} else {
+			exact.add(f);
+			if (c === f)
+				stretchy.add(c);
+		}
+	}
+	return { exact, stretchy, long, prefix, suffix };
+}
+
+
+/**
+ * Fold allowed words for matching
+ *
+ * @param {Array<string>} words - the words
+ * @returns {Array<string>} folded, w/ runs collapsed
+ */
+function compileAllow(words) {
+	return [...new Set(words.map(w => collapseRuns(foldText(w).letters).text).filter(Boolean))];
+}
+
+
+// the built-in lists, folded once
+let builtIn = null;
+function getBuiltIn() {
+	if (!builtIn) {
+		builtIn = {
+			block: compileWords([...defaultWords, ...EXTRA_WORDS], BUILT_IN_ANYWHERE_LEN),
+			allow: compileAllow(BUILT_IN_ALLOW),
+		};
+	}
+	return builtIn;
+}
+
+
+// compiled room lists, keyed by their contents
+const compiledCache = new Map();
+const MAX_COMPILED = 32;
+
+
+/**
+ * Fold a room's lists once & reuse them
+ *
+ * @param {object} [room] - room settings w/ nicknameBlocklist & nicknameAllowlist
+ * @returns {{block:object, allow:Array<string>}}
+ */
+function compileLists(room) {
+
+	const block = Array.isArray(room?.nicknameBlocklist) ? room.nicknameBlocklist : [];
+	const allow = Array.isArray(room?.nicknameAllowlist) ? room.nicknameAllowlist : [];
+	const key = `${block.join('\n')}\u0000${allow.join('\n')}`;
+
+	let compiled = compiledCache.get(key);
+	if (!compiled) {
+		compiled = {
+			block: compileWords(block),
+			allow: compileAllow(allow),
+		};
+		if (compiledCache.size >= MAX_COMPILED)
+			compiledCache.delete(compiledCache.keys().next().value);
+		compiledCache.set(key, compiled);
+	}
+	return compiled;
+}
+
+
+/**
+ * Find a word list's hits in a folded nickname
+ *
+ * @param {object} folded - from foldText
+ * @param {object} collapsed - from collapseRuns(folded.letters)
+ * @param {object} words - from compileWords
+ * @param {Array<object>} out - hits are pushed here as [start, end) into folded.letters
+ */
+function findWords(folded, collapsed, words, out) {
+
+	for (const t of folded.tokens) {
+
+		// short words: whole words only
+		const token = folded.letters.slice(t.start, t.end);
+		const c = collapseRuns(token);
+		if (words.exact.has(token) || words.stretchy.has(c.text))
+			out.push(t);
+
+		// stems: the start or end of a word
+		for (const { stem, collapsed } of words.prefix) {
+			if (collapsed && c.text.startsWith(stem))
+				out.push({ start: t.start, end: t.start + c.end[stem.length - 1] + 1 });
+			else if (!collapsed && token.startsWith(stem))
+				out.push({ start: t.start, end: t.start + stem.length });
+		}
+		for (const { stem, collapsed } of words.suffix) {
+			if (collapsed && c.text.endsWith(stem))
+				out.push({ start: t.start + c.start[c.text.length - stem.length], end: t.end });
+			else if (!collapsed && token.endsWith(stem))
+				out.push({ start: t.end - stem.length, end: t.end });
+		}
+	}
+
+	// long words: anywhere
+	for (const w of words.long)
+		findInCollapsed(collapsed, w, out);
+}
+
+
+/**
+ * Every place `word` appears in collapsed text, as [start, end) into the uncollapsed letters
+ */
+function findInCollapsed(collapsed, word, out) {
+	let i = collapsed.text.indexOf(word);
+	while (i !== -1) {
+		out.push({ start: collapsed.start[i], end: collapsed.end[i + word.length - 1] + 1 });
+		i = collapsed.text.indexOf(word, i + 1);
+	}
+}
+
+
+/**
+ * Check a nickname against a room's policy
+ *
+ * @param {string} nickname - the nickname as typed
+ * @param {object} [room] - room settings (nicknameBlocklist, nicknameAllowlist)
+ * @returns {{flagged:boolean, masked:string}} masked: the nickname w/ flagged parts blocked out
+ */
+export function checkNickname(nickname, room) {
+
+	const text = String(nickname || '');
+	const folded = foldText(text);
+	const collapsed = collapseRuns(folded.letters);
+	const lists = compileLists(room);
+
+	// find everything that might be bad
+	const hits = [];
+	const builtInLists = getBuiltIn();
+	findWords(folded, collapsed, builtInLists.block, hits);
+	findWords(folded, collapsed, lists.block, hits);
+
+	// drop anything inside an allowed word
+	const allowed = [];
+	for (const w of [...builtInLists.allow, ...lists.allow])
+		findInCollapsed(collapsed, w, allowed);
+	const bad = hits.filter(h => !allowed.some(a => a.start <= h.start && h.end <= a.end));
+
+	if (bad.length === 0)
+		return { flagged: false, masked: text };
+
+	// mask the original characters the bad letters came from
+	const chars = Array.from(text);
+	for (const h of bad)
+		for (let i = folded.from[h.start]; i <= folded.to[h.end - 1]; i++)
+			if (!/\s/.test(chars[i]))
+				chars[i] = MASK_CHAR;
+
+	return { flagged: true, masked: chars.join('') };
+}
+
+
+/**
+ * The stand-in name for a nickname, e.g. "Guest 417" (the same name always gets the same number)
+ *
+ * @param {string} nickname - the original nickname
+ * @returns {string} the guest name
+ */
+export function guestName(nickname) {
+
+	let h = 2166136261;
+	for (const c of String(nickname || ''))
+		h = Math.imul(h ^ c.codePointAt(0), 16777619);
+
+	return `Guest ${100 + ((h >>> 0) % 900)}`;
+}
+
+
+/**
+ * Cut a nickname down to the longest we show (by code point, so emoji don't break)
+ */
+function truncate(nickname) {
+	return Array.from(nickname).slice(0, MAX_NICKNAME_LENGTH).join('');
+}
+
+
+/**
+ * Apply a room's policy to a nickname someone's trying to join with
+ *
+ * @param {string} nickname - the nickname as typed
+ * @param {object} [room] - room settings (nicknameAction, nicknameBlocklist, nicknameAllowlist)
+ * @returns {{ok:boolean, nickname:string, flagged:boolean}} ok is false if the room rejects it
+ */
+export function applyNicknamePolicy(nickname, room) {
+
+	const { flagged, masked } = checkNickname(nickname, room);
+	if (!flagged)
+		return { ok: true, nickname: truncate(String(nickname || '')), flagged };
+
+	switch (room?.nicknameAction) {
+		case 'reject':
+			return { ok: false, nickname: '', flagged };
+		case 'guest':
+			return { ok: true, nickname: guestName(nickname), flagged };
+		case 'mask':
+		default:
+			return { ok: true, nickname: truncate(masked), flagged };
+	}
+}
+
+
+/**
+ * The nickname to draw on stream (a rejected name that slipped through shows as a guest)
+ *
+ * @param {string} nickname - the nickname as received
+ * @param {object} [room] - room settings
+ * @returns {string} the name to show
+ */
+export function displayNickname(nickname, room) {
+
+	if (!nickname || typeof nickname !== 'string')
+		return nickname;
+
+	const result = applyNicknamePolicy(nickname, room);
+	return result.ok ? result.nickname : guestName(nickname);
+}
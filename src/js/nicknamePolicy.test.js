@@ -0,0 +1,98 @@
+/*
+	nicknamePolicy.test.js
+	----------------------
+
+	Checks the nickname filter catches disguised words w/o catching real names.
+*/
+
+// libs
+import { describe, it, expect } from 'vitest';
+
+// our app
+import { checkNickname, applyNicknamePolicy } from './nicknamePolicy.js';
+
+// ordinary names that have a listed word hiding inside them
+const COMMON_NAMES = [
+	'Dynasty', 'Gymnast', 'Monastery', 'Anastasia', 'Nastya', 'Basement', 'Semenya',
+	'Scunthorpe', 'Cassandra', 'Dickens', 'Hancock', 'Sussex', 'Essex', 'Therapist',
+	'Analyst', 'Cocktail', 'Peacock', 'Assassin', 'Classic', 'Titanic', 'Arsenal',
+	'Penistone', 'Cumberland', 'Hitchcock', 'Nicholas', 'Ashley', 'Charlotte', 'Analisa',
+	'Arsenio', 'Cumming', 'Shiitake', 'Riddick', 'Funny', 'Bobby', 'Titus',
+];
+
+// names that have to be caught (incl. the ones profanity-cleaner's wildcards are there for)
+const MUST_MASK = [
+	'xXfuckXx', 'fuck123', 'FuckYou', 'ifuckyou', 'dickhead', 'shithead', 'bigdick', 'fuckface', 'cumshot',
+];
+
+
+describe('checkNickname', () => {
+
+	it.each(COMMON_NAMES)('lets "%s" through', (name) => {
+		expect(checkNickname(name, {})).toEqual({ flagged: false, masked: name });
+	});
+
+	it.each(MUST_MASK)('masks "%s"', (name) => {
+		const { flagged, masked } = checkNickname(name, {});
+		expect(flagged).toBe(true);
+		expect(masked).toContain('█');
+	});
+
+	it('masks just the wildcard word', () => {
+		expect(checkNickname('xXfuckXx', {}).masked).toBe('xX████Xx');
+		expect(checkNickname('dickhead', {}).masked).toBe('████head');
+		expect(checkNickname('bigdick', {}).masked).toBe('big████');
+		expect(checkNickname('diiickhead', {}).masked).toBe('██████head');
+	});
+
+	it('honours wildcards in the room\'s own list', () => {
+		const room = { nicknameBlocklist: ['*zog', 'zap*', '*vex*'] };
+		expect(checkNickname('bigzog', room).flagged).toBe(true);
+		expect(checkNickname('zogby', room).flagged).toBe(false);
+		expect(checkNickname('zapper', room).flagged).toBe(true);
+		expect(checkNickname('gazap', room).flagged).toBe(false);
+		expect(checkNickname('xvexx', room).flagged).toBe(true);
+	});
+
+	it('still catches disguised words', () => {
+		expect(checkNickname('fuuuck', {}).flagged).toBe(true);
+		expect(checkNickname('f u c k', {}).flagged).toBe(true);
+		expect(checkNickname('a55h0le', {}).flagged).toBe(true);
+		expect(checkNickname('ѕhіt', {}).flagged).toBe(true);
+		expect(checkNickname('motherfucker', {}).masked).toBe('████████████');
+	});
+
+	it('sorts words by their collapsed length, so stretched short words stay whole-word only', () => {
+		const room = { nicknameBlocklist: ['nastt'] };
+		expect(checkNickname('nastt', room).flagged).toBe(true);
+		expect(checkNickname('Dynasty', room).flagged).toBe(false);
+	});
+
+	it('matches the room\'s own longer words anywhere', () => {
+		const room = { nicknameBlocklist: ['rival'] };
+		expect(checkNickname('xXrivalXx', room).masked).toBe('xX█████Xx');
+	});
+
+	it('never flags the room\'s allowed words', () => {
+		const room = { nicknameBlocklist: ['rival'], nicknameAllowlist: ['arrival'] };
+		expect(checkNickname('arrival', room).flagged).toBe(false);
+	});
+
+});
+
+
+describe('applyNicknamePolicy', () => {
+
+	it.each(COMMON_NAMES)('doesn\'t reject "%s"', (name) => {
+		expect(applyNicknamePolicy(name, { nicknameAction: 'reject' }).ok).toBe(true);
+	});
+
+	it.each(MUST_MASK)('rejects "%s" when the room says to', (name) => {
+		expect(applyNicknamePolicy(name, { nicknameAction: 'reject' }).ok).toBe(false);
+	});
+
+	it('rejects flagged names when the room says to', () => {
+		expect(applyNicknamePolicy('fuuuck', { nicknameAction: 'reject' })).toEqual({ ok: false, nickname: '', flagged: true });
+	});
+
+});
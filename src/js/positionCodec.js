@@ -0,0 +1,180 @@
+/*
+	positionCodec.js
+	----------------
+
+	Encoding & decoding for the compact pen position stream.
+
+	The original protocol had every phone send a full JSON 'update' for every
+	ref change, and the server send OBS the full user list in every 'state'.
+	That's fine for a handful of people, but it's the main bandwidth & GC cost
+	w/ a big audience. So, protocol v2:
+
+	Negotiation:
+		client -> server	{ type: 'hello', ..., proto: 2 }
+		server -> client	{ type: 'welcome', proto: 2 }
+	Until a client sees the welcome, it keeps speaking v1 ('update' / 'state'),
+	so an older backend keeps working.
+
+	User -> server (only the fields that changed since the last frame):
+		{ type: 'u', s, ts, k?, x?, y?, r?, c?, c2?, nc? }
+			s	sequence number (increments per frame, restarts at 1 on reconnect w/ a keyframe)
+			ts	sender's Date.now() when the frame was made
+			k	1 if this is a keyframe (all fields present)
+			x,y	position, quantized to ints 0..POS_SCALE
+			r	rotation in degrees, quantized to ints of 1/THETA_SCALE degree
+			c	color (palette index or hex string)
+			c2	second color, for two-tone sprites (palette index, hex string, or null for "same as c")
+			nc	1 if the user opted out of stage cues that change their color, 0 if not (see stageCues.js)
+
+	Server -> OBS (frames from many users, batched):
+		{ type: 'delta', room, users: [{ id, n?, s, ts, k?, x?, y?, r?, c?, c2?, nc? }, ...], gone?: [id, ...] }
+			id	stable id for the user's connection
+			n	nickname (sent w/ keyframes)
+			gone	ids of users who left
+
+	The server may still send a full { type: 'state' } snapshot at any time
+	(e.g. right after an OBS client says hello).
+*/
+
+// the protocol version we speak
+export const PROTOCOL_VERSION = 2;
+
+// quantization: positions to 1/10000th of the stage, rotation to 1/10th of a degree
+export const POS_SCALE = 10000;
+export const THETA_SCALE = 10;
+
+
+/**
+ * Quantize a normalized 0..1 position to an int
+ *
+ * @param {number} v - normalized position
+ * @returns {number} int 0..POS_SCALE
+ */
+export function quantizePos(v) {
+	return Math.round(Math.max(0, Math.min(1, Number(v) || 0)) * POS_SCALE);
+}
+
+
+/**
+ * Quantize a rotation in degrees to an int
+ *
+ * @param {number} deg - rotation in degrees
+ * @returns {number} int in 1/THETA_SCALE degrees
+ */
+export function quantizeTheta(deg) {
+	return Math.round((Number(deg) || 0) * THETA_SCALE);
+}
+
+
+/**
+ * Build the quantized snapshot of a user's current state, for diffing
+ *
+ * @param {object} state - { x, y, theta, color, color2?, noCues? }
+ * @returns {{x:number, y:number, r:number, c:any, c2?:any, nc?:number}}
+ */
+export function quantizeState({ x, y, theta, color, color2, noCues }) {
+
+	const q = {
+		x: quantizePos(x),
+		y: quantizePos(y),
+		r: quantizeTheta(theta),
+		c: color,
+	};
+
+	// older clients leave this out entirely (null means "same as c")
+	if (color2 !== undefined)
+		q.c2 = color2;
+	if (noCues !== undefined)
+		q.nc = noCues ? 1 : 0;
+
+	return q;
+}
+
+
+/**
+ * Encode a 'u' frame w/ only the fields that changed
+ *
+ * @param {object|null} prev - the last quantized state we sent (null forces a keyframe)
+ * @param {object} next - the current quantized state (from quantizeState)
+ * @param {number} seq - sequence number for this frame
+ * @param {number} [ts=Date.now()] - timestamp for this frame
+ * @returns {object|null} the frame, or null if nothing changed
+ */
+export function encodeUserFrame(prev, next, seq, ts = Date.now()) {
+
+	const frame = { type: 'u', s: seq, ts };
+
+	// keyframe: everything
+	if (!prev) {
+		frame.k = 1;
+		Object.assign(frame, next);
+		return frame;
+	}
+
+	// otherwise just what changed
+	let changed = false;
+	for (const key of ['x', 'y', 'r', 'c', 'c2', 'nc']) {
+		if (prev[key] !== next[key]) {
+			frame[key] = next[key];
+			changed = true;
+		}
+	}
+
+	return changed ? frame : null;
+}
+
+
+/**
+ * Is this a finite number?
+ */
+function isNum(v) {
+	return typeof v === 'number' && Number.isFinite(v);
+}
+
+
+/**
+ * Decode one user frame from a server 'delta' message.
+ * Returns null for anything malformed, so the caller can just skip it.
+ *
+ * @param {object} f - the raw frame
+ * @returns {object|null} { id, seq, ts, keyframe, nickname?, x?, y?, theta?, color?, color2?, noCues? } w/ x/y normalized & theta in degrees
+ */
+export function decodeUserFrame(f) {
+
+	// must have an id & sequence number
+	if (!f || typeof f !== 'object')
+		return null;
+	if (typeof f.id !== 'string' && !isNum(f.id))
+		return null;
+	if (!isNum(f.s))
+		return null;
+
+	// optional fields must be the right type if present
+	if (f.x !== undefined && !isNum(f.x)) return null;
+	if (f.y !== undefined && !isNum(f.y)) return null;
+	if (f.r !== undefined && !isNum(f.r)) return null;
+	if (f.c !== undefined && typeof f.c !== 'number' && typeof f.c !== 'string') return null;
+	if (f.c2 !== undefined && f.c2 !== null && typeof f.c2 !== 'number' && typeof f.c2 !== 'string') return null;
+	if (f.nc !== undefined && !isNum(f.nc) && typeof f.nc !== 'boolean') return null;
+
+	const out = {
+		id: String(f.id),
+		seq: f.s,
+		ts: isNum(f.ts) ? f.ts : null,
+		keyframe: f.k === 1 || f.k === true,
+	};
+
+	if (typeof f.n === 'string') out.nickname = f.n;
+	if (f.x !== undefined) out.x = Math.max(0, Math.min(1, f.x / POS_SCALE));
+	if (f.y !== undefined) out.y = Math.max(0, Math.min(1, f.y / POS_SCALE));
+	if (f.r !== undefined) out.theta = f.r / THETA_SCALE;
+	if (f.c !== undefined) out.color = f.c;
+	if (f.c2 !== undefined) out.color2 = f.c2;
+	if (f.nc !== undefined) out.noCues = f.nc === 1 || f.nc === true;
+
+	// keyframes must be complete
+	if (out.keyframe && (out.x === undefined || out.y === undefined))
+		return null;
+
+	return out;
+}
@@ -0,0 +1,77 @@
+/*
+	positionCodec.test.js
+	---------------------
+
+	Checks the compact position frames round-trip, & that malformed ones are turned away.
+*/
+
+// libs
+import { describe, it, expect } from 'vitest';
+
+// our app
+import { quantizePos, quantizeTheta, quantizeState, encodeUserFrame, decodeUserFrame, POS_SCALE } from './positionCodec.js';
+
+
+describe('quantizePos', () => {
+
+	it('clamps to the stage', () => {
+		expect(quantizePos(0.5)).toBe(POS_SCALE / 2);
+		expect(quantizePos(-0.2)).toBe(0);
+		expect(quantizePos(1.7)).toBe(POS_SCALE);
+	});
+
+	it('treats junk as 0', () => {
+		expect(quantizePos(NaN)).toBe(0);
+		expect(quantizePos('nope')).toBe(0);
+		expect(quantizePos(undefined)).toBe(0);
+	});
+
+	it('quantizes rotation to tenths of a degree', () => {
+		expect(quantizeTheta(12.34)).toBe(123);
+		expect(quantizeTheta(NaN)).toBe(0);
+	});
+
+});
+
+
+describe('encodeUserFrame / decodeUserFrame', () => {
+
+	const state = quantizeState({ x: 0.25, y: 0.75, theta: 45, color: 3 });
+
+	it('sends everything in a keyframe, & only changes after', () => {
+		expect(encodeUserFrame(null, state, 1, 1000)).toEqual({ type: 'u', s: 1, ts: 1000, k: 1, ...state });
+		expect(encodeUserFrame(state, { ...state, x: 1 }, 2, 1016)).toEqual({ type: 'u', s: 2, ts: 1016, x: 1 });
+		expect(encodeUserFrame(state, { ...state }, 3, 1032)).toBeNull();
+	});
+
+	it('round-trips a keyframe', () => {
+		const f = decodeUserFrame({ id: 'a', n: 'Alice', ...encodeUserFrame(null, state, 1, 1000) });
+		expect(f).toEqual({ id: 'a', seq: 1, ts: 1000, keyframe: true, nickname: 'Alice', x: 0.25, y: 0.75, theta: 45, color: 3 });
+	});
+
+	it.each([
+		['null', null],
+		['a number', 42],
+		['a string', 'u'],
+		['an array', ['a', 1, 0, 0]],
+		['no id', { s: 1 }],
+		['an object id', { id: {}, s: 1 }],
+		['no seq', { id: 'a' }],
+		['a string seq', { id: 'a', s: '1' }],
+		['a string x', { id: 'a', s: 1, x: '5000' }],
+		['a NaN y', { id: 'a', s: 1, y: NaN }],
+		['an infinite rotation', { id: 'a', s: 1, r: Infinity }],
+		['an object color', { id: 'a', s: 1, c: { r: 255 } }],
+		['a keyframe w/o a position', { id: 'a', s: 1, k: 1, x: 5000 }],
+	])('turns away %s', (_, raw) => {
+		expect(decodeUserFrame(raw)).toBeNull();
+	});
+
+	it('clamps positions from outside the stage', () => {
+		const f = decodeUserFrame({ id: 1, s: 1, x: -50, y: POS_SCALE * 2 });
+		expect(f.id).toBe('1');
+		expect(f.x).toBe(0);
+		expect(f.y).toBe(1);
+	});
+
+});
@@ -0,0 +1,679 @@
+/*
+	qrCode.js
+	---------
+
+	A small, dependency-free QR code encoder, so the OBS stage & edit page can
+	show a scannable join link w/o calling out to some QR service.
+
+	It only does what we need: byte mode (UTF-8) text, any of the four error
+	correction levels, versions 1-40, & automatic mask selection. The steps
+	follow ISO/IEC 18004 (& the well-known Nayuki reference implementation):
+
+		1. text -> bit stream (mode, length, data, terminator, padding)
+		2. split into blocks, add Reed-Solomon error correction, interleave
+		3. draw finder / timing / alignment / format / version patterns
+		4. zig-zag the codewords into the free modules
+		5. try all 8 masks, keep the one w/ the lowest penalty
+
+	Output is a plain grid of booleans (true = dark), which QrCode.vue turns
+	into an SVG or a PNG.
+*/
+
+// error correction levels: share of the code that can be damaged & still scan
+export const QR_ECC_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// the two bits each level puts in the format info
+const ECC_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// error correction codewords per block, by level & version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = {
+	L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+	M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+	Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+	H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+
+// number of error correction blocks, by level & version (index 0 unused)
+const NUM_ECC_BLOCKS = {
+	L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+	M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+	Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+	H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+
+// penalty weights for mask selection
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+
+/**
+ * Error thrown when text is too long to fit in any QR code
+ */
+export class QrCodeError extends Error {
+
+	/**
+	 * @param {string} message - what went wrong
+	 */
+	constructor(message) {
+		super(message);
+		this.name = 'QrCodeError';
+	}
+}
+
+
+/* ---------- Sizes ---------- */
+
+
+/**
+ * How many modules a version has for data & error correction (i.e. not function patterns)
+ *
+ * @param {number} ver - version, 1..40
+ * @returns {number} module count
+ */
+function numRawDataModules(ver) {
+
+	let result = (16 * ver + 128) * ver + 64;
+	if (ver >= 2) {
+		const numAlign = Math.floor(ver / 7) + 2;
+		result -= (25 * numAlign - 10) * numAlign - 55;
+		if (ver >= 7)
+			result -= 36;
+	}
+	return result;
+}
+
+
+/**
+ * How many data codewords (bytes) fit in a version at a level
+ *
+ * @param {number} ver - version, 1..40
+ * @param {string} ecl - level, one of QR_ECC_LEVELS
+ * @returns {number} byte count
+ */
+function numDataCodewords(ver, ecl) {
+	return Math.floor(numRawDataModules(ver) / 8) - ECC_CODEWORDS_PER_BLOCK[ecl][ver] * NUM_ECC_BLOCKS[ecl][ver];
+}
+
+
+/**
+ * Centers of the alignment patterns along each axis
+ *
+ * @param {number} ver - version, 1..40
+ * @returns {Array<number>} positions
+ */
+function alignmentPositions(ver) {
+
+	if (ver === 1)
+		return [];
+
+	const size = ver * 4 + 17;
+	const numAlign = Math.floor(ver / 7) + 2;
+	const step = Math.floor((ver * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+
+	const result = [6];
+	for (let pos = size - 7; result.length < numAlign; pos -= step)
+		result.splice(1, 0, pos);
+	return result;
+}
+
+
+/* ---------- Reed-Solomon ---------- */
+
+
+/**
+ * Multiply two bytes in GF(2^8) w/ the QR polynomial
+ *
+ * @param {number} x - byte
+ * @param {number} y - byte
+ * @returns {number} product
+ */
+function gfMultiply(x, y) {
+
+	let z = 0;
+	for (let i = 7; i >= 0; i--) {
+		z = (z << 1) ^ ((z >>> 7) * 0x11D);
+		z ^= ((y >>> i) & 1) * x;
+	}
+	return z;
+}
+
+
+/**
+ * The generator polynomial for a number of error correction codewords
+ *
+ * @param {number} degree - error correction codewords per block
+ * @returns {Array<number>} coefficients, highest power first (leading 1 dropped)
+ */
+function rsDivisor(degree) {
+
+	const result = new Array(degree).fill(0);
+	result[degree - 1] = 1;
+
+	let root = 1;
+	for (let i = 0; i < degree; i++) {
+		for (let j = 0; j < result.length; j++) {
+			result[j] = gfMultiply(result[j], root);
+			if (j + 1 < result.length)
+				result[j] ^= result[j + 1];
+		}
+		root = gfMultiply(root, 0x02);
+	}
+	return result;
+}
+
+
+/**
+ * The error correction codewords for a block of data
+ *
+ * @param {Array<number>} data - the block's data codewords
+ * @param {Array<number>} divisor - from rsDivisor()
+ * @returns {Array<number>} error correction codewords
+ */
+function rsRemainder(data, divisor) {
+
+	const result = divisor.map(() => 0);
+	for (const b of data) {
+		const factor = b ^ result.shift();
+		result.push(0);
+		divisor.forEach((coef, i) => result[i] ^= gfMultiply(coef, factor));
+	}
+	return result;
+}
+
+
+/**
+ * Split data into blocks, add error correction & interleave them
+ *
+ * @param {Array<number>} data - data codewords
+ * @param {number} ver - version
+ * @param {string} ecl - level
+ * @returns {Array<number>} all codewords, in the order they're drawn
+ */
+function addEccAndInterleave(data, ver, ecl) {
+
+	const numBlocks = NUM_ECC_BLOCKS[ecl][ver];
+	const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl][ver];
+	const rawCodewords = Math.floor(numRawDataModules(ver) / 8);
+	const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+	const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+	// the last few blocks get one more data byte than the first few
+	const blocks = [];
+	const divisor = rsDivisor(blockEccLen);
+	for (let i = 0, k = 0; i < numBlocks; i++) {
+		const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+		k += dat.length;
+		const ecc = rsRemainder(dat, divisor);
+		if (i < numShortBlocks)
+			dat.push(0);
+		blocks.push(dat.concat(ecc));
+	}
+
+	// take one codeword from each block in turn (skipping the short blocks' padding)
+	const result = [];
+	for (let i = 0; i < blocks[0].length; i++)
+		blocks.forEach((block, j) => {
+			if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks)
+				result.push(block[i]);
+		});
+	return result;
+}
+
+
+/* ---------- Bit stream ---------- */
+
+
+/**
+ * Text -> data codewords for a version & level
+ *
+ * @param {Uint8Array} bytes - the UTF-8 text
+ * @param {number} ver - version
+ * @param {string} ecl - level
+ * @returns {Array<number>|null} the codewords, or null if it doesn't fit
+ */
+function encodeData(bytes, ver, ecl) {
+
+	const capacityBits = numDataCodewords(ver, ecl) * 8;
+	const countBits = ver <= 9 ? 8 : 16;
+	if (4 + countBits + bytes.length * 8 > capacityBits)
+		return null;
+
+	const bits = [];
+	const append = (val, len) => {
+		for (let i = len - 1; i >= 0; i--)
+			bits.push((val >>> i) & 1);
+	};
+
+	// byte mode, length, data
+	append(0b0100, 4);
+	append(bytes.length, countBits);
+	bytes.forEach(b => append(b, 8));
+
+	// terminator, then pad to a whole byte
+	append(0, Math.min(4, capacityBits - bits.length));
+	append(0, (8 - bits.length % 8) % 8);
+
+	// alternate pad bytes to fill the rest
+	for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11)
+		append(pad, 8);
+
+	const codewords = [];
+	for (let i = 0; i < bits.length; i += 8)
+		codewords.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+	return codewords;
+}
+
+
+/* ---------- Drawing ---------- */
+
+
+/**
+ * A QR code being drawn
+ */
+class QrGrid {
+
+	/**
+	 * @param {number} ver - version
+	 * @param {string} ecl - level
+	 */
+	constructor(ver, ecl) {
+
+		this.version = ver;
+		this.ecl = ecl;
+		this.size = ver * 4 + 17;
+
+		// [y][x] -> dark?
+		this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+		// [y][x] -> part of a function pattern (not data, never masked)?
+		this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+		this._drawFunctionPatterns();
+	}
+
+
+	/**
+	 * Set a function pattern module
+	 */
+	_setFunction(x, y, dark) {
+		this.modules[y][x] = dark;
+		this.isFunction[y][x] = true;
+	}
+
+
+	/**
+	 * Finders, separators, timing, alignment, format & version info
+	 */
+	_drawFunctionPatterns() {
+
+		const size = this.size;
+
+		// timing patterns
+		for (let i = 0; i < size; i++) {
+			this._setFunction(6, i, i % 2 === 0);
+			this._setFunction(i, 6, i % 2 === 0);
+		}
+
+		// finders (w/ their separators) in three corners
+		this._drawFinder(3, 3);
+		this._drawFinder(size - 4, 3);
+		this._drawFinder(3, size - 4);
+
+		// alignment patterns, except where they'd hit the finders
+		const pos = alignmentPositions(this.version);
+		const n = pos.length;
+		for (let i = 0; i < n; i++)
+			for (let j = 0; j < n; j++)
+				if (!(i === 0 && j === 0) && !(i === 0 && j === n - 1) && !(i === n - 1 && j === 0))
+					this._drawAlignment(pos[i], pos[j]);
+
+		// reserve the format area (drawn for real once the mask is picked)
+		this.drawFormatBits(0);
+		this._drawVersion();
+	}
+
+
+	/**
+	 * A finder pattern & its light border, centered on (x, y)
+	 */
+	_drawFinder(x, y) {
+
+		for (let dy = -4; dy <= 4; dy++)
+			for (let dx = -4; dx <= 4; dx++) {
+				const dist = Math.max(Math.abs(dx), Math.abs(dy));
+				const xx = x + dx, yy = y + dy;
+				if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size)
+					this._setFunction(xx, yy, dist !== 2 && dist !== 4);
+			}
+	}
+
+
+	/**
+	 * An alignment pattern, centered on (x, y)
+	 */
+	_drawAlignment(x, y) {
+
+		for (let dy = -2; dy <= 2; dy++)
+			for (let dx = -2; dx <= 2; dx++)
+				this._setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+	}
+
+
+	/**
+	 * The level & mask (w/ BCH error correction), in both copies
+	 *
+	 * @param {number} mask - the mask, 0..7
+	 */
+	drawFormatBits(mask) {
+
+		const data = (ECC_FORMAT_BITS[this.ecl] << 3) | mask;
+		let rem = data;
+		for (let i = 0; i < 10; i++)
+			rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+		const bits = ((data << 10) | rem) ^ 0x5412;
+		const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+		// first copy, around the top left finder
+		for (let i = 0; i <= 5; i++)
+			this._setFunction(8, i, bit(i));
+		this._setFunction(8, 7, bit(6));
+		this._setFunction(8, 8, bit(7));
+		this._setFunction(7, 8, bit(8));
+		for (let i = 9; i < 15; i++)
+			this._setFunction(14 - i, 8, bit(i));
+
+		// second copy, split between the other two finders
+		const size = this.size;
+		for (let i = 0; i < 8; i++)
+			this._setFunction(size - 1 - i, 8, bit(i));
+		for (let i = 8; i < 15; i++)
+			this._setFunction(8, size - 15 + i, bit(i));
+
+		// always dark
+		this._setFunction(8, size - 8, true);
+	}
+
+
+	/**
+	 * The version (w/ BCH error correction), for versions 7 & up
+	 */
+	_drawVersion() {
+
+		if (this.version < 7)
+			return;
+
+		let rem = this.version;
+		for (let i = 0; i < 12; i++)
+			rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+		const bits = (this.version << 12) | rem;
+
+		for (let i = 0; i < 18; i++) {
+			const dark = ((bits >>> i) & 1) !== 0;
+			const a = this.size - 11 + i % 3;
+			const b = Math.floor(i / 3);
+			this._setFunction(a, b, dark);
+			this._setFunction(b, a, dark);
+		}
+	}
+
+
+	/**
+	 * Zig-zag the codewords into the data modules, two columns at a time from the bottom right
+	 *
+	 * @param {Array<number>} codewords - from addEccAndInterleave()
+	 */
+	drawCodewords(codewords) {
+
+		const size = this.size;
+		let i = 0;
+		for (let right = size - 1; right >= 1; right -= 2) {
+
+			// skip the vertical timing pattern
+			if (right === 6)
+				right = 5;
+
+			for (let vert = 0; vert < size; vert++)
+				for (let j = 0; j < 2; j++) {
+					const x = right - j;
+					const upward = ((right + 1) & 2) === 0;
+					const y = upward ? size - 1 - vert : vert;
+					if (!this.isFunction[y][x] && i < codewords.length * 8) {
+						this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+						i++;
+					}
+				}
+		}
+	}
+
+
+	/**
+	 * Flip the data modules w/ a mask (applying it twice undoes it)
+	 *
+	 * @param {number} mask - the mask, 0..7
+	 */
+	applyMask(mask) {
+
+		for (let y = 0; y < this.size; y++)
+			for (let x = 0; x < this.size; x++) {
+
+				if (this.isFunction[y][x])
+					continue;
+
+				let invert;
+				switch (mask) {
+					case 0: invert = (x + y) % 2 === 0; break;
+					case 1: invert = y % 2 === 0; break;
+					case 2: invert = x % 3 === 0; break;
+					case 3: invert = (x + y) % 3 === 0; break;
+					case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+					case 5: invert = x * y % 2 + x * y % 3 === 0; break;
+					case 6: invert = (x * y % 2 + x * y % 3) % 2 === 0; break;
+					case 7: invert = ((x + y) % 2 + x * y % 3) % 2 === 0; break;
+				}
+				if (invert)
+					this.modules[y][x] = !this.modules[y][x];
+			}
+	}
+
+
+	/**
+	 * How hard this code is to scan (lower is better)
+	 *
+	 * @returns {number} penalty
+	 */
+	penalty() {
+
+		const size = this.size;
+		const m = this.modules;
+		let result = 0;
+
+		// each row & column, as a line of modules
+		const lines = [];
+		for (let y = 0; y < size; y++)
+			lines.push(m[y]);
+		for (let x = 0; x < size; x++)
+			lines.push(m.map(row => row[x]));
+
+		// finder-like 1:1:3:1:1, w/ 4 light on either side
+		const finderLike = [true, false, true, true, true, false, true];
+		const lightAt = (line, i) => i < 0 || i >= line.length || !line[i];
+
+		for (const line of lines) {
+
+			// runs of 5+ the same color
+			let runColor = line[0], runLen = 1;
+			for (let i = 1; i <= line.length; i++) {
+				if (i < line.length && line[i] === runColor) {
+					runLen++;
+					continue;
+				}
+				if (runLen >= 5)
+					result += PENALTY_N1 + (runLen - 5);
+				runColor = line[i];
+				runLen = 1;
+			}
+
+			for (let i = 0; i + 7 <= line.length; i++) {
+				if (!finderLike.every((v, k) => line[i + k] === v))
+					continue;
+				const before = [1, 2, 3, 4].every(k => lightAt(line, i - k));
+				const after = [0, 1, 2, 3].every(k => lightAt(line, i + 7 + k));
+				if (before || after)
+					result += PENALTY_N3;
+			}
+		}
+
+		// 2x2 blocks of one color
+		for (let y = 0; y < size - 1; y++)
+			for (let x = 0; x < size - 1; x++) {
+				const c = m[y][x];
+				if (c === m[y][x + 1] && c === m[y + 1][x] && c === m[y + 1][x + 1])
+					result += PENALTY_N2;
+			}
+
+		// dark / light balance
+		let dark = 0;
+		for (const row of m)
+			for (const v of row)
+				if (v) dark++;
+		const total = size * size;
+		const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+		result += Math.max(0, k) * PENALTY_N4;
+
+		return result;
+	}
+}
+
+
+/* ---------- Public ---------- */
+
+
+/**
+ * Encode text as a QR code
+ *
+ * @param {string} text - what to encode (e.g. a URL)
+ * @param {object} [options]
+ * @param {string} [options.ecc='M'] - error correction level, one of QR_ECC_LEVELS
+ * @param {number} [options.minVersion=1] - smallest version to use
+ * @returns {{ size: number, version: number, ecc: string, mask: number, modules: Array<Array<boolean>> }} modules[y][x], true = dark
+ * @throws {QrCodeError} if the text won't fit
+ */
+export function encodeQr(text, { ecc = 'M', minVersion = 1 } = {}) {
+
+	if (!QR_ECC_LEVELS.includes(ecc))
+		throw new QrCodeError(`Unknown error correction level: ${ecc}`);
+
+	const bytes = new TextEncoder().encode(String(text ?? ''));
+
+	// smallest version it fits in
+	let version = 0, data = null;
+	for (let v = Math.max(1, Math.trunc(minVersion)); v <= 40 && !data; v++) {
+		data = encodeData(bytes, v, ecc);
+		version = v;
+	}
+	if (!data)
+		throw new QrCodeError('Text is too long for a QR code');
+
+	const grid = new QrGrid(version, ecc);
+	grid.drawCodewords(addEccAndInterleave(data, version, ecc));
+
+	// try every mask & keep the easiest to scan
+	let bestMask = 0, bestPenalty = Infinity;
+	for (let mask = 0; mask < 8; mask++) {
+		grid.applyMask(mask);
+		grid.drawFormatBits(mask);
+		const p = grid.penalty();
+		if (p < bestPenalty) {
+			bestMask = mask;
+			bestPenalty = p;
+		}
+		grid.applyMask(mask);
+	}
+	grid.applyMask(bestMask);
+	grid.drawFormatBits(bestMask);
+
+	return { size: grid.size, version, ecc, mask: bestMask, modules: grid.modules };
+}
+
+
+/**
+ * An SVG path ("d") drawing the dark modules, one unit per module
+ *
+ * @param {{ size: number, modules: Array<Array<boolean>> }} qr - from encodeQr()
+ * @param {number} [border=4] - light modules around the code (4 is the spec's quiet zone)
+ * @returns {string} path data
+ */
+export function qrSvgPath(qr, border = 4) {
+
+	const parts = [];
+	for (let y = 0; y < qr.size; y++)
+		for (let x = 0; x < qr.size; x++)
+			if (qr.modules[y][x])
+				parts.push(`M${x + border},${y + border}h1v1h-1z`);
+	return parts.join('');
+}
+
+
+/**
+ * A version of a color that's dark enough to scan on white
+ * (scanners need the dark modules clearly darker than the light ones)
+ *
+ * @param {string} hex - 6-digit hex, no '#'
+ * @param {number} [maxLuminance=0.3] - darkest allowed relative luminance, 0..1
+ * @returns {string} 6-digit hex, no '#'
+ */
+export function qrInkColor(hex, maxLuminance = 0.3) {
+
+	const n = parseInt(String(hex || '').replace('#', ''), 16);
+	if (!Number.isFinite(n))
+		return '000000';
+
+	let rgb = [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+	const luminance = ([r, g, b]) => {
+		const lin = (c) => {
+			c /= 255;
+			return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+		};
+		return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+	};
+
+	// darken in small steps so the hue stays recognizable
+	while (luminance(rgb) > maxLuminance)
+		rgb = rgb.map(c => Math.floor(c * 0.9));
+
+	return rgb.map(c => c.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+
+/**
+ * Draw a QR code onto a new canvas (for copying / downloading as an image)
+ *
+ * @param {{ size: number, modules: Array<Array<boolean>> }} qr - from encodeQr()
+ * @param {object} [options]
+ * @param {number} [options.scale=8] - px per module
+ * @param {number} [options.border=4] - light modules around the code
+ * @param {string} [options.color='000000'] - dark module color, hex w/o '#'
+ * @param {string} [options.background='FFFFFF'] - light module color, hex w/o '#'
+ * @returns {HTMLCanvasElement}
+ */
+export function qrToCanvas(qr, { scale = 8, border = 4, color = '000000', background = 'FFFFFF' } = {}) {
+
+	const px = (qr.size + border * 2) * scale;
+	const canvas = document.createElement('canvas');
+	canvas.width = px;
+	canvas.height = px;
+
+	const ctx = canvas.getContext('2d');
+	ctx.fillStyle = `#${background}`;
+	ctx.fillRect(0, 0, px, px);
+
+	ctx.fillStyle = `#${color}`;
+	for (let y = 0; y < qr.size; y++)
+		for (let x = 0; x < qr.size; x++)
+			if (qr.modules[y][x])
+				ctx.fillRect((x + border) * scale, (y + border) * scale, scale, scale);
+
+	return canvas;
+}
@@ -0,0 +1,121 @@
+/*
+	reactions.js
+	------------
+
+	Penlights aren't the only thing the audience can send: they can also fire
+	off quick reactions (hearts, stars, "kyaa!"...) that pop out of their pen on
+	the OBS stage.
+
+	The room owner can turn reactions off, pick which ones are allowed, & cap
+	how many can be on the stage at once (reactionsEnabled, reactionSet &
+	reactionMaxOnScreen in the room settings).
+
+	User -> server:
+		{ type: 'react', r }
+			r	one of REACTION_IDS
+	Server -> OBS & mods:
+		{ type: 'reaction', room, id, r }
+			id	the user's id (the same one their pen frames use)
+
+	The server drops reactions the room doesn't allow, & anything over the rate
+	limit below. Phones hold themselves to the same limit, so buttons can show
+	when they're cooling down instead of silently doing nothing.
+*/
+
+// our app
+import { REACTION_IDS } from './roomSettingsSchema.js';
+
+// how each reaction looks (emoji, or a short bit of text)
+export const REACTIONS = {
+	heart: { label: 'Heart', glyph: '❤️' },
+	star: { label: 'Star', glyph: '⭐' },
+	sparkle: { label: 'Sparkle', glyph: '✨' },
+	clap: { label: 'Clap', glyph: '👏' },
+	fire: { label: 'Fire', glyph: '🔥' },
+	kyaa: { label: 'Kyaa!', text: 'kyaa!', color: 'FF6FB5' },
+	kawaii: { label: 'Kawaii!', text: 'kawaii!', color: 'FFB0D9' },
+	encore: { label: 'Encore!', text: 'encore!', color: 'FFD84A' },
+};
+
+// how long a reaction's particles stay on screen
+export const REACTION_LIFE_MS = 1600;
+
+// the rate limit: a burst of this many, then this many per second
+export const REACTION_BURST = 5;
+export const REACTION_PER_SEC = 2;
+
+
+/**
+ * The allowed reactions for a room, in display order
+ *
+ * @param {object} room - the room settings
+ * @returns {Array<string>} reaction ids (empty if reactions are off)
+ */
+export function allowedReactions(room) {
+
+	if (!room || room.reactionsEnabled === false)
+		return [];
+
+	const set = Array.isArray(room.reactionSet) ? room.reactionSet : REACTION_IDS;
+	return REACTION_IDS.filter(id => set.includes(id));
+}
+
+
+/**
+ * A token bucket, for rate limiting reactions (on the phone & on the server)
+ */
+export class ReactionLimiter {
+
+	/**
+	 * @param {object} [options]
+	 * @param {number} [options.burst=REACTION_BURST] - how many can be sent back to back
+	 * @param {number} [options.perSecond=REACTION_PER_SEC] - how fast the bucket refills
+	 */
+	constructor({ burst = REACTION_BURST, perSecond = REACTION_PER_SEC } = {}) {
+		this.burst = burst;
+		this.perSecond = perSecond;
+		this._tokens = burst;
+		this._at = 0;
+	}
+
+
+	/**
+	 * Top the bucket up for the time that's passed
+	 *
+	 * @param {number} nowMs - current time
+	 */
+	_refill(nowMs) {
+		if (this._at)
+			this._tokens = Math.min(this.burst, this._tokens + (nowMs - this._at) * this.perSecond / 1000);
+		this._at = nowMs;
+	}
+
+
+	/**
+	 * Use up one reaction, if there's one left
+	 *
+	 * @param {number} [nowMs=Date.now()] - current time
+	 * @returns {boolean} true if it's allowed
+	 */
+	take(nowMs = Date.now()) {
+
+		this._refill(nowMs);
+		if (this._tokens < 1)
+			return false;
+
+		this._tokens -= 1;
+		return true;
+	}
+
+
+	/**
+	 * How long until the next reaction is allowed
+	 *
+	 * @param {number} [nowMs=Date.now()] - current time
+	 * @returns {number} ms (0 if one's allowed now)
+	 */
+	waitMs(nowMs = Date.now()) {
+		this._refill(nowMs);
+		return this._tokens >= 1 ? 0 : Math.ceil((1 - this._tokens) * 1000 / this.perSecond);
+	}
+}
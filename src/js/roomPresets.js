@@ -0,0 +1,399 @@
+/*
+	roomPresets.js
+	--------------
+
+	Room presets: a room's look & feel (palette, sprite, trails, overlay...)
+	saved as a JSON file, so it can be reused for another room.
+
+	A preset file looks like:
+
+		{
+			format: 'pen.lighting-preset',
+			presetVersion: 1,
+			name: 'My Stream',
+			exportedAt: '2026-01-01T00:00:00.000Z',
+			settings: { settingsVersion: 3, themeColor: '00ABAE', ... }
+		}
+
+	There are two versions to worry about:
+		- presetVersion is the file's wrapper (see presetMigrations below)
+		- settings.settingsVersion is the room settings shape, which is migrated
+		  by roomSettingsSchema.js like any other settings payload
+
+	Some settings belong to a room, not a look (its name, password & wave clock),
+	so they're never exported & never overwritten by an import.
+
+	Also has the built-in starter presets, & a diff for showing what an import
+	will change before it's applied.
+
+	Used by RoomPresets.vue
+*/
+
+// our app
+import { parseRoomSettings, defaultRoomSettings, RoomSettingsError } from './roomSettingsSchema.js';
+
+// what's in the "format" field of every preset file
+export const PRESET_FORMAT = 'pen.lighting-preset';
+
+// the current version of the preset wrapper
+export const PRESET_VERSION = 1;
+
+// the biggest preset file we'll read (settings + an embedded sprite sheet, w/ room to spare)
+export const MAX_PRESET_FILE_BYTES = 4 * 1024 * 1024;
+
+// settings that belong to the room, not the preset
+export const PRESET_EXCLUDED_FIELDS = ['name', 'password', 'waveEpoch'];
+
+
+/**
+ * Error thrown when a preset file can't be used (message is safe to show the user)
+ */
+export class PresetError extends Error {
+
+	/**
+	 * @param {string} message - what's wrong, in plain words
+	 */
+	constructor(message) {
+		super(message);
+		this.name = 'PresetError';
+	}
+}
+
+
+/**
+ * Upgrades the preset wrapper, one version at a time.
+ * Each takes the file at version N & returns it at version N + 1.
+ */
+const presetMigrations = {
+
+	// 0: a bare settings object (hand-written, or copied out of the network tab)
+	0: (data) => ({
+		format: PRESET_FORMAT,
+		presetVersion: 1,
+		name: typeof data.name === 'string' ? data.name : '',
+		settings: data,
+	}),
+};
+
+
+/**
+ * Copy of the settings w/o the room-only fields
+ *
+ * @param {object} settings - room settings
+ * @returns {object} the preset-able settings
+ */
+function stripRoomFields(settings) {
+
+	const out = { ...settings };
+	for (const k of PRESET_EXCLUDED_FIELDS)
+		delete out[k];
+	return out;
+}
+
+
+/**
+ * Build a preset file object from the current room settings
+ *
+ * @param {object} settings - the RoomForm model
+ * @param {string} [name] - a name for the preset (defaults to the room's name)
+ * @returns {object} the preset, ready for JSON.stringify
+ * @throws {RoomSettingsError} if the settings aren't valid
+ */
+export function buildPreset(settings, name) {
+
+	// validate first, so we never hand out a file we couldn't import again
+	const parsed = parseRoomSettings(settings, 'the form');
+
+	return {
+		format: PRESET_FORMAT,
+		presetVersion: PRESET_VERSION,
+		name: String(name ?? parsed.name ?? '').trim(),
+		exportedAt: new Date().toISOString(),
+		settings: stripRoomFields(parsed),
+	};
+}
+
+
+/**
+ * A file name for a preset, e.g. 'my-stream.penlight-preset.json'
+ *
+ * @param {string} name - the preset name
+ * @returns {string} the file name
+ */
+export function presetFileName(name) {
+
+	const slug = String(name || '')
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '-')
+		.replace(/^-+|-+$/g, '')
+		.slice(0, 48);
+
+	return `${slug || 'room'}.penlight-preset.json`;
+}
+
+
+/**
+ * Download the current settings as a preset file
+ *
+ * @param {object} settings - the RoomForm model
+ * @param {string} [name] - a name for the preset
+ * @throws {RoomSettingsError} if the settings aren't valid
+ */
+export function downloadPreset(settings, name) {
+
+	const preset = buildPreset(settings, name);
+	const blob = new Blob([JSON.stringify(preset, null, '\t')], { type: 'application/json' });
+	const url = URL.createObjectURL(blob);
+
+	const a = document.createElement('a');
+	a.href = url;
+	a.download = presetFileName(preset.name);
+	document.body.appendChild(a);
+	a.click();
+	a.remove();
+
+	// give the browser a moment to start the download before letting go of the blob
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+
+/**
+ * Migrate & validate a parsed preset file
+ *
+ * @param {any} raw - the JSON from the file
+ * @returns {{ name: string, presetVersion: number, settings: object }} presetVersion is the file's original version
+ * @throws {PresetError}
+ */
+export function parsePreset(raw) {
+
+	if (raw == null || typeof raw !== 'object' || Array.isArray(raw))
+		throw new PresetError('That file isn\'t a preset.');
+
+	// no wrapper means it's just settings (version 0)
+	const isWrapped = raw.format !== undefined || raw.presetVersion !== undefined;
+	if (isWrapped && raw.format !== PRESET_FORMAT)
+		throw new PresetError('That file isn\'t a pen.lighting preset.');
+
+	const fromVersion = isWrapped ? Math.trunc(Number(raw.presetVersion)) : 0;
+	if (!Number.isFinite(fromVersion) || fromVersion < 0)
+		throw new PresetError('That preset has a broken version number.');
+	if (fromVersion > PRESET_VERSION)
+		throw new PresetError('That preset was made by a newer version of the site. Try refreshing the page.');
+
+	let data = raw;
+	for (let v = fromVersion; v < PRESET_VERSION; v++)
+		data = presetMigrations[v](data);
+
+	if (data.settings == null || typeof data.settings !== 'object')
+		throw new PresetError('That preset has no settings in it.');
+
+	// the settings themselves are versioned separately & migrated by the schema
+	let settings;
+	try {
+		settings = parseRoomSettings(stripRoomFields(data.settings), 'the preset');
+	} catch (err) {
+		if (err instanceof RoomSettingsError)
+			throw new PresetError(err.message);
+		throw err;
+	}
+
+	return {
+		name: typeof data.name === 'string' ? data.name.slice(0, 64) : '',
+		presetVersion: fromVersion,
+		settings: stripRoomFields(settings),
+	};
+}
+
+
+/**
+ * Read, migrate & validate a preset file the user picked
+ *
+ * @param {File} file - the picked file
+ * @returns {Promise<{ name: string, presetVersion: number, settings: object }>}
+ * @throws {PresetError}
+ */
+export async function readPresetFile(file) {
+
+	if (!file)
+		throw new PresetError('No file picked.');
+	if (file.size > MAX_PRESET_FILE_BYTES)
+		throw new PresetError('That file is too big to be a preset.');
+
+	let raw;
+	try {
+		raw = JSON.parse(await file.text());
+	} catch {
+		throw new PresetError('That file isn\'t valid JSON.');
+	}
+
+	return parsePreset(raw);
+}
+
+
+/**
+ * Turn 'penTrailsDecay' into 'Pen Trails Decay'
+ *
+ * @param {string} field - a settings key
+ * @returns {string} a readable label
+ */
+function fieldLabel(field) {
+	const words = field.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+	return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+
+/**
+ * Short readable version of a setting's value, for the diff
+ *
+ * @param {string} field - the settings key
+ * @param {any} value - the value
+ * @returns {string} e.g. '#00ABAE', 'on', 'image (12 KB)'
+ */
+export function formatPresetValue(field, value) {
+
+	if (value == null || value === '')
+		return 'none';
+	if (typeof value === 'boolean')
+		return value ? 'on' : 'off';
+	if (field === 'penlightSprite')
+		return `image (${Math.round(String(value).length * 0.75 / 1024)} KB)`;
+	if (field === 'penColors' || field === 'themeColor' || field === 'penMaskReplacementColor')
+		return [].concat(value).map(c => `#${c}`).join(' ') || 'none';
+	if (field === 'cueList')
+		return value.length ? value.map(c => c.label || c.kind).join(', ') : 'none';
+	if (Array.isArray(value))
+		return value.length ? value.join(', ') : 'none';
+	return String(value);
+}
+
+
+/**
+ * What applying some settings would change
+ *
+ * @param {object} current - the current RoomForm model
+ * @param {object} incoming - the preset's settings
+ * @returns {Array<{ field: string, label: string, from: string, to: string }>} one entry per changed setting
+ */
+export function diffSettings(current, incoming) {
+
+	const changes = [];
+	for (const [field, to] of Object.entries(incoming)) {
+
+		if (PRESET_EXCLUDED_FIELDS.includes(field) || field === 'settingsVersion')
+			continue;
+
+		const from = current?.[field];
+		if (JSON.stringify(from) === JSON.stringify(to))
+			continue;
+
+		changes.push({
+			field,
+			label: fieldLabel(field),
+			from: formatPresetValue(field, from),
+			to: formatPresetValue(field, to),
+		});
+	}
+
+	return changes;
+}
+
+
+/**
+ * Copy a preset's settings onto the RoomForm model (room-only fields are left alone)
+ *
+ * @param {object} model - the RoomForm model (mutated)
+ * @param {object} settings - the preset's settings
+ */
+export function applyPresetSettings(model, settings) {
+
+	const clean = stripRoomFields(settings);
+
+	// arrays are copied so editing the room never edits the preset
+	for (const [k, v] of Object.entries(clean))
+		model[k] = Array.isArray(v) ? [...v] : v;
+}
+
+
+/**
+ * The starter presets that ship w/ the app.
+ * Only the interesting fields are listed - everything else is the default.
+ */
+const STARTER_PRESETS = [
+	{
+		id: 'idol-live',
+		name: 'Idol Live',
+		description: 'Bright pastel palette, bouncy side-to-side wave & ghost trails.',
+		settings: {
+			themeColor: 'FF6DB3',
+			penColors: ['FF6DB3', 'FFD166', '3DCFD9', 'B28DFF', 'FFFFFF'],
+			penScale: 1.1,
+			penTrails: true,
+			penTrailsStyle: 'ghost',
+			penTrailsIntensity: 0.6,
+			waveBpm: 160,
+			wavePattern: 'side-to-side',
+		},
+	},
+	{
+		id: 'rock-arena',
+		name: 'Rock Arena',
+		description: 'Hot reds & whites, long ribbon streaks, overhead claps.',
+		settings: {
+			themeColor: 'E54848',
+			penColors: ['E54848', 'FF9F1C', 'FFFFFF'],
+			penScale: 1.2,
+			penTrails: true,
+			penTrailsStyle: 'ribbon',
+			penTrailsIntensity: 0.8,
+			penTrailsDecay: 0.9,
+			waveBpm: 180,
+			wavePattern: 'overhead-clap',
+			maxConcurrent: 300,
+			renderer: 'canvas',
+		},
+	},
+	{
+		id: 'chill-stream',
+		name: 'Chill Stream',
+		description: 'Cool blues, any color allowed, soft sparkles & a slow sway.',
+		settings: {
+			themeColor: '4787C3',
+			penColors: ['4787C3', '00ABAE', 'A0E7E5', 'B4F8C8'],
+			allowAnyColor: true,
+			penScale: 0.9,
+			penTrails: true,
+			penTrailsStyle: 'sparkle',
+			penTrailsIntensity: 0.4,
+			penTrailsDecay: 0.6,
+			waveBpm: 80,
+			wavePattern: 'figure-eight',
+		},
+	},
+	{
+		id: 'minimal',
+		name: 'Minimal',
+		description: 'The defaults: no palette, no trails, code hidden.',
+		settings: {
+			penTrails: false,
+			showCode: 'hidden',
+			showConnectionStatus: false,
+		},
+	},
+];
+
+
+/**
+ * The built-in starter presets, fully parsed (so they diff & apply like an imported file)
+ *
+ * @returns {Array<{ id: string, name: string, description: string, settings: object }>}
+ */
+export function starterPresets() {
+
+	const defaults = defaultRoomSettings();
+	return STARTER_PRESETS.map(p => ({
+		id: p.id,
+		name: p.name,
+		description: p.description,
+		settings: stripRoomFields(parseRoomSettings({ ...defaults, ...p.settings }, `the ${p.name} preset`)),
+	}));
+}
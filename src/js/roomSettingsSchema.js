@@ -0,0 +1,665 @@
+/*
+	roomSettingsSchema.js
+	---------------------
+
+	The one source of truth for what a room's settings look like.
+
+	This is used by:
+		- RoomForm / CreateRoomView / EditRoomView for defaults & validation
+		- useRoomDetails for checking the /rooms responses
+		- OBSRoomState & UserRoomState for checking socket payloads (settings, state, stage, moderation, cues & reactions)
+
+	Settings are versioned. Older payloads (from rooms created before a change)
+	are run through the migrations below before being validated, so the rest of
+	the app only ever sees the current shape.
+
+	NOTE: the backend doesn't necessarily store settingsVersion, so the same
+	payload may be migrated more than once - migrations must be idempotent.
+*/
+
+// libs
+import { z } from 'zod';
+
+// the current version of the room settings shape
+export const ROOM_SETTINGS_VERSION = 3;
+
+// valid values for where the room code (& its QR code) shows on the OBS stage
+export const SHOW_CODE_POSITIONS = ['hidden', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// how the OBS stage draws penlights: one DOM element per pen, or all of them on one canvas
+export const PEN_RENDERERS = ['dom', 'canvas'];
+
+// how pens are laid out on the OBS stage (see stageMapping.js)
+export const STAGE_LAYOUTS = ['flat', 'arena', 'seated'];
+
+// how the seats are laid out in the seated layout: straight rows, or rows that curve round the stage
+export const SEAT_ARRANGEMENTS = ['grid', 'curved'];
+
+// pen trail styles: sprite ghosting, smooth ribbon streaks, or sparkle particles
+export const TRAIL_STYLES = ['ghost', 'ribbon', 'sparkle'];
+
+// how animated sprites play: off the shared clock, or only while each pen moves (see spriteSheet.js)
+export const SPRITE_ANIMATE_MODES = ['time', 'movement'];
+
+// the most frames an animated sprite can have (the sheet lives in the settings, so it can't be huge)
+export const MAX_SPRITE_FRAMES = 16;
+
+// auto wave patterns the streamer can pick for the audience
+export const WAVE_PATTERNS = ['side-to-side', 'up-down', 'circle', 'figure-eight', 'overhead-clap'];
+
+// what happens to a flagged nickname (see nicknamePolicy.js)
+export const NICKNAME_ACTIONS = ['mask', 'reject', 'guest'];
+
+// reactions the audience can send (see reactions.js)
+export const REACTION_IDS = ['heart', 'star', 'sparkle', 'clap', 'fire', 'kyaa', 'kawaii', 'encore'];
+
+// stage cues the streamer can send the whole room (see stageCues.js)
+export const CUE_KINDS = ['color', 'wave', 'blackout', 'rainbow', 'burst'];
+
+// the longest a cue can run (0 means "until the streamer ends it"), & the longest countdown before one
+export const MAX_CUE_MS = 10 * 60 * 1000;
+export const MAX_CUE_DELAY_MS = 10000;
+
+// the most cues a room can save in its cue list
+export const MAX_SAVED_CUES = 24;
+
+// validation bits shared w/ the form
+const HEX6 = /^[0-9A-F]{6}$/;
+const NAME_RE = /^[0-9a-zA-Z,.! ]*$/;
+
+// relaxed “default” special symbols + alnum + space
+const PASS_RE = /^[0-9A-Za-z ,.!\-_=+@#$%^&*(){}\[\]|\\:;"'<>,.?/~`]*$/;
+
+
+/**
+ * Error thrown when room settings (or a room payload) fails validation
+ */
+export class RoomSettingsError extends Error {
+
+	/**
+	 * @param {string} source - where the bad data came from (e.g. 'GET /rooms/ABC123')
+	 * @param {z.ZodError} zodError - the underlying zod error
+	 */
+	constructor(source, zodError) {
+
+		super(`Invalid room settings from ${source}:\n${z.prettifyError(zodError)}`);
+		this.name = 'RoomSettingsError';
+		this.source = source;
+		this.issues = zodError.issues;
+	}
+}
+
+
+/**
+ * Normalize a hex color to 6-char uppercase, no '#'. Leaves junk alone so the schema can reject it.
+ *
+ * @param {any} v - the input value
+ * @returns {any} normalized string, or the original value if not a string/number
+ */
+function normalizeHex(v) {
+
+	// handle color as number
+	if (typeof v === 'number')
+		v = (v >>> 0).toString(16).padStart(6, '0');
+
+	if (typeof v !== 'string')
+		return v;
+
+	// trim, strip '#', uppercase & expand 3-char to 6-char
+	v = v.trim().replace(/^#/, '').toUpperCase();
+	if (v.length === 3)
+		v = v.split('').map(c => c + c).join('');
+
+	return v;
+}
+
+
+/**
+ * Number that is coerced from strings & clamped into range, rather than rejected
+ *
+ * @param {number} min - minimum value
+ * @param {number} max - maximum value
+ * @param {number} def - default value
+ */
+function clampedNumber(min, max, def) {
+	return z.coerce.number()
+		.refine(Number.isFinite, 'Expected a number')
+		.transform(v => Math.max(min, Math.min(max, v)))
+		.default(def);
+}
+
+
+/**
+ * Booleans that may arrive as strings or numbers from older rooms
+ *
+ * @param {boolean} def - default value
+ */
+function looseBoolean(def) {
+	return z.preprocess(
+		v => (v === 'true' || v === '1' || v === 1) ? true : (v === 'false' || v === '0' || v === 0) ? false : v,
+		z.boolean()
+	).default(def);
+}
+
+
+/**
+ * A list of words, which may arrive as one comma / newline separated string (from the form)
+ *
+ * @param {number} maxWords - most words allowed
+ */
+function wordList(maxWords) {
+	return z.preprocess(
+		v => typeof v === 'string' ? v.split(/[,\n]/) : v,
+		z.array(z.string().trim().max(32, 'Max 32 characters per word'))
+			.transform(words => [...new Set(words.filter(Boolean))])
+			.refine(words => words.length <= maxWords, `Max ${maxWords} words`)
+	).default(() => []);
+}
+
+
+// a single hex color, e.g. '00ABAE'
+const hexColor = z.preprocess(normalizeHex, z.string().regex(HEX6, 'Expected a 6-digit hex color'));
+
+
+/**
+ * One stage cue, as saved in a room's cue list or sent by the streamer.
+ * Fields a kind doesn't use are still filled in, so the shape never changes.
+ */
+export const cueSchema = z.object({
+	kind: z.enum(CUE_KINDS, { error: `Expected one of: ${CUE_KINDS.join(', ')}` }),
+	label: z.string().trim().max(32, 'Max 32 characters').default(''),
+	color: clampedNumber(0, 63, 0).transform(Math.trunc),		// palette index, for 'color'
+	pattern: z.enum(WAVE_PATTERNS, { error: `Expected one of: ${WAVE_PATTERNS.join(', ')}` }).default('side-to-side'),	// for 'wave'
+	durationMs: clampedNumber(0, MAX_CUE_MS, 8000).transform(Math.round),
+	delayMs: clampedNumber(0, MAX_CUE_DELAY_MS, 0).transform(Math.round),
+});
+
+
+/**
+ * Field-by-field schema of the user-editable room settings
+ */
+export const roomSettingsSchema = z.object({
+
+	// versioning
+	settingsVersion: z.literal(ROOM_SETTINGS_VERSION).default(ROOM_SETTINGS_VERSION),
+
+	// general room settings
+	name: z.string()
+		.max(64, 'Max 64 characters')
+		.regex(NAME_RE, 'Only 0-9 a-z A-Z , . ! and space; max 64 chars')
+		.default(''),
+	password: z.string()
+		.max(64, 'Invalid characters or length > 64')
+		.regex(PASS_RE, 'Invalid characters or length > 64')
+		.default(''),
+
+	// obs display
+	themeColor: hexColor.default('00ABAE'),
+	showCode: z.enum(SHOW_CODE_POSITIONS, { error: `Expected one of: ${SHOW_CODE_POSITIONS.join(', ')}` }).default('bottom-left'),
+	showCodeScale: clampedNumber(0.1, 5, 1),
+	showQr: z.enum(SHOW_CODE_POSITIONS, { error: `Expected one of: ${SHOW_CODE_POSITIONS.join(', ')}` }).default('hidden'),	// a QR code of the join link
+	showQrScale: clampedNumber(0.1, 5, 1),
+	maxConcurrent: clampedNumber(1, 10000, 100).transform(Math.trunc),
+	showConnectionStatus: looseBoolean(true),
+	renderer: z.enum(PEN_RENDERERS, { error: `Expected one of: ${PEN_RENDERERS.join(', ')}` }).default('dom'),
+	stageLayout: z.enum(STAGE_LAYOUTS, { error: `Expected one of: ${STAGE_LAYOUTS.join(', ')}` }).default('flat'),
+	arenaHorizon: clampedNumber(0, 0.9, 0.3),		// where the back row of the crowd is (fraction of stage height, from the top)
+	arenaBandHeight: clampedNumber(0.1, 1, 0.7),	// how much of the stage height the crowd fills, from the back row down
+	seatArrangement: z.enum(SEAT_ARRANGEMENTS, { error: `Expected one of: ${SEAT_ARRANGEMENTS.join(', ')}` }).default('curved'),
+	seatRows: clampedNumber(1, 20, 3).transform(Math.trunc),
+	seatsPerRow: clampedNumber(1, 60, 12).transform(Math.trunc),
+	seatRegionX: clampedNumber(0, 0.9, 0.05),		// the seating area, as fractions of the stage (from the top left)
+	seatRegionY: clampedNumber(0, 0.9, 0.5),
+	seatRegionW: clampedNumber(0.1, 1, 0.9),
+	seatRegionH: clampedNumber(0.1, 1, 0.45),
+	seatSway: clampedNumber(0, 1, 0.5),				// how far pens can sway & tilt around their seat
+
+	// pen settings
+	penColors: z.array(hexColor).default(() => []),
+	allowAnyColor: looseBoolean(false),
+	penlightSprite: z.string().startsWith('data:image/', 'Sprite must be an embedded image').nullable().default(null),
+	penlightSpriteFrames: clampedNumber(1, MAX_SPRITE_FRAMES, 1).transform(Math.trunc),
+	penlightSpriteFps: clampedNumber(1, 30, 8),
+	penlightSpriteAnimate: z.enum(SPRITE_ANIMATE_MODES, { error: `Expected one of: ${SPRITE_ANIMATE_MODES.join(', ')}` }).default('time'),
+	penMaskTolerance: clampedNumber(0, 441, 128).transform(Math.round),	// how close to a key color a pixel has to be (see usePenMasking)
+	penMaskReplacementColor: hexColor.default('DDDDDD'),				// what tinted pixels turn into under the glow
+	penScale: clampedNumber(0.1, 5, 1),
+	penTrails: looseBoolean(true),
+	penTrailsIntensity: clampedNumber(0.1, 1, 0.5),
+	penTrailsDecay: clampedNumber(0.1, 1, 0.8),
+	penTrailsStyle: z.enum(TRAIL_STYLES, { error: `Expected one of: ${TRAIL_STYLES.join(', ')}` }).default('ghost'),
+
+	// auto wave (beat 0 is at waveEpoch, a Date.now() timestamp, so every phone waves in sync)
+	waveBpm: clampedNumber(40, 240, 140),
+	wavePattern: z.enum(WAVE_PATTERNS, { error: `Expected one of: ${WAVE_PATTERNS.join(', ')}` }).default('side-to-side'),
+	waveEpoch: clampedNumber(0, Number.MAX_SAFE_INTEGER, 0).transform(Math.trunc),
+
+	// audience reactions (which ones are allowed, & how many can be on the stage at once)
+	reactionsEnabled: looseBoolean(true),
+	reactionSet: z.array(z.enum(REACTION_IDS, { error: `Expected one of: ${REACTION_IDS.join(', ')}` }))
+		.transform(ids => [...new Set(ids)])
+		.default(() => [...REACTION_IDS]),
+	reactionMaxOnScreen: clampedNumber(1, 200, 40).transform(Math.trunc),
+
+	// nickname policy (built-in list + these, see nicknamePolicy.js)
+	nicknameAction: z.enum(NICKNAME_ACTIONS, { error: `Expected one of: ${NICKNAME_ACTIONS.join(', ')}` }).default('mask'),
+	nicknameBlocklist: wordList(200),
+	nicknameAllowlist: wordList(200),
+
+	// the streamer's saved stage cues, for sending from the edit page
+	cueList: z.array(cueSchema).max(MAX_SAVED_CUES, `Max ${MAX_SAVED_CUES} cues`).default(() => []),
+
+	// deprecated pen settings
+	duplicateUsers: looseBoolean(false),
+	duplicationThreshold: clampedNumber(1, 100, 10).transform(Math.trunc),
+});
+
+
+/**
+ * Public room payload from GET /rooms/:code (settings + a few server-side extras)
+ */
+export const roomResponseSchema = roomSettingsSchema.extend({
+	code: z.string().min(1, 'Missing room code'),
+	isProtected: looseBoolean(false),
+	pwLength: z.coerce.number().nullable().optional(),
+});
+
+
+/**
+ * Owner payload from POST /rooms/:code/edit (includes the edit code)
+ */
+export const roomEditResponseSchema = roomResponseSchema.extend({
+	editCode: z.string().min(1, 'Missing edit code'),
+});
+
+
+/**
+ * Response from POST /rooms when creating a room
+ */
+export const roomCreateResponseSchema = z.object({
+	code: z.string().min(1, 'Missing room code'),
+	editCode: z.string().min(1, 'Missing edit code'),
+});
+
+
+/**
+ * A single user as sent in the OBS 'state' socket message
+ */
+export const stateUserSchema = z.object({
+	id: z.union([z.string(), z.number()]).optional(),
+	nickname: z.string().default(''),
+	x: z.coerce.number().default(0.5),
+	y: z.coerce.number().default(0.5),
+	theta: z.coerce.number().default(0),
+	color: z.union([z.number(), z.string()]).optional(),
+	color2: z.union([z.number(), z.string()]).nullish(),
+	noCues: looseBoolean(false),	// opted out of cues that change their color
+}).loose();
+
+
+/**
+ * The 'state' socket message (full list of users in the room)
+ */
+export const stateMessageSchema = z.object({
+	type: z.literal('state'),
+	room: z.string(),
+	users: z.array(stateUserSchema),
+}).loose();
+
+
+/**
+ * The 'stage' socket message: the OBS source's real stage size & pen size (css px),
+ * so phones can show a matching rectangle
+ */
+export const stageMessageSchema = z.object({
+	type: z.literal('stage'),
+	w: z.number().positive().finite(),
+	h: z.number().positive().finite(),
+	penSize: z.number().positive().finite(),
+}).loose();
+
+
+/**
+ * The 'seat' socket message: the phone's seat in the seated layout, as the OBS
+ * page gave it out (see SeatingChart.js), or null if it hasn't got one
+ */
+export const seatMessageSchema = z.object({
+	type: z.literal('seat'),
+	seat: z.object({
+		slot: z.number().int().min(0),
+		rows: z.number().int().min(1),
+		perRow: z.number().int().min(1),
+	}).refine(s => s.slot < s.rows * s.perRow, 'Expected the slot to be in the grid').nullable(),
+}).loose();
+
+
+/**
+ * The 'moderation' socket message: who's hidden / renamed (& for mods, who's banned).
+ * See moderation.js for the protocol.
+ */
+export const moderationMessageSchema = z.object({
+	type: z.literal('moderation'),
+	hidden: z.array(z.union([z.string(), z.number()]).transform(String)).default([]),
+	renamed: z.record(z.string(), z.string()).default({}),
+	bans: z.object({
+		sessions: z.array(z.object({
+			session: z.string(),
+			nickname: z.string().default(''),
+		})).default([]),
+		nicknames: z.array(z.string()).default([]),
+	}).default({ sessions: [], nicknames: [] }),
+}).loose();
+
+
+/**
+ * The 'reaction' socket message: a user sent a reaction. See reactions.js for the protocol.
+ */
+export const reactionMessageSchema = z.object({
+	type: z.literal('reaction'),
+	id: z.union([z.string(), z.number()]).transform(String),
+	r: z.enum(REACTION_IDS),
+}).loose();
+
+
+/**
+ * The 'cue' socket message: the cue that's running (or counting down) in the room,
+ * or null once it's been ended. See stageCues.js for the protocol.
+ */
+export const cueMessageSchema = z.object({
+	type: z.literal('cue'),
+	cue: cueSchema.extend({
+		id: z.string().min(1),
+		startAt: z.number().finite(),	// wall-clock time the cue kicks in (after the countdown)
+	}).nullable(),
+}).loose();
+
+
+/**
+ * Migrations, keyed by the version they upgrade *from*.
+ * Each takes a plain object & returns the next version's plain object.
+ */
+const migrations = {
+
+	// v1: the original, unversioned settings
+	1: (data) => {
+
+		const out = { ...data };
+
+		// showCode used to be a plain on/off flag
+		if (out.showCode === true) out.showCode = 'bottom-left';
+		if (out.showCode === false) out.showCode = 'hidden';
+
+		// duplicateUsers is deprecated: it only stays on if a threshold was actually set
+		if (out.duplicateUsers && !(Number(out.duplicationThreshold) > 0))
+			out.duplicateUsers = false;
+
+		// empty sprite strings meant "no sprite"
+		if (out.penlightSprite === '') out.penlightSprite = null;
+
+		out.settingsVersion = 2;
+		return out;
+	},
+
+	// v2: settings added since just take their defaults
+	2: (data) => {
+
+		const out = { ...data };
+
+		// the mask tolerance used to default to 255, which tinted outlines & shading too
+		// (w/o a settingsVersion we can't tell that from a picked 255, so it's read as the old default)
+		if (Number(out.penMaskTolerance) === 255) out.penMaskTolerance = 128;
+
+		out.settingsVersion = 3;
+		return out;
+	},
+};
+
+
+/**
+ * Upgrades a raw settings object to the current version.
+ * Null values are dropped so the schema defaults can fill them in.
+ *
+ * @param {object} raw - raw settings as received from anywhere
+ * @returns {object} a new object in the current version's shape (not yet validated)
+ */
+export function migrateRoomSettings(raw) {
+
+	// drop nulls (except the sprite, where null is meaningful)
+	let data = {};
+	for (const [k, v] of Object.entries(raw || {}))
+		if (v != null || k === 'penlightSprite') data[k] = v;
+
+	// unversioned == v1
+	let version = Number(data.settingsVersion) || 1;
+	while (version < ROOM_SETTINGS_VERSION) {
+		data = migrations[version](data);
+		version++;
+	}
+
+	return data;
+}
+
+
+/**
+ * Migrates & validates data with the given schema, throwing a readable error on failure
+ *
+ * @param {z.ZodType} schema - the schema to validate against
+ * @param {object} raw - the raw data
+ * @param {string} source - where the data came from, for error messages
+ * @returns {object} the parsed data
+ * @throws {RoomSettingsError}
+ */
+function parseWith(schema, raw, source) {
+
+	if (raw == null || typeof raw !== 'object')
+		throw new RoomSettingsError(source, new z.ZodError([{ code: 'custom', path: [], message: 'Expected an object' }]));
+
+	const result = schema.safeParse(migrateRoomSettings(raw));
+	if (!result.success)
+		throw new RoomSettingsError(source, result.error);
+
+	return result.data;
+}
+
+
+/**
+ * Parse just the room settings (unknown keys like code/editCode are stripped)
+ *
+ * @param {object} raw - the raw settings
+ * @param {string} [source='room settings'] - where the data came from, for error messages
+ * @returns {object} the parsed settings
+ */
+export function parseRoomSettings(raw, source = 'room settings') {
+	return parseWith(roomSettingsSchema, raw, source);
+}
+
+
+/**
+ * Parse a GET /rooms/:code response
+ *
+ * @param {object} raw - the response JSON
+ * @param {string} [source='GET /rooms'] - where the data came from, for error messages
+ * @returns {object} the parsed room
+ */
+export function parseRoomResponse(raw, source = 'GET /rooms') {
+	return parseWith(roomResponseSchema, raw, source);
+}
+
+
+/**
+ * Parse a POST /rooms/:code/edit response
+ *
+ * @param {object} raw - the response JSON
+ * @param {string} [source='POST /rooms/edit'] - where the data came from, for error messages
+ * @returns {object} the parsed room, including editCode
+ */
+export function parseRoomEditResponse(raw, source = 'POST /rooms/edit') {
+	return parseWith(roomEditResponseSchema, raw, source);
+}
+
+
+/**
+ * Parse a POST /rooms response
+ *
+ * @param {object} raw - the response JSON
+ * @returns {{ code: string, editCode: string }}
+ */
+export function parseRoomCreateResponse(raw) {
+
+	const result = roomCreateResponseSchema.safeParse(raw);
+	if (!result.success)
+		throw new RoomSettingsError('POST /rooms', result.error);
+
+	return result.data;
+}
+
+
+/**
+ * Parse a 'state' socket message, returning null (and warning) if it's malformed
+ *
+ * @param {object} msg - the parsed JSON message
+ * @returns {object|null} the parsed message or null
+ */
+export function parseStateMessage(msg) {
+
+	const result = stateMessageSchema.safeParse(msg);
+	if (!result.success) {
+		console.warn(`Ignoring malformed state message:\n${z.prettifyError(result.error)}`);
+		return null;
+	}
+
+	return result.data;
+}
+
+
+/**
+ * Parse a 'stage' socket message, returning null (and warning) if it's malformed
+ *
+ * @param {object} msg - the parsed JSON message
+ * @returns {{w:number, h:number, penSize:number}|null} the stage info or null
+ */
+export function parseStageMessage(msg) {
+
+	const result = stageMessageSchema.safeParse(msg);
+	if (!result.success) {
+		console.warn(`Ignoring malformed stage message:\n${z.prettifyError(result.error)}`);
+		return null;
+	}
+
+	const { w, h, penSize } = result.data;
+	return { w, h, penSize };
+}
+
+
+/**
+ * Parse a 'seat' socket message, returning null (and warning) if it's malformed
+ *
+ * @param {object} msg - the parsed JSON message
+ * @returns {{seat: {slot:number, rows:number, perRow:number}|null}|null} the seat (null if we haven't got one), or null
+ */
+export function parseSeatMessage(msg) {
+
+	const result = seatMessageSchema.safeParse(msg);
+	if (!result.success) {
+		console.warn(`Ignoring malformed seat message:\n${z.prettifyError(result.error)}`);
+		return null;
+	}
+
+	return { seat: result.data.seat };
+}
+
+
+/**
+ * Parse a 'moderation' socket message, returning null (and warning) if it's malformed
+ *
+ * @param {object} msg - the parsed JSON message
+ * @returns {{hidden:Array<string>, renamed:object, bans:object}|null} the moderation state or null
+ */
+export function parseModerationMessage(msg) {
+
+	const result = moderationMessageSchema.safeParse(msg);
+	if (!result.success) {
+		console.warn(`Ignoring malformed moderation message:\n${z.prettifyError(result.error)}`);
+		return null;
+	}
+
+	const { hidden, renamed, bans } = result.data;
+	return { hidden, renamed, bans };
+}
+
+
+/**
+ * Parse a 'reaction' socket message, returning null if it's malformed
+ * (quietly - a client newer than us may send reactions we don't know yet)
+ *
+ * @param {object} msg - the parsed JSON message
+ * @returns {{id:string, r:string}|null} who reacted, & w/ what
+ */
+export function parseReactionMessage(msg) {
+
+	const result = reactionMessageSchema.safeParse(msg);
+	if (!result.success)
+		return null;
+
+	const { id, r } = result.data;
+	return { id, r };
+}
+
+
+/**
+ * Parse a cue sent by the streamer (or picked from a cue list), returning null if it's malformed
+ *
+ * @param {object} raw - the raw cue
+ * @returns {object|null} the cue, w/ every field filled in
+ */
+export function parseCue(raw) {
+
+	const result = cueSchema.safeParse(raw);
+	return result.success ? result.data : null;
+}
+
+
+/**
+ * Parse a 'cue' socket message, returning null (and warning) if it's malformed
+ *
+ * @param {object} msg - the parsed JSON message
+ * @returns {{cue: object|null}|null} the running cue (null = ended), or null if the message is bad
+ */
+export function parseCueMessage(msg) {
+
+	const result = cueMessageSchema.safeParse(msg);
+	if (!result.success) {
+		console.warn(`Ignoring malformed cue message:\n${z.prettifyError(result.error)}`);
+		return null;
+	}
+
+	return { cue: result.data.cue };
+}
+
+
+/**
+ * Get a fresh object of the default room settings
+ *
+ * @returns {object} default settings
+ */
+export function defaultRoomSettings() {
+	return roomSettingsSchema.parse({});
+}
+
+
+/**
+ * Validate a single field of the room settings, for inline form errors
+ *
+ * @param {string} field - the field name, e.g. 'name'
+ * @param {any} value - the value to validate
+ * @returns {string} the first error message, or '' if valid
+ */
+export function validateRoomField(field, value) {
+
+	const fieldSchema = roomSettingsSchema.shape[field];
+	if (!fieldSchema)
+		return '';
+
+	const result = fieldSchema.safeParse(value);
+	return result.success ? '' : (result.error.issues[0]?.message || 'Invalid value');
+}
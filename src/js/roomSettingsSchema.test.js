@@ -0,0 +1,39 @@
+/*
+	roomSettingsSchema.test.js
+	--------------------------
+
+	Checks older settings payloads migrate up to the current shape, & that
+	migrating an already current payload again doesn't change it.
+*/
+
+// libs
+import { describe, it, expect } from 'vitest';
+
+// our app
+import { ROOM_SETTINGS_VERSION, migrateRoomSettings, parseRoomSettings } from './roomSettingsSchema.js';
+
+describe('migrateRoomSettings', () => {
+
+	it('upgrades unversioned (v1) settings', () => {
+		const out = migrateRoomSettings({ showCode: true, duplicateUsers: true, penlightSprite: '' });
+
+		expect(out.settingsVersion).toBe(ROOM_SETTINGS_VERSION);
+		expect(out.showCode).toBe('bottom-left');
+		expect(out.duplicateUsers).toBe(false);
+		expect(out.penlightSprite).toBeNull();
+	});
+
+	it('moves v2\'s default mask tolerance to the current one', () => {
+		expect(parseRoomSettings({ settingsVersion: 2, penMaskTolerance: 255 }).penMaskTolerance).toBe(128);
+		expect(parseRoomSettings({ settingsVersion: 2, penMaskTolerance: 60 }).penMaskTolerance).toBe(60);
+		expect(parseRoomSettings({ settingsVersion: 2 }).penMaskTolerance).toBe(128);
+	});
+
+	it('leaves current settings alone, even when migrated twice', () => {
+		const current = parseRoomSettings({ settingsVersion: ROOM_SETTINGS_VERSION, penMaskTolerance: 255, showCode: 'top-right' });
+
+		expect(current.settingsVersion).toBe(ROOM_SETTINGS_VERSION);
+		expect(current.penMaskTolerance).toBe(255);
+		expect(parseRoomSettings(current)).toEqual(current);
+	});
+});
@@ -0,0 +1,278 @@
+/*
+	sessionRecording.js
+	-------------------
+
+	When a stream ends, everything the crowd did is gone - unless the OBS page
+	was recording it. A recording is the room's socket traffic, timestamped, so
+	the /replay page can push it back through the same code & re-render the
+	stage exactly as it was (for VOD highlights, or for chasing down rendering bugs).
+
+	A recording is a JSON-lines file. The first line says what it is:
+
+		{ "format": "pen.lighting-recording", "version": 1, "room": "ABCD", "startedAt": 1760000000000 }
+
+	& every line after it is one message, w/ when it arrived (ms after startedAt):
+
+		{ "t": 0, "msg": { "type": "roomSettings", "settings": { ... } } }
+		{ "t": 16, "msg": { "type": "delta", "room": "ABCD", "users": [ ... ] } }
+		{ "t": 5000, "key": true, "msg": { "type": "state", "room": "ABCD", "users": [ ... ] } }
+
+	Messages are kept exactly as the server sent them (see RECORDED_TYPES), so a
+	replay goes through the same parsing as the live page did. The first lines
+	are the room's settings, moderation & cue at the time recording started.
+
+	Lines w/ "key" are keyframes: every KEYFRAME_MS we also write down where
+	everyone's pen is. Compact deltas only say what changed, so these are what
+	let the replay jump to any point w/o playing everything before it. They're
+	skipped during normal playback.
+
+	Used by OBSRoomState (to record) & ReplayRoomState (to play back).
+*/
+
+// what's in the "format" field of every recording
+export const RECORDING_FORMAT = 'pen.lighting-recording';
+
+// the current version of the recording format
+export const RECORDING_VERSION = 1;
+
+// the socket messages worth recording (everything that changes what the stage shows)
+export const RECORDED_TYPES = ['state', 'delta', 'roomSettings', 'moderation', 'cue', 'reaction'];
+
+// how often we write down everyone's position, for seeking
+export const KEYFRAME_MS = 5000;
+
+// recordings stop here, so a long show can't eat all of the browser's memory
+export const MAX_RECORDING_BYTES = 150 * 1024 * 1024;
+
+
+/**
+ * Error thrown when a recording can't be used (message is safe to show the user)
+ */
+export class RecordingError extends Error {
+
+	/**
+	 * @param {string} message - what's wrong, in plain words
+	 */
+	constructor(message) {
+		super(message);
+		this.name = 'RecordingError';
+	}
+}
+
+
+/**
+ * Collects a room's messages into a recording, in memory
+ */
+export class SessionRecorder {
+
+	/**
+	 * @param {string} roomCode - the room being recorded
+	 * @param {number} [startedAt=Date.now()] - wall-clock time recording started
+	 */
+	constructor(roomCode, startedAt = Date.now()) {
+
+		this.roomCode = roomCode;
+		this.startedAt = startedAt;
+
+		// true once we've hit MAX_RECORDING_BYTES & stopped taking messages
+		this.full = false;
+
+		// how long the recording runs, in ms
+		this.durationMs = 0;
+
+		// the file, one line per entry
+		this._lines = [JSON.stringify({
+			format: RECORDING_FORMAT,
+			version: RECORDING_VERSION,
+			room: roomCode,
+			startedAt,
+		})];
+		this.bytes = this._lines[0].length + 1;
+	}
+
+
+	/**
+	 * Add a message to the recording
+	 *
+	 * @param {object} msg - the socket message, as received
+	 * @param {number} [nowMs=Date.now()] - when it arrived
+	 * @param {boolean} [key=false] - it's a keyframe (see above)
+	 * @returns {boolean} false if the recording's full
+	 */
+	record(msg, nowMs = Date.now(), key = false) {
+
+		if (this.full)
+			return false;
+
+		const t = Math.max(0, Math.round(nowMs - this.startedAt));
+		const line = JSON.stringify(key ? { t, key: true, msg } : { t, msg });
+
+		// (string length is close enough to bytes for a memory cap)
+		if (this.bytes + line.length + 1 > MAX_RECORDING_BYTES) {
+			this.full = true;
+			return false;
+		}
+
+		this._lines.push(line);
+		this.bytes += line.length + 1;
+		this.durationMs = t;
+		return true;
+	}
+
+
+	/**
+	 * The recording as a file
+	 *
+	 * @returns {Blob}
+	 */
+	toBlob() {
+		return new Blob([this._lines.join('\n') + '\n'], { type: 'application/x-ndjson' });
+	}
+
+
+	/**
+	 * A file name for the recording, e.g. pen-lighting-ABCD-2026-01-01-2130.jsonl
+	 *
+	 * @returns {string}
+	 */
+	fileName() {
+
+		const d = new Date(this.startedAt);
+		const pad = (n) => String(n).padStart(2, '0');
+		const stamp = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+		return `pen-lighting-${this.roomCode || 'room'}-${stamp}.jsonl`;
+	}
+
+
+	/**
+	 * Save the recording to the user's computer
+	 */
+	download() {
+
+		const url = URL.createObjectURL(this.toBlob());
+
+		const a = document.createElement('a');
+		a.href = url;
+		a.download = this.fileName();
+		document.body.appendChild(a);
+		a.click();
+		a.remove();
+
+		// give the browser a moment to start the download before letting go of the blob
+		setTimeout(() => URL.revokeObjectURL(url), 1000);
+	}
+
+}
+
+
+/**
+ * Parse & check a recording file's text
+ *
+ * @param {string} text - the file's contents
+ * @returns {{ room: string, startedAt: number, durationMs: number, events: Array<{t:number, key:boolean, msg:object}> }}
+ *          events are sorted by time
+ * @throws {RecordingError}
+ */
+export function parseRecording(text) {
+
+	const lines = String(text).split('\n');
+
+	let header;
+	try {
+		header = JSON.parse(lines[0]);
+	} catch {
+		throw new RecordingError('That file isn\'t a recording.');
+	}
+
+	if (header == null || typeof header !== 'object' || header.format !== RECORDING_FORMAT)
+		throw new RecordingError('That file isn\'t a pen.lighting recording.');
+
+	const version = Math.trunc(Number(header.version));
+	if (!Number.isFinite(version) || version < 1)
+		throw new RecordingError('That recording has a broken version number.');
+	if (version > RECORDING_VERSION)
+		throw new RecordingError('That recording was made by a newer version of the site. Try refreshing the page.');
+
+	const startedAt = Number(header.startedAt);
+	if (!Number.isFinite(startedAt))
+		throw new RecordingError('That recording doesn\'t say when it started.');
+
+	// a half-written last line (e.g. the tab crashed) shouldn't sink the whole thing
+	const events = [];
+	let bad = 0;
+	for (let i = 1; i < lines.length; i++) {
+
+		if (lines[i].trim() === '')
+			continue;
+
+		let ev;
+		try {
+			ev = JSON.parse(lines[i]);
+		} catch {
+			bad++;
+			continue;
+		}
+
+		const t = Number(ev?.t);
+		if (!Number.isFinite(t) || t < 0 || ev.msg == null || typeof ev.msg !== 'object' || !RECORDED_TYPES.includes(ev.msg.type)) {
+			bad++;
+			continue;
+		}
+
+		events.push({ t, key: ev.key === true, msg: ev.msg });
+	}
+	if (bad > 0)
+		console.warn(`Ignored ${bad} malformed line(s) in the recording`);
+
+	if (events.length === 0)
+		throw new RecordingError('That recording is empty.');
+
+	// they're written in order, but sort anyway so seeking can trust it
+	events.sort((a, b) => a.t - b.t);
+
+	return {
+		room: typeof header.room === 'string' ? header.room : '',
+		startedAt,
+		durationMs: events[events.length - 1].t,
+		events,
+	};
+}
+
+
+/**
+ * Read & check a recording file the user picked
+ *
+ * @param {File} file - the picked file
+ * @returns {Promise<object>} see parseRecording
+ * @throws {RecordingError}
+ */
+export async function readRecordingFile(file) {
+
+	if (!file)
+		throw new RecordingError('No file picked.');
+
+	let text;
+	try {
+		text = await file.text();
+	} catch {
+		throw new RecordingError('Couldn\'t read that file.');
+	}
+
+	return parseRecording(text);
+}
+
+
+/**
+ * e.g. "3:07" or "1:02:45"
+ *
+ * @param {number} ms - a time in ms
+ * @returns {string}
+ */
+export function formatClock(ms) {
+
+	const total = Math.max(0, Math.floor((Number(ms) || 0) / 1000));
+	const h = Math.floor(total / 3600);
+	const m = Math.floor(total / 60) % 60;
+	const s = String(total % 60).padStart(2, '0');
+	return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
@@ -0,0 +1,573 @@
+/*
+	spriteSheet.js
+	--------------
+
+	Animated penlight sprites.
+
+	A room's sprite (penlightSprite) is always one PNG. An animated sprite is a
+	horizontal sprite sheet: penlightSpriteFrames square frames, left to right,
+	each SPRITE_FRAME_SIZE px. Static sprites are just a sheet w/ one frame, so
+	everything downstream (masking, renderers, trails) only ever deals w/ sheets.
+
+	Uploads can be:
+		- a static PNG					one frame
+		- a horizontal sprite sheet		any PNG w/ square frames side by side (width = frames × height)
+		- an animated GIF / APNG		decoded client-side w/ ImageDecoder, or animatedImage.js where the browser hasn't got it
+	...and are re-packed into a sheet by buildSpriteSheet(), either cropped to a
+	square (see defaultCrop) or fitted inside one.
+
+	Uploads that are too big, not an image, or can't be decoded throw a
+	SpriteFileError w/ a message that's safe to show the room owner.
+
+	If an animated GIF / APNG can't be decoded either way (a damaged file, or a
+	browser w/o DecompressionStream), we fall back to its first frame, but check
+	the file itself for more frames (see countImageFrames) & flag it as
+	stillOnly, so the upload UI can say so instead of quietly dropping the animation.
+
+	Playback (penlightSpriteAnimate):
+		time		every pen plays at penlightSpriteFps off the wall clock, so they're all in sync
+		movement	each pen only plays while it's moving, & holds its frame when still
+
+	The OBS page works out each pen's frame once (w/ a SpriteAnimator) & hands it
+	to every renderer, so DOM pens, canvas pens & trails always show the same frame.
+*/
+
+// our app
+import { MAX_SPRITE_FRAMES } from './roomSettingsSchema.js';
+import { readAnimatedImage, renderFrames } from './animatedImage.js';
+
+// the size of one frame in the sheet, in px
+export const SPRITE_FRAME_SIZE = 256;
+
+// upload limits
+export const MAX_SPRITE_FILE_BYTES = 4 * 1024 * 1024;
+export const MAX_SPRITE_DIMENSION = 4096;
+export const MIN_SPRITE_DIMENSION = 16;
+
+// the biggest finished sheet we'll save (it goes in the room's settings)
+export const MAX_SHEET_BYTES = 2 * 1024 * 1024;
+
+// what we accept
+const SPRITE_TYPES = ['image/png', 'image/gif'];
+
+// how long a pen counts as moving after it last moved (for 'movement' playback)
+const MOVE_GRACE_MS = 150;
+
+// how far a pen has to move to count (in whatever units its x/y & theta are)
+const MOVE_EPSILON = 0.5;
+
+// forget pens we haven't seen for this long
+const FORGET_MS = 5000;
+
+
+/**
+ * Normalized animation settings for a room
+ *
+ * @param {object} room - room settings
+ * @returns {{frames:number, fps:number, mode:string}}
+ */
+export function spriteAnimation(room) {
+
+	// no custom sprite means the default one, which is always static
+	const frames = room?.penlightSprite
+		? Math.max(1, Math.min(MAX_SPRITE_FRAMES, Math.trunc(Number(room?.penlightSpriteFrames) || 1)))
+		: 1;
+
+	return {
+		frames,
+		fps: Math.max(1, Math.min(30, Number(room?.penlightSpriteFps) || 8)),
+		mode: room?.penlightSpriteAnimate === 'movement' ? 'movement' : 'time',
+	};
+}
+
+
+/**
+ * Error for an upload we can't use (the message is meant for the room owner)
+ */
+export class SpriteFileError extends Error {
+
+	/**
+	 * @param {string} message - what went wrong, in plain words
+	 */
+	constructor(message) {
+		super(message);
+		this.name = 'SpriteFileError';
+	}
+}
+
+
+/**
+ * Format a byte count for error messages, e.g. "4.2 MB"
+ *
+ * @param {number} bytes - the size
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+	return bytes >= 1024 * 1024
+		? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+		: `${Math.ceil(bytes / 1024)} KB`;
+}
+
+
+/**
+ * Works out which frame each pen is on
+ */
+export class SpriteAnimator {
+
+	/**
+	 * Builds the SpriteAnimator
+	 */
+	constructor() {
+
+		// key -> { x, y, theta, lastAt, movedAt, phase }
+		this._pens = new Map();
+		this._lastSweep = 0;
+	}
+
+
+	/**
+	 * Get the frame a pen should show right now
+	 *
+	 * @param {string} key - stable key for the pen (e.g. the user's id)
+	 * @param {{x:number, y:number, theta:number}} pose - where the pen is
+	 * @param {{frames:number, fps:number, mode:string}} anim - from spriteAnimation()
+	 * @param {number} [nowMs=Date.now()] - the current time
+	 * @returns {number} frame index, 0..frames-1
+	 */
+	frameFor(key, pose, anim, nowMs = Date.now()) {
+
+		if (anim.frames <= 1)
+			return 0;
+
+		// time mode: everyone shares the wall clock
+		if (anim.mode !== 'movement')
+			return Math.floor(nowMs * anim.fps / 1000) % anim.frames;
+
+		this._sweep(nowMs);
+
+		let pen = this._pens.get(key);
+		if (!pen) {
+			pen = { x: pose.x, y: pose.y, theta: pose.theta || 0, lastAt: nowMs, movedAt: -Infinity, phase: 0 };
+			this._pens.set(key, pen);
+		}
+
+		// did it move since last time?
+		const moved = Math.abs(pose.x - pen.x) > MOVE_EPSILON
+			|| Math.abs(pose.y - pen.y) > MOVE_EPSILON
+			|| Math.abs((pose.theta || 0) - pen.theta) > MOVE_EPSILON;
+		if (moved) {
+			pen.x = pose.x;
+			pen.y = pose.y;
+			pen.theta = pose.theta || 0;
+			pen.movedAt = nowMs;
+		}
+
+		// only play while moving
+		if (nowMs - pen.movedAt < MOVE_GRACE_MS)
+			pen.phase += Math.max(0, nowMs - pen.lastAt) * anim.fps / 1000;
+		pen.lastAt = nowMs;
+
+		return Math.floor(pen.phase) % anim.frames;
+	}
+
+
+	/**
+	 * Forget pens that haven't been asked about in a while
+	 *
+	 * @param {number} nowMs - the current time
+	 */
+	_sweep(nowMs) {
+
+		if (nowMs - this._lastSweep < FORGET_MS)
+			return;
+		this._lastSweep = nowMs;
+
+		for (const [key, pen] of this._pens)
+			if (nowMs - pen.lastAt > FORGET_MS) this._pens.delete(key);
+	}
+
+
+	/**
+	 * Forget everyone
+	 */
+	clear() {
+		this._pens.clear();
+	}
+
+}
+
+
+/**
+ * Decode an uploaded image into frames.
+ *
+ * Animated GIFs & APNGs are decoded w/ ImageDecoder where the browser has it,
+ * & w/ animatedImage.js where it hasn't (if both fail we just get their first
+ * frame, & stillOnly is true). A static image that's a row of square frames is
+ * treated as a sprite sheet.
+ *
+ * @param {File} file - the uploaded file
+ * @returns {Promise<{frames: Array<CanvasImageSource>, fps: number|null, stillOnly: boolean}>}
+ *          fps is null if the file didn't say, stillOnly is true if the file was animated but we only got its first frame
+ * @throws {SpriteFileError} if the file's the wrong type, too big, or can't be read
+ */
+export async function decodeSpriteFile(file) {
+
+	if (!SPRITE_TYPES.includes(file?.type))
+		throw new SpriteFileError('Sprites have to be a PNG or GIF image.');
+	if (file.size > MAX_SPRITE_FILE_BYTES)
+		throw new SpriteFileError(`That file is ${formatBytes(file.size)}, the biggest allowed is ${formatBytes(MAX_SPRITE_FILE_BYTES)}.`);
+
+	const decoded = await decodeFrames(file);
+	const { width, height } = decoded.frames[0];
+	if (width > MAX_SPRITE_DIMENSION || height > MAX_SPRITE_DIMENSION)
+		throw new SpriteFileError(`That image is ${width}×${height}, the biggest allowed is ${MAX_SPRITE_DIMENSION}×${MAX_SPRITE_DIMENSION}.`);
+	if (width < MIN_SPRITE_DIMENSION || height < MIN_SPRITE_DIMENSION)
+		throw new SpriteFileError(`That image is only ${width}×${height}, it needs to be at least ${MIN_SPRITE_DIMENSION}×${MIN_SPRITE_DIMENSION}.`);
+
+	return decoded;
+}
+
+
+/**
+ * Decode an uploaded image into frames (no limits checked)
+ *
+ * @param {File} file - the uploaded file
+ * @returns {Promise<{frames: Array<CanvasImageSource>, fps: number|null, stillOnly: boolean}>}
+ */
+async function decodeFrames(file) {
+
+	// animated formats, if we can
+	if (typeof window !== 'undefined' && 'ImageDecoder' in window) {
+		try {
+			const decoded = await decodeAnimated(file);
+			if (decoded && decoded.frames.length > 1)
+				return { ...decoded, stillOnly: false };
+		} catch (err) {
+			console.warn('Could not decode animated sprite, using it as a still', err);
+		}
+	}
+
+	// no ImageDecoder (or it couldn't cope), so decode it ourselves
+	const bytes = new Uint8Array(await file.arrayBuffer());
+	try {
+		const decoded = await decodeAnimatedFallback(bytes);
+		if (decoded)
+			return { ...decoded, stillOnly: false };
+	} catch (err) {
+		console.warn('Could not decode animated sprite, using it as a still', err);
+	}
+
+	// if we're falling back to the first frame of an animation, say so
+	const stillOnly = countImageFrames(bytes) > 1;
+
+	// still image, or a sprite sheet
+	let img;
+	try {
+		img = await loadFileImage(file);
+	} catch {
+		throw new SpriteFileError('That file couldn\'t be read as an image. Is it damaged?');
+	}
+
+	const count = Math.round(img.width / img.height);
+	if (count >= 2 && Math.abs(img.width - count * img.height) <= count)
+		return { frames: sliceSheet(img, count), fps: null, stillOnly };
+
+	return { frames: [img], fps: null, stillOnly };
+}
+
+
+/**
+ * How many frames a GIF or PNG has, from its bytes (w/o decoding any pixels)
+ *
+ * GIFs have an image descriptor per frame, & APNGs say how many frames they
+ * have in an acTL chunk before the image data. Anything else counts as 1.
+ *
+ * @param {Uint8Array} bytes - the file
+ * @returns {number} how many frames, 1 for a still (or a file we can't make sense of)
+ */
+export function countImageFrames(bytes) {
+
+	const ascii = (at, len) => String.fromCharCode(...bytes.subarray(at, at + len));
+
+	if (ascii(0, 4) === 'GIF8')
+		return countGifFrames(bytes);
+
+	if (ascii(1, 3) === 'PNG') {
+
+		// chunks: length (4), type (4), data, crc (4)
+		const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		for (let at = 8; at + 8 <= bytes.length;) {
+			const len = view.getUint32(at);
+			const type = ascii(at + 4, 4);
+			if (type === 'acTL' && at + 12 <= bytes.length)
+				return Math.max(1, view.getUint32(at + 8));
+			if (type === 'IDAT' || type === 'IEND')
+				break;
+			at += 12 + len;
+		}
+	}
+
+	return 1;
+}
+
+
+/**
+ * Count the image descriptors in a GIF, skipping over everything else
+ *
+ * @param {Uint8Array} bytes - the file
+ * @returns {number}
+ */
+function countGifFrames(bytes) {
+
+	// skips a run of sub-blocks (each a length byte then that many bytes, ending w/ a 0)
+	const skipSubBlocks = (at) => {
+		while (at < bytes.length && bytes[at] !== 0)
+			at += bytes[at] + 1;
+		return at + 1;
+	};
+
+	// header (6) & logical screen descriptor (7), then the global color table if there is one
+	let at = 13;
+	if (bytes[10] & 0x80)
+		at += 3 * (2 << (bytes[10] & 0x07));
+
+	let frames = 0;
+	while (at < bytes.length) {
+
+		const block = bytes[at];
+
+		// image descriptor (10), local color table, LZW code size (1), image data
+		if (block === 0x2C) {
+			frames++;
+			const packed = bytes[at + 9];
+			at += 10;
+			if (packed & 0x80)
+				at += 3 * (2 << (packed & 0x07));
+			at = skipSubBlocks(at + 1);
+
+		// extension: label, then its sub-blocks
+		} else if (block === 0x21) {
+			at = skipSubBlocks(at + 2);
+
+		// trailer, or junk
+		} else {
+			break;
+		}
+	}
+
+	return Math.max(1, frames);
+}
+
+
+/**
+ * Decode every frame of an animated image w/ ImageDecoder
+ *
+ * @param {File} file - the uploaded file
+ * @returns {Promise<{frames: Array<HTMLCanvasElement>, fps: number|null}|null>}
+ */
+async function decodeAnimated(file) {
+
+	if (!(await ImageDecoder.isTypeSupported(file.type)))
+		return null;
+
+	const decoder = new ImageDecoder({ data: file.stream(), type: file.type });
+	try {
+
+		await decoder.tracks.ready;
+		const track = decoder.tracks.selectedTrack;
+		const total = track?.frameCount || 1;
+		if (total <= 1)
+			return null;
+
+		// long animations are thinned out evenly, rather than cut short
+		const picks = pickFrames(total, MAX_SPRITE_FRAMES);
+		const frames = [];
+		let durationUs = 0;
+		for (const frameIndex of picks) {
+
+			const { image } = await decoder.decode({ frameIndex });
+			durationUs += image.duration || 0;
+
+			// copy out, since VideoFrames have to be closed
+			const c = document.createElement('canvas');
+			c.width = image.displayWidth;
+			c.height = image.displayHeight;
+			c.getContext('2d').drawImage(image, 0, 0);
+			image.close();
+			frames.push(c);
+		}
+
+		// frames we skipped stretch the ones we kept, so the fps covers the whole animation
+		const avgMs = durationUs / 1000 / picks.length * (total / picks.length);
+		const fps = avgMs > 0 ? Math.round(1000 / avgMs) : null;
+		return { frames, fps };
+
+	} finally {
+		decoder.close();
+	}
+}
+
+
+/**
+ * Decode every frame of an animated image w/ animatedImage.js (for browsers w/o ImageDecoder)
+ *
+ * @param {Uint8Array} bytes - the uploaded file
+ * @returns {Promise<{frames: Array<HTMLCanvasElement>, fps: number|null}|null>} null if it isn't animated (or is too big to try)
+ */
+async function decodeAnimatedFallback(bytes) {
+
+	const image = readAnimatedImage(bytes);
+	if (!image || image.width > MAX_SPRITE_DIMENSION || image.height > MAX_SPRITE_DIMENSION)
+		return null;
+
+	// long animations are thinned out evenly, same as above
+	const total = image.frames.length;
+	const picks = pickFrames(total, MAX_SPRITE_FRAMES);
+	const frames = (await renderFrames(image, picks)).map(rgba => {
+		const c = document.createElement('canvas');
+		c.width = image.width;
+		c.height = image.height;
+		c.getContext('2d').putImageData(new ImageData(rgba, image.width, image.height), 0, 0);
+		return c;
+	});
+
+	const durationMs = picks.reduce((sum, i) => sum + image.frames[i].delayMs, 0);
+	const avgMs = durationMs / picks.length * (total / picks.length);
+	const fps = avgMs > 0 ? Math.round(1000 / avgMs) : null;
+	return { frames, fps };
+}
+
+
+/**
+ * Evenly spaced frame indexes
+ *
+ * @param {number} total - how many frames there are
+ * @param {number} max - the most to keep
+ * @returns {Array<number>}
+ */
+function pickFrames(total, max) {
+
+	const count = Math.min(total, max);
+	const out = [];
+	for (let i = 0; i < count; i++)
+		out.push(Math.floor(i * total / count));
+	return out;
+}
+
+
+/**
+ * Load an uploaded file as an image
+ *
+ * @param {File} file - the file
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadFileImage(file) {
+
+	return new Promise((resolve, reject) => {
+		const url = URL.createObjectURL(file);
+		const img = new Image();
+		img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+		img.onerror = () => { URL.revokeObjectURL(url); reject(new Error('Failed to load image: ' + file.name)); };
+		img.src = url;
+	});
+}
+
+
+/**
+ * Cut a horizontal sprite sheet into its frames
+ *
+ * @param {HTMLImageElement} img - the sheet
+ * @param {number} count - how many frames it has
+ * @returns {Array<HTMLCanvasElement>}
+ */
+function sliceSheet(img, count) {
+
+	const w = img.width / count;
+	const frames = [];
+	for (const i of pickFrames(count, MAX_SPRITE_FRAMES)) {
+		const c = document.createElement('canvas');
+		c.width = Math.round(w);
+		c.height = img.height;
+		c.getContext('2d').drawImage(img, i * w, 0, w, img.height, 0, 0, c.width, c.height);
+		frames.push(c);
+	}
+	return frames;
+}
+
+
+/**
+ * The biggest centered square in a frame, as a crop
+ *
+ * @param {number} width - frame width
+ * @param {number} height - frame height
+ * @returns {{x:number, y:number, size:number}} in frame px
+ */
+export function defaultCrop(width, height) {
+	const size = Math.min(width, height);
+	return { x: (width - size) / 2, y: (height - size) / 2, size };
+}
+
+
+/**
+ * Keep a crop square inside its frame
+ *
+ * @param {{x:number, y:number, size:number}} crop - the crop
+ * @param {number} width - frame width
+ * @param {number} height - frame height
+ * @returns {{x:number, y:number, size:number}}
+ */
+export function clampCrop(crop, width, height) {
+	const size = Math.max(1, Math.min(crop.size, width, height));
+	return {
+		x: Math.max(0, Math.min(width - size, crop.x)),
+		y: Math.max(0, Math.min(height - size, crop.y)),
+		size,
+	};
+}
+
+
+/**
+ * Pack frames into a horizontal sprite sheet, each either cropped to a square or scaled to fit one
+ *
+ * @param {Array<CanvasImageSource>} frames - the frames
+ * @param {number} [size=SPRITE_FRAME_SIZE] - the frame size in px
+ * @param {{x:number, y:number, size:number}|null} [crop=null] - square to cut from every frame (null = fit)
+ * @returns {string} PNG data URL
+ * @throws {SpriteFileError} if the finished sheet is too big to save
+ */
+export function buildSpriteSheet(frames, size = SPRITE_FRAME_SIZE, crop = null) {
+
+	const list = frames.slice(0, MAX_SPRITE_FRAMES);
+	const canvas = document.createElement('canvas');
+	canvas.width = size * list.length;
+	canvas.height = size;
+
+	const ctx = canvas.getContext('2d');
+	ctx.imageSmoothingEnabled = true;
+	ctx.imageSmoothingQuality = 'high';
+
+	list.forEach((frame, i) => {
+
+		// cropped: the same square from every frame
+		if (crop) {
+			ctx.drawImage(frame, crop.x, crop.y, crop.size, crop.size, i * size, 0, size, size);
+			return;
+		}
+
+		// centered, scaled to fit
+		const fw = frame.width, fh = frame.height;
+		const scale = Math.min(size / fw, size / fh);
+		const w = Math.round(fw * scale);
+		const h = Math.round(fh * scale);
+		ctx.drawImage(frame, i * size + Math.floor((size - w) / 2), Math.floor((size - h) / 2), w, h);
+	});
+
+	const dataUrl = canvas.toDataURL('image/png');
+
+	// base64 is ~4/3 the size of the bytes it holds
+	const bytes = Math.round(dataUrl.length * 3 / 4);
+	if (bytes > MAX_SHEET_BYTES)
+		throw new SpriteFileError(`The finished sprite is ${formatBytes(bytes)}, the biggest a room can save is ${formatBytes(MAX_SHEET_BYTES)}. Try fewer frames or a simpler image.`);
+
+	return dataUrl;
+}
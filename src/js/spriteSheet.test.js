@@ -0,0 +1,72 @@
+/*
+	spriteSheet.test.js
+	-------------------
+
+	Checks we can tell an animated GIF / APNG from a still one, for browsers
+	that can only decode the first frame.
+*/
+
+// libs
+import { describe, it, expect } from 'vitest';
+
+// our app
+import { countImageFrames } from './spriteSheet.js';
+
+const ascii = (str) => [...str].map(c => c.charCodeAt(0));
+const u32 = (n) => [n >>> 24 & 0xff, n >>> 16 & 0xff, n >>> 8 & 0xff, n & 0xff];
+
+// a 1x1 GIF w/ a 2 color global table, & `count` frames (each w/ a graphic control extension)
+function gif(count, { loop = count > 1 } = {}) {
+
+	const out = [...ascii('GIF89a'), 1, 0, 1, 0, 0x80, 0, 0, 0, 0, 0, 0xff, 0xff, 0xff];
+	if (loop)
+		out.push(0x21, 0xff, 11, ...ascii('NETSCAPE2.0'), 3, 1, 0, 0, 0);
+	for (let i = 0; i < count; i++) {
+		out.push(0x21, 0xf9, 4, 0, 10, 0, 0, 0);
+
+		// image descriptor w/ a local color table, then LZW data that happens to contain 0x2C & 0x21
+		out.push(0x2c, 0, 0, 0, 0, 1, 0, 1, 0, 0x80, 0, 0, 0, 0x2c, 0x21, 0x2c);
+		out.push(2, 2, 0x2c, 0x21, 0);
+	}
+	out.push(0x3b);
+	return new Uint8Array(out);
+}
+
+// a PNG w/ just the chunks we look at (no real pixels)
+function png(frames = null) {
+
+	const chunk = (type, data = []) => [...u32(data.length), ...ascii(type), ...data, 0, 0, 0, 0];
+	return new Uint8Array([
+		0x89, ...ascii('PNG'), 0x0d, 0x0a, 0x1a, 0x0a,
+		...chunk('IHDR', [...u32(1), ...u32(1), 8, 6, 0, 0, 0]),
+		...(frames ? chunk('acTL', [...u32(frames), ...u32(0)]) : []),
+		...chunk('IDAT', [0, 0]),
+		...chunk('IEND'),
+	]);
+}
+
+
+describe('countImageFrames', () => {
+
+	it('counts the frames in a GIF', () => {
+		expect(countImageFrames(gif(1))).toBe(1);
+		expect(countImageFrames(gif(3))).toBe(3);
+		expect(countImageFrames(gif(2, { loop: false }))).toBe(2);
+	});
+
+	it('reads the frame count from an APNG', () => {
+		expect(countImageFrames(png(5))).toBe(5);
+	});
+
+	it('counts a plain PNG as a still', () => {
+		expect(countImageFrames(png())).toBe(1);
+	});
+
+	it('doesn\'t trip over truncated or unknown files', () => {
+		expect(countImageFrames(gif(3).subarray(0, 20))).toBe(1);
+		expect(countImageFrames(png(5).subarray(0, 20))).toBe(1);
+		expect(countImageFrames(new Uint8Array(ascii('not an image')))).toBe(1);
+		expect(countImageFrames(new Uint8Array())).toBe(1);
+	});
+
+});
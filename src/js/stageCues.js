@@ -0,0 +1,229 @@
+/*
+	stageCues.js
+	------------
+
+	Room owners can direct the whole crowd mid-stream from the edit page, w/
+	timed "stage cues": everyone switches to one palette color for the chorus,
+	every pen waves in unison, a blackout, a rainbow sweep, or a light burst.
+
+	This file holds the protocol & the timing / effect math that the edit page,
+	the OBS page and the audience's phones all share.
+
+	Mod -> server (on the mod socket, see moderation.js):
+		{ type: 'cue', room, cue: { kind, label, color, pattern, durationMs, delayMs } }
+			start a cue (replaces whatever's running)
+		{ type: 'cue', room, cue: null }
+			end the running cue
+
+	Server -> everyone in the room (users, OBS & mods; & right after hello, if one's running):
+		{ type: 'cue', room, cue: { id, startAt, kind, label, color, pattern, durationMs, delayMs } | null }
+			startAt		wall-clock time the cue kicks in (the server's Date.now() + delayMs),
+						so every screen counts down & starts together
+			durationMs	how long it runs (0 = until the streamer ends it)
+
+	Users -> server:
+		Users can opt out of cues that change their pen's color ('color' & 'rainbow').
+		They say so w/ the `nc` field of their frames (see positionCodec.js), so the
+		OBS page knows whose pens to leave alone.
+
+	NOTE: like the auto wave (see wavePatterns.js), this relies on phones' clocks
+	agreeing w/ the server's, which they do to within a few tens of ms.
+*/
+
+// our app
+import { beatsAt, waveOffset } from './wavePatterns.js';
+
+// cues that override pens' colors (the audience can opt out of these)
+export const COLOR_CUE_KINDS = ['color', 'rainbow'];
+
+// readable names for each kind
+export const CUE_KIND_LABELS = {
+	color: 'Everyone one color',
+	wave: 'Wave in unison',
+	blackout: 'Blackout',
+	rainbow: 'Rainbow sweep',
+	burst: 'Light burst',
+};
+
+// durations the edit page offers (0 = until ended)
+export const CUE_DURATIONS = [0, 2000, 4000, 8000, 16000, 30000, 60000];
+
+// countdowns the edit page offers
+export const CUE_DELAYS = [0, 3000, 5000, 10000];
+
+// light bursts are a one-off flash, so they always run this long
+export const BURST_MS = 1500;
+
+// how long blackouts take to fade in & out
+const BLACKOUT_FADE_MS = 400;
+
+// how long a light burst's flash takes to die down
+const BURST_DECAY_MS = 900;
+
+// how fast the rainbow sweeps across the stage (hue degrees per second)
+const RAINBOW_DEG_PER_SEC = 120;
+
+
+/**
+ * Where a cue is in its life at a given time
+ *
+ * @param {object|null} cue - the cue (from a 'cue' message)
+ * @param {number} nowMs - wall-clock time, e.g. Date.now()
+ * @returns {'none'|'pending'|'active'|'done'} the phase
+ */
+export function cuePhase(cue, nowMs) {
+
+	if (!cue)
+		return 'none';
+	if (nowMs < cue.startAt)
+		return 'pending';
+	if (cue.durationMs > 0 && nowMs >= cue.startAt + cue.durationMs)
+		return 'done';
+	return 'active';
+}
+
+
+/**
+ * Does this cue change pens' colors?
+ *
+ * @param {object|null} cue - the cue
+ * @returns {boolean}
+ */
+export function overridesColor(cue) {
+	return !!cue && COLOR_CUE_KINDS.includes(cue.kind);
+}
+
+
+/**
+ * A short readable name for a cue, e.g. "Color 3", "Wave: circle", or its label
+ *
+ * @param {object} cue - the cue
+ * @param {boolean} [useLabel=true] - prefer the streamer's label, if it has one
+ * @returns {string}
+ */
+export function cueTitle(cue, useLabel = true) {
+
+	if (!cue)
+		return '';
+	if (useLabel && cue.label)
+		return cue.label;
+
+	switch (cue.kind) {
+		case 'color': return `Color ${cue.color + 1}`;
+		case 'wave': return `Wave: ${cue.pattern.replace(/-/g, ' ')}`;
+		default: return CUE_KIND_LABELS[cue.kind] || cue.kind;
+	}
+}
+
+
+/**
+ * e.g. "until ended", "8s" or "1 min"
+ *
+ * @param {number} ms - a cue duration
+ * @returns {string}
+ */
+export function formatCueDuration(ms) {
+
+	if (!ms)
+		return 'until ended';
+	if (ms < 60000)
+		return `${Math.round(ms / 1000)}s`;
+	return `${Math.round(ms / 60000)} min`;
+}
+
+
+/**
+ * How strong a blackout is (0 = not at all, 1 = fully dark), fading in & out
+ *
+ * @param {object|null} cue - the cue
+ * @param {number} nowMs - wall-clock time
+ * @returns {number} 0..1
+ */
+export function blackoutLevel(cue, nowMs) {
+
+	if (cue?.kind !== 'blackout' || cuePhase(cue, nowMs) !== 'active')
+		return 0;
+
+	const fadeIn = (nowMs - cue.startAt) / BLACKOUT_FADE_MS;
+	const fadeOut = cue.durationMs > 0 ? (cue.startAt + cue.durationMs - nowMs) / BLACKOUT_FADE_MS : 1;
+	return Math.max(0, Math.min(1, fadeIn, fadeOut));
+}
+
+
+/**
+ * How bright a light burst's flash is right now (a sharp flash that dies down)
+ *
+ * @param {object|null} cue - the cue
+ * @param {number} nowMs - wall-clock time
+ * @returns {number} 0..1
+ */
+export function burstLevel(cue, nowMs) {
+
+	if (cue?.kind !== 'burst' || cuePhase(cue, nowMs) !== 'active')
+		return 0;
+
+	return Math.exp(-3 * (nowMs - cue.startAt) / BURST_DECAY_MS);
+}
+
+
+/**
+ * The color a pen shows under a color-changing cue
+ *
+ * @param {object|null} cue - the cue
+ * @param {object} ctx
+ * @param {number} ctx.x - the pen's normalized x (the rainbow sweeps across the stage)
+ * @param {number} ctx.nowMs - wall-clock time
+ * @param {Array<string>} ctx.palette - the room's pen colors (6-digit hex)
+ * @returns {string|null} 6-digit hex, or null if the cue leaves colors alone
+ */
+export function cueColorFor(cue, { x, nowMs, palette }) {
+
+	if (!overridesColor(cue) || cuePhase(cue, nowMs) !== 'active')
+		return null;
+
+	if (cue.kind === 'color')
+		return palette?.[cue.color] || null;
+
+	// rainbow: hue shifts across the stage, & the whole thing slides over time
+	const elapsed = (nowMs - cue.startAt) / 1000;
+	const hue = (((Number(x) || 0) * 360 - elapsed * RAINBOW_DEG_PER_SEC) % 360 + 360) % 360;
+	return hslToHex(hue, 1, 0.55);
+}
+
+
+/**
+ * The forced wave offset for a 'wave' cue (everyone on the room's beat, at 1x)
+ *
+ * @param {object|null} cue - the cue
+ * @param {object} room - the room settings (waveBpm & waveEpoch)
+ * @param {number} nowMs - wall-clock time
+ * @returns {{dx:number, dy:number}|null} the offset, or null if no wave cue is running
+ */
+export function cueWaveOffset(cue, room, nowMs) {
+
+	if (cue?.kind !== 'wave' || cuePhase(cue, nowMs) !== 'active')
+		return null;
+
+	const beats = beatsAt(nowMs, room?.waveBpm || 140, room?.waveEpoch || 0, 1);
+	return waveOffset(cue.pattern, beats);
+}
+
+
+/**
+ * HSL to a 6-digit hex color
+ *
+ * @param {number} h - hue in degrees
+ * @param {number} s - saturation 0..1
+ * @param {number} l - lightness 0..1
+ * @returns {string} e.g. 'FF3355'
+ */
+function hslToHex(h, s, l) {
+
+	const a = s * Math.min(l, 1 - l);
+	const f = (n) => {
+		const k = (n + h / 30) % 12;
+		const c = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+		return Math.round(c * 255).toString(16).padStart(2, '0');
+	};
+	return `${f(0)}${f(8)}${f(4)}`.toUpperCase();
+}
@@ -0,0 +1,369 @@
+/*
+	stageMapping.js
+	---------------
+
+	How a pen's normalized (0..1) position maps onto a stage, in one place.
+
+	OBSRoom uses this to place pens on the stream, and PenRoom uses it (w/ the
+	OBS stage size the room reports) to show the audience exactly where their
+	light will appear - so the two can't drift apart.
+
+	The pen's anchor (the point PenLight is positioned by) is kept far enough
+	from the edges that the whole sprite stays on stage.
+
+	Rooms can also use the "arena" layout (stageLayout), where y is depth
+	instead of height: y = 0 is the back of the crowd, up at the horizon
+	(arenaHorizon), & y = 1 is the front row, at the bottom of the crowd band
+	(arenaBandHeight). Pens further back are smaller, closer together, dimmer
+	& a little blurred, & get drawn behind the ones in front - so a handful of
+	phones read as a real crowd.
+
+	Or the "seated" layout, where everyone gets a seat (see SeatingChart.js) in
+	rows inside a region of the stage the streamer picks (so pens stay clear of
+	the face cam). There, the audience's x/y doesn't say where the pen is, only
+	how it sways, bobs & leans around its seat (seatSway). The OBS page tells
+	each phone its seat (via the server, see OBSRoomState.js), so the phone's
+	preview maps through the same seat. Until a phone hears about its seat (or
+	on a server that doesn't pass seats on), placePen w/o one maps the seated
+	layout like the flat one.
+*/
+
+// how big the back row's pens are, next to the front row's
+export const ARENA_FAR_SCALE = 0.4;
+
+// how much of the stage's width the back row spans (the crowd narrows into the distance)
+export const ARENA_FAR_WIDTH = 0.7;
+
+// how much the back row is dimmed (0..1), & blurred (px, for a 256px pen)
+const ARENA_FAR_DIM = 0.45;
+const ARENA_FAR_BLUR = 3;
+
+// seated: how much curved rows bow (in rows, at the ends), how far pens lean at full sway (deg),
+// & the smallest a pen gets to fit its seat
+const SEAT_CURVE = 0.6;
+const SEAT_MAX_TILT = 25;
+const SEAT_MIN_SCALE = 0.25;
+
+
+/**
+ * Clamp a number to [0,1]
+ */
+function clamp01(v) {
+	return Math.max(0, Math.min(1, v));
+}
+
+
+/**
+ * Normalized position -> pen anchor in stage px
+ *
+ * @param {number} xn - normalized x (0..1)
+ * @param {number} yn - normalized y (0..1)
+ * @param {number} stageW - stage width in px
+ * @param {number} stageH - stage height in px
+ * @param {number} penSize - pen size in px
+ * @returns {{x:number, y:number}} anchor in stage px
+ */
+export function normToStage(xn, yn, stageW, stageH, penSize) {
+	return {
+		x: clamp01(Number(xn)) * Math.max(0, stageW - penSize) + (penSize / 2),
+		y: clamp01(Number(yn)) * Math.max(0, stageH - penSize) + (penSize * 0.8),
+	};
+}
+
+
+/**
+ * Pen anchor in stage px -> normalized position (the inverse of normToStage)
+ *
+ * @param {number} px - anchor x in stage px
+ * @param {number} py - anchor y in stage px
+ * @param {number} stageW - stage width in px
+ * @param {number} stageH - stage height in px
+ * @param {number} penSize - pen size in px
+ * @returns {{x:number, y:number}} normalized position (0..1)
+ */
+export function stageToNorm(px, py, stageW, stageH, penSize) {
+	const spanX = Math.max(1, stageW - penSize);
+	const spanY = Math.max(1, stageH - penSize);
+	return {
+		x: clamp01((px - penSize / 2) / spanX),
+		y: clamp01((py - penSize * 0.8) / spanY),
+	};
+}
+
+
+/**
+ * The arena's rows, in stage px: where the back & front rows' anchors sit
+ *
+ * @param {number} stageH - stage height in px
+ * @param {number} penSize - (front row) pen size in px
+ * @param {object} room - the room settings (arenaHorizon & arenaBandHeight)
+ * @returns {{backY:number, frontY:number}}
+ */
+function arenaRows(stageH, penSize, room) {
+
+	const top = clamp01(Number(room?.arenaHorizon ?? 0.3)) * stageH;
+	const bottom = Math.min(stageH, top + clamp01(Number(room?.arenaBandHeight ?? 0.7)) * stageH);
+
+	// like normToStage, keep the pens' sprites inside the band
+	return {
+		backY: top + penSize * ARENA_FAR_SCALE * 0.8,
+		frontY: Math.max(top + penSize * ARENA_FAR_SCALE * 0.8, bottom - penSize * 0.2),
+	};
+}
+
+
+/**
+ * Normalized position -> pen anchor in stage px, for the room's layout
+ * (the arena layout also gives the pen a depth, & a scale to draw it at)
+ *
+ * @param {number} xn - normalized x (0..1)
+ * @param {number} yn - normalized y (0..1)
+ * @param {number} stageW - stage width in px
+ * @param {number} stageH - stage height in px
+ * @param {number} penSize - pen size in px (of the front row, in the arena)
+ * @param {object} room - the room settings
+ * @param {object} [seat] - the pen's seat, for the seated layout (see seatAt)
+ * @returns {{x:number, y:number, scale:number, depth:number, tilt:number}} depth is 0 at the back, 1 at the front,
+ *          tilt is extra lean in degrees
+ */
+export function placePen(xn, yn, stageW, stageH, penSize, room, seat = null) {
+
+	if (room?.stageLayout === 'seated' && seat)
+		return placeSeated(xn, yn, stageW, stageH, penSize, room, seat);
+
+	if (room?.stageLayout !== 'arena')
+		return { ...normToStage(xn, yn, stageW, stageH, penSize), scale: 1, depth: 1, tilt: 0 };
+
+	const depth = clamp01(Number(yn));
+	const scale = ARENA_FAR_SCALE + (1 - ARENA_FAR_SCALE) * depth;
+	const size = penSize * scale;
+	const rowW = stageW * (ARENA_FAR_WIDTH + (1 - ARENA_FAR_WIDTH) * depth);
+	const { backY, frontY } = arenaRows(stageH, penSize, room);
+
+	return {
+		x: stageW / 2 + (clamp01(Number(xn)) - 0.5) * Math.max(0, rowW - size),
+		y: backY + (frontY - backY) * depth,
+		scale,
+		depth,
+		tilt: 0,
+	};
+}
+
+
+/**
+ * Pen anchor in stage px -> normalized position, for the room's layout (the inverse of placePen)
+ *
+ * @param {number} px - anchor x in stage px
+ * @param {number} py - anchor y in stage px
+ * @param {number} stageW - stage width in px
+ * @param {number} stageH - stage height in px
+ * @param {number} penSize - pen size in px (of the front row, in the arena)
+ * @param {object} room - the room settings
+ * @param {object} [seat] - the pen's seat, for the seated layout (see seatAt)
+ * @returns {{x:number, y:number}} normalized position (0..1)
+ */
+export function unplacePen(px, py, stageW, stageH, penSize, room, seat = null) {
+
+	if (room?.stageLayout === 'seated' && seat) {
+		const { x, y, swayX, swayY } = seatBox(stageW, stageH, penSize, room, seat);
+		return {
+			x: swayX > 0 ? clamp01((px - x) / (2 * swayX) + 0.5) : 0.5,
+			y: swayY > 0 ? clamp01((py - y) / (2 * swayY) + 0.5) : 0.5,
+		};
+	}
+
+	if (room?.stageLayout !== 'arena')
+		return stageToNorm(px, py, stageW, stageH, penSize);
+
+	const { backY, frontY } = arenaRows(stageH, penSize, room);
+	const depth = clamp01((py - backY) / Math.max(1, frontY - backY));
+	const scale = ARENA_FAR_SCALE + (1 - ARENA_FAR_SCALE) * depth;
+	const rowW = stageW * (ARENA_FAR_WIDTH + (1 - ARENA_FAR_WIDTH) * depth);
+	const span = Math.max(1, rowW - penSize * scale);
+
+	return {
+		x: clamp01((px - stageW / 2) / span + 0.5),
+		y: depth,
+	};
+}
+
+
+/**
+ * The seating area, normalized (kept on the stage)
+ *
+ * @param {object} room - the room settings
+ * @returns {{x:number, y:number, w:number, h:number}}
+ */
+function seatRegion(room) {
+
+	const x = clamp01(Number(room?.seatRegionX ?? 0.05));
+	const y = clamp01(Number(room?.seatRegionY ?? 0.5));
+	return {
+		x,
+		y,
+		w: Math.min(1 - x, clamp01(Number(room?.seatRegionW ?? 0.9))),
+		h: Math.min(1 - y, clamp01(Number(room?.seatRegionH ?? 0.45))),
+	};
+}
+
+
+/**
+ * How many rows of how many seats there are, for some number of people
+ *
+ * It's the room's seatRows x seatsPerRow, unless there are more people than
+ * that - then rows are added at the back until everyone fits, & pens get
+ * smaller to match. Seats per row never change, so a seat number is always in
+ * the same row & column (see seatAt) & nobody gets moved when the crowd grows.
+ *
+ * @param {number} count - how many seats are needed
+ * @param {object} room - the room settings
+ * @returns {{rows:number, perRow:number}}
+ */
+export function seatGrid(count, room) {
+
+	const rows = Math.max(1, Math.trunc(Number(room?.seatRows) || 3));
+	const perRow = Math.max(1, Math.trunc(Number(room?.seatsPerRow) || 12));
+	return { rows: Math.max(rows, Math.ceil(count / perRow)), perRow };
+}
+
+
+/**
+ * Where a seat is, normalized
+ *
+ * Seats fill up front row first, from the middle out, so a small crowd sits
+ * together up front instead of dotted all over the place.
+ *
+ * @param {number} slot - the seat number (0 is the front & center)
+ * @param {{rows:number, perRow:number}} grid - see seatGrid
+ * @param {object} room - the room settings
+ * @returns {{x:number, y:number, w:number, h:number, depth:number}} the seat's center & size,
+ *          w/ depth 0 for the back row & 1 for the front
+ */
+export function seatAt(slot, grid, room) {
+
+	const { rows, perRow } = grid;
+	const region = seatRegion(room);
+
+	// front row first (the bottom of the region)...
+	const rowFromFront = Math.min(rows - 1, Math.floor(slot / perRow));
+	const row = rows - 1 - rowFromFront;
+
+	// ...from the middle out, alternating sides
+	const k = slot % perRow;
+	const col = Math.floor((perRow - 1) / 2) + Math.ceil(k / 2) * (k % 2 ? 1 : -1);
+
+	const w = region.w / perRow;
+	const h = region.h / rows;
+	const u = (col + 0.5) / perRow;
+	let y = region.y + h * (row + 0.5);
+
+	// curved rows bow up at the ends, like seats around a stage
+	if (room?.seatArrangement !== 'grid')
+		y -= SEAT_CURVE * h * Math.pow(2 * u - 1, 2);
+
+	return {
+		x: region.x + region.w * u,
+		y: Math.max(0, y),
+		w,
+		h,
+		depth: rows > 1 ? row / (rows - 1) : 1,
+	};
+}
+
+
+/**
+ * A seat in stage px: its anchor, how far a pen can sway from it, & the pen scale that fits it
+ *
+ * @param {number} stageW - stage width in px
+ * @param {number} stageH - stage height in px
+ * @param {number} penSize - pen size in px
+ * @param {object} room - the room settings
+ * @param {object} seat - see seatAt
+ * @returns {{x:number, y:number, swayX:number, swayY:number, scale:number}}
+ */
+function seatBox(stageW, stageH, penSize, room, seat) {
+
+	const cellW = seat.w * stageW;
+	const cellH = seat.h * stageH;
+	const scale = Math.max(SEAT_MIN_SCALE, Math.min(1, Math.min(cellW * 1.5, cellH * 2) / Math.max(1, penSize)));
+	const sway = clamp01(Number(room?.seatSway ?? 0.5));
+
+	// the seat's middle is the pen's middle (its anchor is 80% of the way down the sprite)
+	return {
+		x: seat.x * stageW,
+		y: seat.y * stageH + penSize * scale * 0.3,
+		swayX: sway * cellW / 2,
+		swayY: sway * cellH / 4,
+		scale,
+	};
+}
+
+
+/**
+ * Normalized position -> pen anchor in stage px, swaying around a seat
+ *
+ * @param {number} xn - normalized x (0..1): sway left / right & lean
+ * @param {number} yn - normalized y (0..1): bob up / down
+ * @param {number} stageW - stage width in px
+ * @param {number} stageH - stage height in px
+ * @param {number} penSize - pen size in px
+ * @param {object} room - the room settings
+ * @param {object} seat - see seatAt
+ * @returns {{x:number, y:number, scale:number, depth:number, tilt:number}}
+ */
+function placeSeated(xn, yn, stageW, stageH, penSize, room, seat) {
+
+	const { x, y, swayX, swayY, scale } = seatBox(stageW, stageH, penSize, room, seat);
+	const dx = clamp01(Number(xn)) * 2 - 1;
+	const dy = clamp01(Number(yn)) * 2 - 1;
+
+	return {
+		x: x + dx * swayX,
+		y: y + dy * swayY,
+		scale,
+		depth: seat.depth,
+		tilt: dx * SEAT_MAX_TILT * clamp01(Number(room?.seatSway ?? 0.5)),
+	};
+}
+
+
+/**
+ * How a pen at some depth looks: further back is dimmer & blurrier
+ *
+ * @param {number} depth - 0 at the back, 1 at the front
+ * @param {number} penSize - (front row) pen size in px, so the blur scales w/ the pens
+ * @returns {{opacity:number, blur:number}} blur in px
+ */
+export function depthLook(depth, penSize) {
+
+	const far = 1 - clamp01(depth);
+	return {
+		opacity: 1 - ARENA_FAR_DIM * far,
+		blur: ARENA_FAR_BLUR * far * (penSize / 256),
+	};
+}
+
+
+/**
+ * Fit a stage of the given aspect ratio inside a box (letterboxed / pillarboxed)
+ *
+ * @param {number} boxW - available width in px
+ * @param {number} boxH - available height in px
+ * @param {number} stageW - the real stage's width
+ * @param {number} stageH - the real stage's height
+ * @returns {{left:number, top:number, width:number, height:number, scale:number}}
+ */
+export function fitStage(boxW, boxH, stageW, stageH) {
+
+	const scale = Math.min(boxW / stageW, boxH / stageH);
+	const width = stageW * scale;
+	const height = stageH * scale;
+
+	return {
+		left: (boxW - width) / 2,
+		top: (boxH - height) / 2,
+		width,
+		height,
+		scale,
+	};
+}
@@ -0,0 +1,117 @@
+/*
+	transport.js
+	------------
+
+	The one place the app talks to "the backend" from.
+
+	REST calls go through apiFetch(path, init), and sockets are opened with the
+	constructor from getWebSocketImpl(). Normally these are just fetch() against
+	VITE_API_URL & the browser's WebSocket against VITE_WS_URL.
+
+	When the mock backend is enabled, both are swapped for the in-browser fakes
+	in MockBackend.js, so the whole app works offline. The mock is enabled when:
+		- VITE_MOCK_BACKEND=true (in any build), or
+		- in dev (vite serve) only:
+			- there's no VITE_API_URL configured at all, or
+			- the page was opened once with ?mock=1 (remembered in localStorage,
+			  so the other tabs pick it up too; ?mock=0 turns it back off)
+
+	Production builds never fall back to the mock, so a shared ?mock=1 link
+	can't strand someone on a fake backend. MockBackend.js is only loaded
+	(w/ a dynamic import) when it's used, & is left out of production builds
+	entirely unless VITE_MOCK_BACKEND is set.
+*/
+
+// base URL based on ENV
+const envAPIUrl = import.meta.env.VITE_API_URL;
+const envWsUrl = import.meta.env.VITE_WS_URL;
+const envAppURL = import.meta.env.VITE_APP_URL;
+const envMock = import.meta.env.VITE_MOCK_BACKEND;
+
+// the mock's forced on by env, & whether it's allowed at all
+const mockForced = envMock === 'true' || envMock === '1';
+const mockAllowed = import.meta.env.DEV || mockForced;
+
+// localStorage key for the ?mock=1 toggle
+const MOCK_FLAG_KEY = 'pen.lighting:mockBackend';
+
+
+/**
+ * Work out (once) whether we're using the mock backend
+ *
+ * @returns {boolean} true if the mock backend is enabled
+ */
+function detectMock() {
+
+	if (!mockAllowed)
+		return false;
+
+	if (mockForced)
+		return true;
+
+	// remember the ?mock= query toggle, if present
+	try {
+		const q = new URLSearchParams(window.location.search).get('mock');
+		if (q === '1' || q === 'true') localStorage.setItem(MOCK_FLAG_KEY, '1');
+		if (q === '0' || q === 'false') localStorage.removeItem(MOCK_FLAG_KEY);
+		if (localStorage.getItem(MOCK_FLAG_KEY) === '1')
+			return true;
+	} catch {
+		// no window/localStorage (e.g. tests), fall through
+	}
+
+	return !envAPIUrl;
+}
+
+// true if all traffic goes to the in-browser mock backend
+export const isMockBackend = detectMock();
+
+// the mock backend, loaded only if we're using it
+// (the mockAllowed check lets production builds drop it completely)
+const mock = mockAllowed && isMockBackend ? await import('./MockBackend.js') : null;
+
+
+/**
+ * Fetch from the API
+ *
+ * @param {string} path - API path, starting w/ '/', e.g. '/rooms/ABC123'
+ * @param {RequestInit} [init] - same as fetch()
+ * @returns {Promise<Response>}
+ */
+export function apiFetch(path, init = {}) {
+
+	if (isMockBackend)
+		return mock.mockFetch(path, init);
+
+	return fetch(`${envAPIUrl}${path}`, init);
+}
+
+
+/**
+ * Get the WebSocket URL for room connections
+ *
+ * @returns {string} the URL
+ */
+export function getWsUrl() {
+	return isMockBackend ? 'mock://pen.lighting' : envWsUrl;
+}
+
+
+/**
+ * Get the WebSocket constructor to use for room connections
+ *
+ * @returns {function} a WebSocket-compatible constructor
+ */
+export function getWebSocketImpl() {
+	return isMockBackend ? mock.MockWebSocket : globalThis.WebSocket;
+}
+
+
+/**
+ * Get the base URL of this app, for building share & OBS links
+ *
+ * @returns {string} e.g. 'https://pen.lighting'
+ */
+export function getAppUrl() {
+	return (isMockBackend || !envAppURL) ? window.location.origin : envAppURL;
+}
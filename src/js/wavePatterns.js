@@ -0,0 +1,72 @@
+/*
+	wavePatterns.js
+	---------------
+
+	The shapes the audience's Auto Wave can trace, driven by a shared beat clock.
+
+	The room settings hold the tempo (waveBpm), the pattern (wavePattern) & a phase
+	reference (waveEpoch: the Date.now() of a downbeat, e.g. the streamer's last tap).
+	Every phone works out "which beat are we on" from the wall clock & that epoch,
+	rather than from when its user ticked the box, so the whole crowd lands on the
+	beat together.
+
+	NOTE: this relies on the phones' clocks agreeing w/ the streamer's. Phones keep
+	network time, so in practice they're within a few tens of ms, which is plenty.
+*/
+
+// how far pens move for the wave, as a fraction of the stage
+const WAVE_AMP = 0.10;
+
+
+/**
+ * Which beat we're on (fractional), at a given time
+ *
+ * @param {number} nowMs - wall-clock time, e.g. Date.now()
+ * @param {number} bpm - beats per minute
+ * @param {number} [epochMs=0] - wall-clock time of beat 0
+ * @param {number} [tempoScale=1] - local half-time (0.5) or double-time (2)
+ * @returns {number} beats since the epoch
+ */
+export function beatsAt(nowMs, bpm, epochMs = 0, tempoScale = 1) {
+	return ((nowMs - epochMs) * bpm / 60000) * tempoScale;
+}
+
+
+/**
+ * Offset of the pen for a pattern at a given beat
+ *
+ * @param {string} pattern - one of WAVE_PATTERNS
+ * @param {number} beats - fractional beat count (from beatsAt)
+ * @returns {{dx:number, dy:number}} normalized offsets to add to the pen's position
+ */
+export function waveOffset(pattern, beats) {
+
+	const a = WAVE_AMP;
+	const turn = 2 * Math.PI * beats;
+
+	switch (pattern) {
+
+		// bob up & down, up on the beat
+		case 'up-down':
+			return { dx: 0, dy: -a * Math.cos(turn) };
+
+		// one loop per beat, top of the loop on the beat
+		case 'circle':
+			return { dx: a * Math.sin(turn), dy: -a * Math.cos(turn) };
+
+		// a sideways 8 every two beats, crossing the middle on each beat
+		case 'figure-eight':
+			return { dx: a * Math.sin(turn / 2), dy: (a / 2) * Math.sin(turn) };
+
+		// snap up overhead on the beat, then drift back down
+		case 'overhead-clap': {
+			const since = beats - Math.floor(beats);
+			return { dx: 0, dy: -a * 1.5 * Math.exp(-since * 5) };
+		}
+
+		// the original: side to side, one swing each way per beat
+		case 'side-to-side':
+		default:
+			return { dx: a * Math.sin(turn), dy: 0 };
+	}
+}
@@ -11,17 +11,21 @@ import { createRouter, createWebHistory } from 'vue-router'
 const HomeView = () => import('../views/HomeView.vue');
 const CreateRoomView = () => import('../views/CreateRoomView.vue');
 const EditRoomView = () => import('../views/EditRoomView.vue');
+const MyRoomsView = () => import('../views/MyRoomsView.vue');
 const ObsView = () => import('../views/ObsView.vue');
 const RoomView = () => import('../views/RoomView.vue');
 const AboutView = () => import('../views/AboutView.vue');
 const HelpView = () => import('../views/HelpView.vue');
+const ReplayView = () => import('../views/ReplayView.vue');
 
 const routes = [
 	{ path: '/', name: 'home', component: HomeView },
 	{ path: '/create', name: 'create', component: CreateRoomView },
 	{ path: '/edit/:room_code', name: 'edit', component: EditRoomView, props: true },
+	{ path: '/my-rooms', name: 'my-rooms', component: MyRoomsView },
 	{ path: '/obs/:room_code', name: 'obs', component: ObsView, props: true, meta: { noTheme: true } },
 	{ path: '/room/:room_code', name: 'room', component: RoomView, props: true, meta: { noTheme: true } },
+	{ path: '/replay', name: 'replay', component: ReplayView, meta: { noTheme: true } },
 	{ path: '/about', name: 'about', component: AboutView },
 	{ path: '/help', name: 'help', component: HelpView },
 	{ path: '/:pathMatch(.*)*', redirect: { name: 'home' } } // catch-all